@@ -5,20 +5,442 @@ class BaseAIProvider {
     this.baseURL = baseURL;
     this.model = model;
     this.conversation = [];
+    // Milliseconds before an API call is given up on (0 for no limit)
+    this.timeout = 0;
+    // Calls still in flight, by request ID, with the function that cancels each
+    this.activeRequests = new Map();
   }
 
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     // This is an abstract method that each provider will implement
     throw new Error("Method 'sendMessage' must be implemented by subclass");
   }
 
+  /**
+   * Send a conversation with tool definitions and get back the model's tool calls
+   * @param {Array} messages - OpenAI-style messages (system, user, assistant with tool_calls, tool)
+   * @param {Array} tools - OpenAI-style tool definitions ({ type: "function", function: {...} })
+   * @param {Object} options - Options such as tool_choice ("auto" or "required") and temperature
+   * @returns {Promise<Object>} Normalized response: { content, tool_calls: [{ id, type, function: { name, arguments } }] }
+   *   with arguments as a JSON string
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    // This is an abstract method that each provider will implement
+    throw new Error("Method 'sendFunctionCallingMessage' must be implemented by subclass");
+  }
+
+  /**
+   * Send a makeApiCall request to the background script, tagged with a request ID so it can be
+   * cancelled and with the provider's timeout
+   * @param {Object} request - The request: url, method, headers and body, and optionally signal
+   *   (an AbortSignal that cancels just this call, like fetch's)
+   * @param {Function} callback - Called with the background script's response
+   */
+  sendApiRequest(request, callback) {
+    const { signal, ...apiRequest } = request;
+    if (signal && signal.aborted) {
+      callback({ success: false, error: "Request cancelled" });
+      return;
+    }
+    
+    const requestId = createRequestId();
+    const cancel = () => {
+      chrome.runtime.sendMessage({ action: "cancelApiCall", requestId });
+    };
+    this.activeRequests.set(requestId, cancel);
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+    
+    chrome.runtime.sendMessage({
+      ...apiRequest,
+      action: "makeApiCall",
+      requestId,
+      timeout: this.timeout
+    }, response => {
+      this.activeRequests.delete(requestId);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+      callback(response);
+    });
+  }
+
+  /**
+   * Cancel every API call this provider has in flight; their promises reject with a cancellation error
+   */
+  cancelRequests() {
+    const cancels = Array.from(this.activeRequests.values());
+    this.activeRequests.clear();
+    cancels.forEach(cancel => cancel());
+  }
+
+  /**
+   * Make an API call through the background script (which isn't subject to CORS)
+   * @param {string} url - The endpoint
+   * @param {Object} headers - Request headers
+   * @param {Object} body - The JSON request body
+   * @param {AbortSignal} [signal] - Cancels the call
+   * @returns {Promise<Object>} The parsed response body
+   */
+  requestApi(url, headers, body, signal) {
+    return new Promise((resolve, reject) => {
+      this.sendApiRequest({
+        url,
+        method: "POST",
+        headers,
+        body,
+        signal
+      }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        
+        if (!response || !response.success) {
+          reject(new Error((response && response.error) || "API call failed"));
+          return;
+        }
+        
+        // Some servers send JSON without a JSON content type
+        if (response.isText) {
+          try {
+            resolve(JSON.parse(response.data.text));
+          } catch (error) {
+            reject(new Error("Expected a JSON response but got: " + response.data.text.substring(0, 200)));
+          }
+          return;
+        }
+        
+        resolve(response.data);
+      });
+    });
+  }
+
+  /**
+   * Send a tool-calling request to an OpenAI-compatible chat completions endpoint
+   * @param {string} url - The chat completions URL
+   * @param {Object} headers - Request headers
+   * @param {Object} payload - Request body without messages and tools
+   * @param {Array} messages - OpenAI-style messages
+   * @param {Array} tools - OpenAI-style tool definitions
+   * @param {Object} options - Options such as tool_choice, temperature and signal (an AbortSignal that cancels the call)
+   * @returns {Promise<Object>} Normalized response with content and tool_calls
+   */
+  async requestOpenAIToolCalls(url, headers, payload, messages, tools, options = {}) {
+    const data = await this.requestApi(url, headers, {
+      ...payload,
+      messages: toOpenAIMessages(messages),
+      tools,
+      tool_choice: options.tool_choice || "auto",
+      temperature: options.temperature ?? 0.25
+    }, options.signal);
+    
+    const message = data.choices[0].message;
+    return {
+      content: message.content || '',
+      tool_calls: normalizeToolCalls(message.tool_calls)
+    };
+  }
+
+  /**
+   * Send a message and get the reply piece by piece as it's generated
+   * Providers without a streaming implementation deliver the whole reply as one piece
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow) and signal
+   *   (an AbortSignal that cancels the request)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    const reply = options.schema
+      ? await this.sendStructuredMessage(userMessage, options.schema, options.signal)
+      : await this.sendMessage(userMessage, options.signal);
+    onDelta(reply);
+    return reply;
+  }
+
+  /**
+   * Send a message and get a JSON reply that follows a schema
+   * Providers without structured output rely on the message itself describing the format
+   * @param {string} userMessage - The message to send
+   * @param {Object} schema - JSON schema of the reply
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<string>} The reply, as JSON text
+   */
+  async sendStructuredMessage(userMessage, schema, signal) {
+    return this.sendMessage(userMessage, signal);
+  }
+
+  /**
+   * Get the model that createEmbedding uses, for providers that can create embeddings
+   * @returns {string} The embedding model
+   */
+  getEmbeddingModel() {
+    return this.model;
+  }
+
+  /**
+   * Make a streaming API call through a port to the background script
+   * @param {string} url - The endpoint
+   * @param {Object} headers - Request headers
+   * @param {Object} body - The JSON request body (with streaming turned on)
+   * @param {string} format - How the background script parses the stream ("openai", "anthropic" or "ollama")
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {AbortSignal} [signal] - Cancels the call
+   * @returns {Promise<string>} The complete reply
+   */
+  streamApi(url, headers, body, format, onDelta, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error("Request cancelled"));
+        return;
+      }
+      
+      const port = chrome.runtime.connect({ name: "apiStream" });
+      const requestId = createRequestId();
+      let finished = false;
+      
+      // Disconnecting aborts the fetch in the background script
+      const cancel = () => {
+        finished = true;
+        forget();
+        port.disconnect();
+        reject(new Error("Request cancelled"));
+      };
+      const forget = () => {
+        this.activeRequests.delete(requestId);
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+      };
+      this.activeRequests.set(requestId, cancel);
+      if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+      
+      port.onMessage.addListener(message => {
+        if (message.type === "delta") {
+          onDelta(message.text);
+        } else if (message.type === "done" || message.type === "error") {
+          finished = true;
+          forget();
+          port.disconnect();
+          if (message.type === "done") {
+            resolve(message.text);
+          } else {
+            reject(new Error(message.error || "Streaming API call failed"));
+          }
+        }
+      });
+      
+      port.onDisconnect.addListener(() => {
+        forget();
+        if (!finished) {
+          reject(new Error("The stream closed before the reply was complete"));
+        }
+      });
+      
+      port.postMessage({ action: "streamApiCall", url, headers, body, format, timeout: this.timeout });
+    });
+  }
+
+  /**
+   * Stream the reply to a message, keeping the conversation history like sendMessage does
+   * @param {string} userMessage - The message to send
+   * @param {string} url - The endpoint
+   * @param {Object} headers - Request headers
+   * @param {Object} payload - Request body without messages
+   * @param {string} format - The stream format ("openai", "anthropic" or "ollama")
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {AbortSignal} [signal] - Cancels the call
+   * @returns {Promise<string>} The complete reply
+   */
+  async streamReply(userMessage, url, headers, payload, format, onDelta, signal) {
+    this.conversation.push({ role: "user", content: userMessage });
+    
+    let reply;
+    try {
+      reply = await this.streamApi(url, headers, { ...payload, messages: this.conversation }, format, onDelta, signal);
+    } catch (error) {
+      // Leave the history as it was, so the message can be sent again
+      this.conversation.pop();
+      throw error;
+    }
+    
+    // Add assistant response to conversation history
+    this.conversation.push({ role: "assistant", content: reply });
+    return reply;
+  }
+
+  /**
+   * Send a message to an OpenAI-compatible chat endpoint, keeping the conversation history like sendMessage does
+   * @param {string} userMessage - The message to send
+   * @param {string} url - The endpoint
+   * @param {Object} headers - Request headers
+   * @param {Object} payload - Request body without messages
+   * @param {AbortSignal} [signal] - Cancels the call
+   * @returns {Promise<string>} The reply
+   */
+  async requestChatReply(userMessage, url, headers, payload, signal) {
+    this.conversation.push({ role: "user", content: userMessage });
+    
+    let data;
+    try {
+      data = await this.requestApi(url, headers, { ...payload, messages: this.conversation }, signal);
+    } catch (error) {
+      this.conversation.pop();
+      throw error;
+    }
+    
+    const reply = data.choices[0].message.content;
+    this.conversation.push({ role: "assistant", content: reply });
+    return reply;
+  }
+
   clearConversation() {
     this.conversation = [];
   }
+
+  /**
+   * Get a view of this provider with its own empty conversation, for one-off requests that
+   * shouldn't see or change the chat history; its API calls are still tracked (and cancelled) here
+   * @returns {BaseAIProvider} The view
+   */
+  withoutHistory() {
+    const view = Object.create(this);
+    view.conversation = [];
+    return view;
+  }
+}
+
+/**
+ * Create an ID for an API call, used to cancel it
+ * @returns {string} A unique ID
+ */
+function createRequestId() {
+  return `req_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Create an id for a tool call the API didn't give one
+ * @returns {string} A unique id
+ */
+function createToolCallId() {
+  return `call_${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Bring tool calls into the normalized shape, with JSON string arguments
+ * @param {Array} toolCalls - Tool calls as the API returned them (arguments as a string or object)
+ * @returns {Array} Normalized tool calls
+ */
+function normalizeToolCalls(toolCalls) {
+  return (toolCalls || []).map(toolCall => ({
+    id: toolCall.id || createToolCallId(),
+    type: "function",
+    function: {
+      name: toolCall.function.name,
+      arguments: typeof toolCall.function.arguments === 'string'
+        ? toolCall.function.arguments
+        : JSON.stringify(toolCall.function.arguments || {})
+    }
+  }));
+}
+
+/**
+ * Parse the arguments of a tool call from the conversation
+ * @param {Object} toolCall - A tool call with string or object arguments
+ * @returns {Object} The arguments
+ */
+function parseToolArguments(toolCall) {
+  const args = toolCall.function.arguments;
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+
+  try {
+    return args.trim() ? JSON.parse(args) : {};
+  } catch (error) {
+    console.error("Error parsing tool call arguments:", error, args);
+    return {};
+  }
+}
+
+/**
+ * Prepare messages for OpenAI-compatible APIs, which want tool call arguments as JSON strings
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {Array} The messages to send
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(message => message.tool_calls
+    ? { ...message, content: message.content || null, tool_calls: normalizeToolCalls(message.tool_calls) }
+    : message);
+}
+
+/**
+ * Group consecutive messages with the same role, as Anthropic and Google require alternating turns
+ * @param {Array} messages - Messages with role and an array of content blocks or parts
+ * @param {string} key - The property holding the blocks ("content" or "parts")
+ * @returns {Array} The merged messages
+ */
+function mergeConsecutiveRoles(messages, key) {
+  return messages.reduce((merged, message) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === message.role) {
+      previous[key].push(...message[key]);
+    } else {
+      merged.push({ role: message.role, [key]: [...message[key]] });
+    }
+    return merged;
+  }, []).filter(message => message[key].length > 0);
+}
+
+// Name of the structured reply in response formats and of the tool forced to produce it
+const STRUCTURED_OUTPUT_NAME = "structured_reply";
+
+/**
+ * Build the response_format for OpenAI-compatible structured outputs
+ * @param {Object|null} schema - JSON schema of the reply, or null for a free-form reply
+ * @returns {Object} { response_format } to spread into a request body, or {} without a schema
+ */
+function getResponseFormat(schema) {
+  if (!schema) {
+    return {};
+  }
+  
+  return {
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: STRUCTURED_OUTPUT_NAME, strict: true, schema }
+    }
+  };
+}
+
+/**
+ * Convert a JSON schema to the subset Gemini's responseSchema accepts (no additionalProperties)
+ * @param {Object} schema - JSON schema
+ * @returns {Object} The Gemini schema
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key !== 'additionalProperties') {
+      converted[key] = key === 'enum' || key === 'required' ? value : toGeminiSchema(value);
+    }
+  });
+  return converted;
 }
 
 class OpenAIProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -32,15 +454,15 @@ class OpenAIProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/chat/completions`,
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             "Authorization": `Bearer ${this.apiKey}`
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           if (chrome.runtime.lastError) {
             console.error("Runtime error:", chrome.runtime.lastError);
@@ -88,10 +510,55 @@ class OpenAIProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the AI service.";
     }
   }
+
+  /**
+   * Send a message and stream the reply as it's generated
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    return this.streamReply(userMessage, `${this.baseURL}/chat/completions`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: this.model, stream: true, ...getResponseFormat(options.schema) }, "openai", onDelta, options.signal);
+  }
+
+  /**
+   * Send a conversation with tool definitions using OpenAI function calling
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool definitions
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    return this.requestOpenAIToolCalls(`${this.baseURL}/chat/completions`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: this.model }, messages, tools, options);
+  }
+
+  /**
+   * Create an embedding vector for a piece of text
+   * @param {string} input - The text
+   * @returns {Promise<Array<number>>} The embedding
+   */
+  async createEmbedding(input) {
+    const data = await this.requestApi(`${this.baseURL}/embeddings`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: this.getEmbeddingModel(), input });
+    return data.data[0].embedding;
+  }
+
+  getEmbeddingModel() {
+    return "text-embedding-3-small";
+  }
 }
 
 class OpenAIAzureProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -112,15 +579,15 @@ class OpenAIAzureProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/openai/deployments/${deploymentName}/chat/completions?api-version=2023-05-15`,
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             "api-key": this.apiKey
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           if (chrome.runtime.lastError) {
             console.error("Runtime error:", chrome.runtime.lastError);
@@ -155,10 +622,39 @@ class OpenAIAzureProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the Azure OpenAI service.";
     }
   }
+
+  /**
+   * Send a conversation with tool definitions using Azure OpenAI function calling
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool definitions
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    // The tools parameter needs a newer API version than plain chat
+    return this.requestOpenAIToolCalls(`${this.baseURL}/openai/deployments/${this.model}/chat/completions?api-version=2024-02-01`, {
+      "Content-Type": "application/json",
+      "api-key": this.apiKey
+    }, {}, messages, tools, options);
+  }
+
+  /**
+   * Send a message and get a JSON reply that follows a schema, using structured outputs
+   * @param {string} userMessage - The message to send
+   * @param {Object} schema - JSON schema of the reply
+   * @returns {Promise<string>} The reply, as JSON text
+   */
+  async sendStructuredMessage(userMessage, schema, signal) {
+    // Structured outputs need a newer API version than plain chat
+    return this.requestChatReply(userMessage, `${this.baseURL}/openai/deployments/${this.model}/chat/completions?api-version=2024-08-01-preview`, {
+      "Content-Type": "application/json",
+      "api-key": this.apiKey
+    }, { max_tokens: 1000, temperature: 0.7, ...getResponseFormat(schema) }, signal);
+  }
 }
 
 class AnthropicProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -178,8 +674,7 @@ class AnthropicProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/v1/messages`,
           method: "POST",
           headers: {
@@ -187,7 +682,8 @@ class AnthropicProvider extends BaseAIProvider {
             "x-api-key": this.apiKey,
             "anthropic-version": "2023-06-01"
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           // Handle Anthropic response
           if (!response || !response.success) {
@@ -214,10 +710,106 @@ class AnthropicProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the Anthropic service.";
     }
   }
+
+  /**
+   * Send a message and stream the reply as it's generated
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    const payload = { model: this.model, max_tokens: 1000, stream: true };
+    
+    // Anthropic has no response format - forcing a tool whose input is the schema gets the
+    // same result, and the tool input streams as JSON like a text reply would
+    if (options.schema) {
+      payload.tools = [{
+        name: STRUCTURED_OUTPUT_NAME,
+        description: "Give the reply as structured data",
+        input_schema: options.schema
+      }];
+      payload.tool_choice = { type: "tool", name: STRUCTURED_OUTPUT_NAME };
+    }
+    
+    return this.streamReply(userMessage, `${this.baseURL}/v1/messages`, {
+      "Content-Type": "application/json",
+      "x-api-key": this.apiKey,
+      "anthropic-version": "2023-06-01"
+    }, payload, "anthropic", onDelta, options.signal);
+  }
+
+  /**
+   * Send a conversation with tool definitions using Anthropic tool use
+   * @param {Array} messages - Array of message objects (OpenAI format)
+   * @param {Array} tools - Array of tool definitions (OpenAI format)
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    // Anthropic takes the system prompt separately, tool calls as tool_use blocks and their
+    // results as tool_result blocks in a user turn
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    
+    const converted = messages
+      .filter(message => message.role !== 'system')
+      .map(message => {
+        if (message.role === 'tool') {
+          return {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content) }]
+          };
+        }
+        
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        (message.tool_calls || []).forEach(toolCall => {
+          content.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function.name,
+            input: parseToolArguments(toolCall)
+          });
+        });
+        return { role: message.role, content };
+      });
+    
+    const payload = {
+      model: this.model,
+      messages: mergeConsecutiveRoles(converted, 'content'),
+      max_tokens: 1000,
+      temperature: options.temperature ?? 0.25,
+      tools: tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      })),
+      tool_choice: { type: options.tool_choice === 'required' ? 'any' : 'auto' }
+    };
+    if (system) {
+      payload.system = system;
+    }
+    
+    const data = await this.requestApi(`${this.baseURL}/v1/messages`, {
+      "Content-Type": "application/json",
+      "x-api-key": this.apiKey,
+      "anthropic-version": "2023-06-01"
+    }, payload, options.signal);
+    
+    const blocks = data.content || [];
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+      tool_calls: normalizeToolCalls(blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, function: { name: block.name, arguments: block.input } })))
+    };
+  }
 }
 
 class GoogleProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -241,15 +833,15 @@ class GoogleProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/v1beta/models/${this.model}:generateContent`,
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             "Authorization": `Bearer ${this.apiKey}`
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           // Handle Google AI response
           if (!response || !response.success) {
@@ -276,10 +868,152 @@ class GoogleProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the Google AI service.";
     }
   }
+
+  /**
+   * Send a conversation with tool definitions using Gemini function declarations
+   * @param {Array} messages - Array of message objects (OpenAI format)
+   * @param {Array} tools - Array of tool definitions (OpenAI format)
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    // Gemini matches function responses to calls by name rather than by id
+    const toolNames = new Map();
+    messages.forEach(message => (message.tool_calls || []).forEach(toolCall => {
+      toolNames.set(toolCall.id, toolCall.function.name);
+    }));
+    
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    
+    const contents = messages
+      .filter(message => message.role !== 'system')
+      .map(message => {
+        if (message.role === 'tool') {
+          let result;
+          try {
+            result = JSON.parse(message.content);
+          } catch (error) {
+            result = { result: message.content };
+          }
+          return {
+            role: 'user',
+            parts: [{
+              functionResponse: {
+                name: toolNames.get(message.tool_call_id) || 'unknown',
+                // The response has to be an object
+                response: result && typeof result === 'object' && !Array.isArray(result) ? result : { result }
+              }
+            }]
+          };
+        }
+        
+        const parts = message.content ? [{ text: message.content }] : [];
+        (message.tool_calls || []).forEach(toolCall => {
+          parts.push({ functionCall: { name: toolCall.function.name, args: parseToolArguments(toolCall) } });
+        });
+        return { role: message.role === 'assistant' ? 'model' : 'user', parts };
+      });
+    
+    const payload = {
+      contents: mergeConsecutiveRoles(contents, 'parts'),
+      tools: [{
+        // Gemini rejects object schemas without properties, so parameterless tools leave them out
+        functionDeclarations: tools.map(tool => {
+          const parameters = tool.function.parameters;
+          const declaration = { name: tool.function.name, description: tool.function.description };
+          if (parameters && Object.keys(parameters.properties || {}).length > 0) {
+            declaration.parameters = parameters;
+          }
+          return declaration;
+        })
+      }],
+      toolConfig: {
+        functionCallingConfig: { mode: options.tool_choice === 'required' ? 'ANY' : 'AUTO' }
+      },
+      generationConfig: {
+        maxOutputTokens: 1024,
+        temperature: options.temperature ?? 0.25
+      }
+    };
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+    
+    const data = await this.requestApi(`${this.baseURL}/v1beta/models/${this.model}:generateContent`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, payload, options.signal);
+    
+    const parts = (data.candidates && data.candidates[0].content && data.candidates[0].content.parts) || [];
+    return {
+      content: parts.filter(part => part.text).map(part => part.text).join('\n'),
+      tool_calls: normalizeToolCalls(parts
+        .filter(part => part.functionCall)
+        .map(part => ({ function: { name: part.functionCall.name, arguments: part.functionCall.args } })))
+    };
+  }
+
+  /**
+   * Send a message and get a JSON reply that follows a schema, using Gemini's responseSchema
+   * @param {string} userMessage - The message to send
+   * @param {Object} schema - JSON schema of the reply
+   * @returns {Promise<string>} The reply, as JSON text
+   */
+  async sendStructuredMessage(userMessage, schema, signal) {
+    this.conversation.push({ role: "user", content: userMessage });
+    
+    let data;
+    try {
+      data = await this.requestApi(`${this.baseURL}/v1beta/models/${this.model}:generateContent`, {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${this.apiKey}`
+      }, {
+        contents: this.conversation.map(msg => ({
+          role: msg.role === "assistant" ? "model" : "user",
+          parts: [{ text: msg.content }]
+        })),
+        generationConfig: {
+          maxOutputTokens: 1024,
+          temperature: 0.7,
+          topP: 0.95,
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(schema)
+        }
+      }, signal);
+    } catch (error) {
+      this.conversation.pop();
+      throw error;
+    }
+    
+    const reply = data.candidates[0].content.parts[0].text;
+    this.conversation.push({ role: "assistant", content: reply });
+    return reply;
+  }
+
+  /**
+   * Create an embedding vector for a piece of text
+   * @param {string} input - The text
+   * @returns {Promise<Array<number>>} The embedding
+   */
+  async createEmbedding(input) {
+    const model = this.getEmbeddingModel();
+    const data = await this.requestApi(`${this.baseURL}/v1beta/models/${model}:embedContent`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: `models/${model}`, content: { parts: [{ text: input }] } });
+    return data.embedding.values;
+  }
+
+  getEmbeddingModel() {
+    return "text-embedding-004";
+  }
 }
 
 class XAIProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -293,15 +1027,15 @@ class XAIProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/chat/completions`,
           method: "POST",
           headers: {
             "Content-Type": "application/json",
             "Authorization": `Bearer ${this.apiKey}`
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           // Handle XAI response
           if (!response || !response.success) {
@@ -328,6 +1062,33 @@ class XAIProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the XAI service.";
     }
   }
+
+  /**
+   * Send a conversation with tool definitions using xAI function calling (OpenAI format)
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool definitions
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    return this.requestOpenAIToolCalls(`${this.baseURL}/chat/completions`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: this.model, max_tokens: 1000 }, messages, tools, options);
+  }
+
+  /**
+   * Send a message and get a JSON reply that follows a schema, using structured outputs
+   * @param {string} userMessage - The message to send
+   * @param {Object} schema - JSON schema of the reply
+   * @returns {Promise<string>} The reply, as JSON text
+   */
+  async sendStructuredMessage(userMessage, schema, signal) {
+    return this.requestChatReply(userMessage, `${this.baseURL}/chat/completions`, {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${this.apiKey}`
+    }, { model: this.model, max_tokens: 1000, ...getResponseFormat(schema) }, signal);
+  }
 }
 
 class OllamaProvider extends BaseAIProvider {
@@ -350,7 +1111,7 @@ class OllamaProvider extends BaseAIProvider {
     }
   }
 
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       console.log("Sending message to Ollama:", this.model, this.baseURL);
       
@@ -374,8 +1135,7 @@ class OllamaProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/chat`,
           method: "POST",
           headers: {
@@ -383,7 +1143,8 @@ class OllamaProvider extends BaseAIProvider {
             "Accept": "application/json",
             "Origin": chrome.runtime.getURL("")
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           // Handle Ollama response
           if (!response || !response.success) {
@@ -424,6 +1185,36 @@ class OllamaProvider extends BaseAIProvider {
     }
   }
 
+  /**
+   * Send a message and stream the reply as it's generated
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    const temperature = parseFloat(localStorage.getItem('modelTemperature')) || 0.7;
+    const payload = {
+      model: this.model,
+      stream: true,
+      options: {
+        temperature: temperature,
+        top_p: 0.95
+      }
+    };
+    
+    // Ollama constrains the output to a JSON schema given as the format
+    if (options.schema) {
+      payload.format = options.schema;
+    }
+    
+    return this.streamReply(userMessage, `${this.baseURL}/api/chat`, {
+      "Content-Type": "application/json",
+      "Accept": "application/x-ndjson",
+      "Origin": chrome.runtime.getURL("")
+    }, payload, "ollama", onDelta, options.signal);
+  }
+
   // Text generation without conversation context
   async generateText(prompt, options = {}) {
     const defaultOptions = {
@@ -443,8 +1234,7 @@ class OllamaProvider extends BaseAIProvider {
       };
 
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/generate`,
           method: "POST",
           headers: { "Content-Type": "application/json" },
@@ -479,8 +1269,7 @@ class OllamaProvider extends BaseAIProvider {
       };
 
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/embeddings`,
           method: "POST",
           headers: { "Content-Type": "application/json" },
@@ -510,8 +1299,7 @@ class OllamaProvider extends BaseAIProvider {
   async listModels() {
     try {
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/tags`,
           method: "GET",
           headers: { 
@@ -548,8 +1336,7 @@ class OllamaProvider extends BaseAIProvider {
       };
 
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/show`,
           method: "POST",
           headers: { "Content-Type": "application/json" },
@@ -583,8 +1370,7 @@ class OllamaProvider extends BaseAIProvider {
       };
 
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/pull`,
           method: "POST",
           headers: { "Content-Type": "application/json" },
@@ -610,8 +1396,7 @@ class OllamaProvider extends BaseAIProvider {
   async listRunningModels() {
     try {
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/ps`,
           method: "GET",
           headers: { "Content-Type": "application/json" }
@@ -640,8 +1425,7 @@ class OllamaProvider extends BaseAIProvider {
   async getVersion() {
     try {
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/api/version`,
           method: "GET",
           headers: { "Content-Type": "application/json" }
@@ -667,134 +1451,63 @@ class OllamaProvider extends BaseAIProvider {
   }
 
   /**
-   * Send a function calling message to Mistral models
+   * Send a function calling message through Ollama's native tool support
    * @param {Array} messages - Array of message objects
    * @param {Array} tools - Array of tool definitions
    * @param {Object} options - Options for the function calling
-   * @returns {Promise<Object>} - The response from the API
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
    */
   async sendFunctionCallingMessage(messages, tools, options = {}) {
     try {
-      const isMistralModel = this.model.toLowerCase().includes('mistral') || 
-                            this.model.toLowerCase().includes('nemo');
-      
-      if (!isMistralModel) {
-        console.warn('Function calling is optimized for Mistral models, falling back to standard chat');
-        return await this.sendMessage(messages[messages.length-1].content);
-      }
-      
-      console.log("Using Mistral function calling format with", tools.length, "tools");
-      
-      // Format the system message to emphasize function calling but without JavaScript syntax
-      let hasSystemMessage = false;
-      for (let i = 0; i < messages.length; i++) {
-        if (messages[i].role === 'system') {
-          hasSystemMessage = true;
-          // Remove JavaScript-specific instructions which might confuse the model's tool head
-          messages[i].content += "\n\nIMPORTANT: You MUST use the tools provided to complete your task.";
-          break;
-        }
-      }
+      console.log("Using Ollama function calling with", tools.length, "tools");
       
-      // Add a system message if none exists
-      if (!hasSystemMessage) {
-        messages.unshift({
-          role: 'system',
-          content: 'You are a helpful assistant that uses the provided tools to complete tasks efficiently.'
-        });
-      }
-      
-      // CRITICAL: Ensure all required parameters are included for function calling
+      // Ollama takes tool call arguments as objects rather than JSON strings
       const requestBody = {
         model: this.model,
-        messages: messages,
-        tools: tools,                       // Required: tool definitions array
-        tool_choice: options.tool_choice || "auto",  // Required: auto or required 
+        messages: messages.map(message => message.tool_calls
+          ? {
+              ...message,
+              tool_calls: message.tool_calls.map(toolCall => ({
+                function: { name: toolCall.function.name, arguments: parseToolArguments(toolCall) }
+              }))
+            }
+          : message),
+        tools: tools,
         options: {
-          temperature: options.temperature || 0.25,   // Lower temperature for more reliable tool use
+          temperature: options.temperature ?? 0.25,   // Lower temperature for more reliable tool use
           top_p: options.top_p || 0.95
         },
         stream: false
       };
       
-      console.log("Sending Mistral function call request:", JSON.stringify(requestBody, null, 2).substring(0, 500) + "...");
-
-      // Send the request to the Ollama API
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
-          url: `${this.baseURL}/api/chat`,
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "Accept": "application/json",
-            "Origin": chrome.runtime.getURL("")
-          },
-          body: requestBody
-        }, response => {
-          if (chrome.runtime.lastError) {
-            console.error("Runtime error in function calling:", chrome.runtime.lastError);
-            reject(chrome.runtime.lastError);
-            return;
-          }
-          
-          if (!response || !response.success) {
-            const errorMsg = (response && response.error) || "API call failed";
-            console.error("API Error in function calling:", errorMsg);
-            reject(new Error(errorMsg));
-            return;
-          }
-          
-          try {
-            console.log("Mistral function calling raw response:", response.data);
-            
-            // Handle Mistral's response format
-            if (response.data && response.data.message) {
-              const messageData = response.data.message;
-              
-              // Check if we have tool_calls in the response
-              if (messageData.tool_calls && messageData.tool_calls.length > 0) {
-                console.log("Detected native tool_calls in Mistral response:", messageData.tool_calls);
-                return resolve({
-                  content: messageData.content || '',
-                  tool_calls: messageData.tool_calls
-                });
-              } 
-              
-              // If content contains JSON-like function calls, attempt to parse them
-              const content = messageData.content || '';
-              
-              // Try to parse any function calls from the text response
-              const functionCalls = this.extractFunctionCallsFromText(content);
-              if (functionCalls.length > 0) {
-                console.log("Extracted function calls from text:", functionCalls);
-                return resolve({
-                  content: content,
-                  tool_calls: functionCalls.map(fc => ({
-                    id: `auto_${Math.random().toString(36).substring(2, 10)}`,
-                    type: "function",
-                    function: {
-                      name: fc.function_name,
-                      arguments: JSON.stringify(fc.arguments)
-                    }
-                  }))
-                });
-              }
-              
-              // No function calls found
-              return resolve({
-                content: content,
-                tool_calls: []
-              });
-            }
-            
-            resolve({ content: "Error: Unexpected response format from Ollama" });
-          } catch (error) {
-            console.error("Error processing function calling response:", error);
-            reject(error);
-          }
-        });
-      });
+      const data = await this.requestApi(`${this.baseURL}/api/chat`, {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "Origin": chrome.runtime.getURL("")
+      }, requestBody, options.signal);
+      
+      const messageData = data.message || {};
+      const content = messageData.content || '';
+      
+      if (messageData.tool_calls && messageData.tool_calls.length > 0) {
+        return {
+          content: content,
+          tool_calls: normalizeToolCalls(messageData.tool_calls)
+        };
+      }
+      
+      // Models without a tool-calling template write their calls into the text instead
+      const functionCalls = this.extractFunctionCallsFromText(content);
+      if (functionCalls.length > 0) {
+        console.log("Extracted function calls from text:", functionCalls);
+      }
+      
+      return {
+        content: content,
+        tool_calls: normalizeToolCalls(functionCalls.map(fc => ({
+          function: { name: fc.function_name, arguments: fc.arguments }
+        })))
+      };
     } catch (error) {
       console.error("Error in sendFunctionCallingMessage:", error);
       throw error;
@@ -802,7 +1515,7 @@ class OllamaProvider extends BaseAIProvider {
   }
 
   /**
-   * Extract function calls from text response when Mistral doesn't use proper format
+   * Extract function calls from text response when the model doesn't use the tool-calling format
    * @param {string} text - The text response from the model
    * @returns {Array} Array of extracted function calls
    */
@@ -863,7 +1576,7 @@ class OllamaProvider extends BaseAIProvider {
 }
 
 class LMStudioProvider extends BaseAIProvider {
-  async sendMessage(userMessage) {
+  async sendMessage(userMessage, signal) {
     try {
       // Add user message to conversation history
       this.conversation.push({ role: "user", content: userMessage });
@@ -878,14 +1591,14 @@ class LMStudioProvider extends BaseAIProvider {
 
       // Use the background script to make the API call
       return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: "makeApiCall",
+        this.sendApiRequest({
           url: `${this.baseURL}/v1/chat/completions`,
           method: "POST",
           headers: {
             "Content-Type": "application/json"
           },
-          body: payload
+          body: payload,
+          signal
         }, response => {
           // Handle LM Studio response
           if (!response || !response.success) {
@@ -912,6 +1625,44 @@ class LMStudioProvider extends BaseAIProvider {
       return "Sorry, there was an error communicating with the LM Studio service.";
     }
   }
+
+  /**
+   * Send a message and stream the reply as it's generated
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    return this.streamReply(userMessage, `${this.baseURL}/v1/chat/completions`, {
+      "Content-Type": "application/json"
+    }, { temperature: 0.7, max_tokens: 1000, stream: true, ...getResponseFormat(options.schema) }, "openai", onDelta, options.signal);
+  }
+
+  /**
+   * Send a conversation with tool definitions through LM Studio's OpenAI-compatible server
+   * @param {Array} messages - Array of message objects
+   * @param {Array} tools - Array of tool definitions
+   * @param {Object} options - Options for the function calling
+   * @returns {Promise<Object>} - Normalized response with content and tool_calls
+   */
+  async sendFunctionCallingMessage(messages, tools, options = {}) {
+    return this.requestOpenAIToolCalls(`${this.baseURL}/v1/chat/completions`, {
+      "Content-Type": "application/json"
+    }, { model: this.model }, messages, tools, options);
+  }
+
+  /**
+   * Create an embedding vector for a piece of text (needs an embedding model loaded in LM Studio)
+   * @param {string} input - The text
+   * @returns {Promise<Array<number>>} The embedding
+   */
+  async createEmbedding(input) {
+    const data = await this.requestApi(`${this.baseURL}/v1/embeddings`, {
+      "Content-Type": "application/json"
+    }, { model: this.model, input });
+    return data.data[0].embedding;
+  }
 }
 
 class ENVProvider extends OpenAIProvider {
@@ -1000,39 +1751,48 @@ class AIProviderFactory {
   }
   
   // Get default settings for a specific provider
+  // timeout is in seconds - local models get longer, since a large model on a laptop can take minutes
   static getProviderDefaults(providerType) {
     const defaults = {
       OpenAI: {
         baseURL: 'https://api.openai.com/v1',
-        defaultModel: 'gpt-4o'
+        defaultModel: 'gpt-4o',
+        timeout: 120
       },
       OpenAIAzure: {
         baseURL: 'https://YOUR_RESOURCE_NAME.openai.azure.com',
-        defaultModel: 'gpt-4'
+        defaultModel: 'gpt-4',
+        timeout: 120
       },
       Google: {
         baseURL: 'https://generativelanguage.googleapis.com',
-        defaultModel: 'gemini-pro'
+        defaultModel: 'gemini-pro',
+        timeout: 120
       },
       XAI: {
         baseURL: 'https://api.groq.com/openai',
-        defaultModel: 'llama3-8b-8192'
+        defaultModel: 'llama3-8b-8192',
+        timeout: 120
       },
       Anthropic: {
         baseURL: 'https://api.anthropic.com',
-        defaultModel: 'claude-3-opus-20240229'
+        defaultModel: 'claude-3-opus-20240229',
+        timeout: 120
       },
       Ollama: {
         baseURL: 'http://localhost:11434',
-        defaultModel: 'gemma3:4b'
+        defaultModel: 'gemma3:4b',
+        timeout: 600
       },
       LMStudio: {
         baseURL: 'http://localhost:1234',
-        defaultModel: 'default'
+        defaultModel: 'default',
+        timeout: 600
       },
       ENV: {
         baseURL: '',  // Will be loaded from .env
-        defaultModel: '' // Will be loaded from .env
+        defaultModel: '', // Will be loaded from .env
+        timeout: 120
       }
     };
     
@@ -1062,7 +1822,12 @@ FORM FIELDS TO FILL:
       ? `${field.label} (${field.id})` 
       : field.id;
     
-    prompt += `- ${labelText} (${field.type})\n`;
+    // List the allowed choices for select, radio and checkbox fields
+    const optionsText = field.options && field.options.length > 0
+      ? ` Options: ${field.options.map(option => `"${option.text || option.value}"`).join(' | ')}`
+      : '';
+    
+    prompt += `- ${labelText} (${field.type})${optionsText}\n`;
   });
 
   prompt += `
@@ -1071,6 +1836,7 @@ INSTRUCTIONS:
 2. For each field ID, provide a suitable value from the resume
 3. Mark fields with "No information available" if nothing matches
 4. Provide confidence level (High/Medium/Low) for each field
+5. For fields with Options, the value MUST be exactly one of the listed options
 
 RESPONSE FORMAT:
 Return a JSON object with this structure:
@@ -1093,35 +1859,145 @@ Return a JSON object with this structure:
 class AgentsAPI {
   constructor(apiKey, baseURL, model = "gpt-4o", providerType = "OpenAI") {
     this.provider = AIProviderFactory.createProvider(providerType, apiKey, baseURL, model);
+    this.providerType = providerType;
     this.modelName = model; // Store model name for reference
+    this.setRequestTimeout(AIProviderFactory.getProviderDefaults(providerType).timeout);
+    
+    // Providers tried in order when the primary one fails ({ providerType, provider })
+    this.fallbackProviders = [];
+    // Optional callback (failedType, nextType, error) for when a request moves down the chain
+    this.onFallback = null;
+    // Bumped by cancel(), so a cancelled request isn't sent on to the fallbacks
+    this.cancelCount = 0;
+  }
+  
+  /**
+   * Set the providers to try, in order, when the primary provider fails or can't be reached
+   * @param {Array<Object>} configs - Provider settings: { providerType, apiKey, baseURL, model, timeout (seconds) },
+   *   with the provider's defaults for any left out
+   */
+  setFallbackProviders(configs) {
+    this.fallbackProviders = (configs || []).map(config => {
+      const defaults = AIProviderFactory.getProviderDefaults(config.providerType);
+      const provider = AIProviderFactory.createProvider(
+        config.providerType,
+        config.apiKey || '',
+        config.baseURL || defaults.baseURL,
+        config.model || defaults.defaultModel
+      );
+      provider.timeout = Math.max(0, Number(config.timeout ?? defaults.timeout) || 0) * 1000;
+      return { providerType: config.providerType, provider };
+    });
+  }
+  
+  /**
+   * Run a request on the primary provider, then on each fallback in turn until one succeeds
+   * Every provider starts from the primary's conversation history, and the history of the one
+   * that answers is kept
+   * @param {Function} request - Called with a provider, returns the request's promise
+   * @param {Function} [canFallBack] - Checked after a failure; return false to stop at that provider
+   * @param {boolean} [shareHistory] - False for requests that don't use the conversation history
+   * @returns {Promise<any>} The first successful result
+   * @throws {Error} The last error, once every provider has failed or the request was cancelled
+   */
+  async withFallback(request, canFallBack = () => true, shareHistory = true) {
+    const chain = [{ providerType: this.providerType, provider: this.provider }, ...this.fallbackProviders];
+    const history = [...this.provider.conversation];
+    const cancelCount = this.cancelCount;
+    
+    for (let i = 0; i < chain.length; i++) {
+      const { providerType, provider } = chain[i];
+      if (shareHistory) {
+        provider.conversation = [...history];
+      }
+      
+      try {
+        const result = await request(provider);
+        if (shareHistory) {
+          this.provider.conversation = provider.conversation;
+        }
+        return result;
+      } catch (error) {
+        const next = chain[i + 1];
+        if (!next || this.cancelCount !== cancelCount || !canFallBack()) {
+          throw error;
+        }
+        
+        console.warn(`${providerType} request failed, falling back to ${next.providerType}:`, error);
+        if (this.onFallback) {
+          this.onFallback(providerType, next.providerType, error);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the primary provider for creating embeddings, if it can create them
+   * Fallback providers aren't used - they may be hosted services the resume shouldn't be sent to
+   * just because the primary one can't embed
+   * @returns {Object|null} { providerType, provider }, or null if the primary provider can't
+   */
+  getEmbeddingProvider() {
+    return typeof this.provider.createEmbedding === 'function'
+      ? { providerType: this.providerType, provider: this.provider }
+      : null;
+  }
+  
+  /**
+   * Set how long an API call may run before it's abandoned
+   * @param {number} seconds - The timeout in seconds (0 for no limit)
+   */
+  setRequestTimeout(seconds) {
+    this.provider.timeout = Math.max(0, Number(seconds) || 0) * 1000;
+  }
+  
+  /**
+   * Cancel every API call in flight; the calls reject with a "Request cancelled" error
+   */
+  cancel() {
+    this.cancelCount++;
+    this.provider.cancelRequests();
+    this.fallbackProviders.forEach(fallback => fallback.provider.cancelRequests());
   }
 
-  async sendMessage(userMessage) {
-    return await this.provider.sendMessage(userMessage);
+  async sendMessage(userMessage, signal) {
+    return await this.withFallback(provider => provider.sendMessage(userMessage, signal), () => !(signal && signal.aborted));
+  }
+  
+  /**
+   * Send a message and stream the reply as it's generated
+   * @param {string} userMessage - The message to send
+   * @param {Function} onDelta - Called with each new piece of the reply
+   * @param {Object} options - Options such as schema (a JSON schema the reply must follow), signal
+   *   (an AbortSignal that cancels this request, and no other) and oneShot (true to send the message
+   *   on its own, leaving the conversation history out of the request and untouched by the reply)
+   * @returns {Promise<string>} The complete reply
+   */
+  async sendMessageStream(userMessage, onDelta, options = {}) {
+    // Once part of a reply has been shown, another provider's reply can't take its place
+    let streamed = false;
+    return await this.withFallback(
+      provider => (options.oneShot ? provider.withoutHistory() : provider).sendMessageStream(userMessage, delta => {
+        streamed = true;
+        onDelta(delta);
+      }, options),
+      () => !streamed && !(options.signal && options.signal.aborted),
+      !options.oneShot
+    );
   }
   
   /**
    * Send a message with function calling capabilities
    * @param {Array} messages - Array of message objects
    * @param {Array} tools - Array of tool definitions
-   * @param {Object} options - Options for the function calling
-   * @returns {Promise<Object>} - The response from the API
+   * @param {Object} options - Options for the function calling, including signal (an AbortSignal that cancels the request)
+   * @returns {Promise<Object>} - Normalized response: { content, tool_calls } with JSON string arguments
    */
   async sendFunctionCallingMessage(messages, tools, options = {}) {
-    // If the provider has its own function calling implementation, use it
-    if (this.provider.sendFunctionCallingMessage) {
-      return await this.provider.sendFunctionCallingMessage(messages, tools, options);
-    }
-    
-    // Fallback for providers that don't support function calling
-    console.warn("Function calling not supported by provider, using regular message sending");
-    const lastUserMessage = messages.filter(msg => msg.role === "user").pop();
-    if (lastUserMessage) {
-      const response = await this.provider.sendMessage(lastUserMessage.content);
-      return { content: response, tool_calls: [] };
-    }
-    
-    throw new Error("No user message found for function calling fallback");
+    return await this.withFallback(
+      provider => provider.sendFunctionCallingMessage(messages, tools, options),
+      () => !(options.signal && options.signal.aborted)
+    );
   }
 
   /**
@@ -1131,25 +2007,20 @@ class AgentsAPI {
    * @returns {Promise<string|Object>} - The model's response
    */
   async sendConversation(conversation, options = {}) {
-    // Check if this is a tool-equipped message for a Mistral/Nemo model
-    const isMistralModel = this.modelName && 
-      (this.modelName.toLowerCase().includes('mistral') ||
-       this.modelName.toLowerCase().includes('nemo'));
-    
-    // If this has tools and is for a Mistral model, use the function calling method
-    if (options.tools && isMistralModel) {
-      console.log("Using function calling method for Mistral model with tools");
+    // Every provider supports native function calling, so use it whenever tools are given
+    if (options.tools) {
       return await this.sendFunctionCallingMessage(
         conversation,
         options.tools,
         {
           tool_choice: options.tool_choice || "auto",
-          temperature: options.temperature || 0.25 // Keep temperature low for better tool use
+          temperature: options.temperature ?? 0.25, // Keep temperature low for better tool use
+          signal: options.signal
         }
       );
     }
     
-    // For normal conversation without tools, or non-Mistral models
+    // For normal conversation without tools
     console.log("Using normal sendMessage for conversation");
     
     // Find the last user message
@@ -1168,7 +2039,10 @@ class AgentsAPI {
       }
       
       // Send just the last user message (provider will have the history)
-      return await this.provider.sendMessage(lastUserMessage.content);
+      return await this.withFallback(
+        provider => provider.sendMessage(lastUserMessage.content, options.signal),
+        () => !(options.signal && options.signal.aborted)
+      );
     }
     
     throw new Error("No user message found in conversation");
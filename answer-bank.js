@@ -0,0 +1,285 @@
+/**
+ * answer-bank.js
+ * Stored answers to recurring application questions (work authorization, salary, referral source...)
+ * that aren't in a resume, matched to new form fields by label
+ */
+
+import settingsManager from './settings-manager.js';
+import { resolveChoiceValue } from './option-matcher.js';
+
+// Minimum similarity for a field label to use a stored answer
+const MATCH_THRESHOLD = 0.6;
+
+// Words that carry no meaning for matching questions
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'are', 'is', 'do', 'does', 'did', 'you', 'your', 'yours', 'will', 'would', 'can',
+  'to', 'of', 'in', 'for', 'on', 'at', 'by', 'with', 'this', 'that', 'please', 'currently', 'now',
+  'or', 'and', 'be', 'have', 'has', 'us', 'we', 'our', 'what', 'which', 'how', 'any', 'if', 'required',
+  'optional', 'select', 'enter', 'provide', 'i', 'me', 'my'
+]);
+
+// Words that mean the same thing in application questions, mapped to one canonical word
+const SYNONYMS = {
+  authorized: 'authorized', authorised: 'authorized', authorization: 'authorized', eligible: 'authorized',
+  eligibility: 'authorized', legally: 'authorized', permitted: 'authorized', allowed: 'authorized',
+  sponsorship: 'sponsorship', sponsor: 'sponsorship', sponsored: 'sponsorship', visa: 'sponsorship',
+  h1b: 'sponsorship', 'h-1b': 'sponsorship',
+  salary: 'salary', compensation: 'salary', pay: 'salary', wage: 'salary',
+  hear: 'source', heard: 'source', source: 'source', referral: 'source', referred: 'source',
+  learn: 'source', learned: 'source',
+  relocate: 'relocate', relocation: 'relocate', relocating: 'relocate', move: 'relocate',
+  start: 'start', availability: 'start',
+  remote: 'remote', hybrid: 'remote', onsite: 'remote', office: 'remote',
+  gender: 'gender', sex: 'gender',
+  veteran: 'veteran', military: 'veteran',
+  disability: 'disability', disabled: 'disability',
+  race: 'ethnicity', ethnicity: 'ethnicity', ethnic: 'ethnicity', hispanic: 'ethnicity', latino: 'ethnicity',
+  // Generic wording that isn't a topic ("Expected graduation date" isn't about salary)
+  expected: 'expect', expectation: 'expect', expectations: 'expect', desired: 'expect',
+  requirement: 'expect', requirements: 'expect'
+};
+
+// Country names written as more than one word (or as capitalized abbreviations), rewritten to one token
+const COUNTRY_PHRASES = [
+  [/\bunited states(?: of america)?\b|\bu\.s\.(?:a\.?)?/gi, ' usa '],
+  [/\bunited kingdom\b|\bgreat britain\b|\bu\.k\./gi, ' uk '],
+  [/\bnew zealand\b/gi, ' nz '],
+  [/\beuropean union\b|\be\.u\./gi, ' eu '],
+  // Only capitalized, so "about us" stays a stop word
+  [/\bUSA?\b/g, ' usa '],
+  [/\bUK\b/g, ' uk '],
+  [/\bEU\b/g, ' eu ']
+];
+
+// Country and region words, mapped to one canonical word. A question about working in one country
+// doesn't answer the same question about another
+const COUNTRIES = {
+  usa: 'us', america: 'us', american: 'us',
+  uk: 'uk', britain: 'uk', british: 'uk', england: 'uk', scotland: 'uk', wales: 'uk',
+  canada: 'canada', canadian: 'canada',
+  australia: 'australia', australian: 'australia',
+  nz: 'nz', ireland: 'ireland', irish: 'ireland',
+  eu: 'eu', europe: 'eu', european: 'eu',
+  germany: 'germany', german: 'germany', france: 'france', french: 'france',
+  netherlands: 'netherlands', dutch: 'netherlands', spain: 'spain', italy: 'italy',
+  switzerland: 'switzerland', sweden: 'sweden', poland: 'poland', israel: 'israel',
+  india: 'india', indian: 'india', singapore: 'singapore', japan: 'japan', china: 'china',
+  mexico: 'mexico', brazil: 'brazil'
+};
+
+// Canonical words that name what a question is about (a place or "expected" doesn't)
+const TOPICS = new Set(Object.values(SYNONYMS).filter(word => word !== 'expect'));
+
+// Common questions offered when the bank is empty, with answers left for the user to fill in
+export const DEFAULT_QUESTIONS = [
+  'Are you legally authorized to work in the United States?',
+  'Will you now or in the future require visa sponsorship?',
+  'What are your desired salary expectations?',
+  'How did you hear about us?',
+  'Are you willing to relocate?',
+  'When can you start?'
+];
+
+/**
+ * Reduce a question or field label to its meaningful, canonical words
+ * @param {string} text - The question or label
+ * @returns {Array<string>} Canonical tokens
+ */
+function tokenize(text) {
+  const normalized = COUNTRY_PHRASES.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    String(text || '')
+  );
+  
+  return normalized
+    .toLowerCase()
+    .replace(/\(required\)|\*/g, ' ')
+    .split(/[^a-z0-9-]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(token => SYNONYMS[token] || COUNTRIES[token] || token.replace(/s$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Get the character trigrams of a string
+ * @param {string} text - Normalized text
+ * @returns {Set<string>} The trigrams
+ */
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.substring(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Compute the Dice coefficient between two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Score how likely a field label asks the same thing as a stored question
+ * @param {string} label - The field label
+ * @param {string} question - The stored question
+ * @returns {number} Similarity between 0 and 1
+ */
+export function questionSimilarity(label, question) {
+  const labelTokens = tokenize(label);
+  const questionTokens = tokenize(question);
+  
+  // "Authorized to work in Canada?" is a different question from "...in the United States?"
+  const countries = new Set(Object.values(COUNTRIES));
+  const labelCountries = labelTokens.filter(token => countries.has(token));
+  const questionCountries = new Set(questionTokens.filter(token => countries.has(token)));
+  if (labelCountries.length > 0 && questionCountries.size > 0 &&
+      !labelCountries.some(token => questionCountries.has(token))) {
+    return 0;
+  }
+  
+  // Canonical words catch rephrasings; trigrams catch typos and word forms
+  const tokenScore = dice(new Set(labelTokens), new Set(questionTokens));
+  const charScore = dice(trigrams(labelTokens.join(' ')), trigrams(questionTokens.join(' ')));
+  
+  // Long labels ("Do you require sponsorship for employment visa status?") still match on their topic,
+  // as long as the rest of their words overlap too ("Start date" of a job isn't "When can you start?")
+  const labelDetails = labelTokens.filter(token => !TOPICS.has(token));
+  const questionDetails = new Set(questionTokens.filter(token => !TOPICS.has(token)));
+  const detailsOverlap = (labelDetails.length === 0 && questionDetails.size === 0) ||
+    labelDetails.some(token => questionDetails.has(token));
+  const topicScore = detailsOverlap ? dice(
+    new Set(labelTokens.filter(token => TOPICS.has(token))),
+    new Set(questionTokens.filter(token => TOPICS.has(token)))
+  ) : 0;
+  
+  return Math.max(tokenScore, charScore * 0.9, topicScore * 0.75);
+}
+
+/**
+ * Get the stored question/answer pairs
+ * @returns {Array<Object>} Entries with id, question and answer
+ */
+export function getAnswerBank() {
+  const entries = settingsManager.getSetting('answerBank');
+  if (Array.isArray(entries)) {
+    return entries;
+  }
+  
+  // First use - start with the common questions so the user only has to fill in answers
+  const seeded = DEFAULT_QUESTIONS.map(question => ({ id: createAnswerId(), question, answer: '' }));
+  saveAnswerBank(seeded);
+  return seeded;
+}
+
+/**
+ * Replace the stored question/answer pairs
+ * @param {Array<Object>} entries - Entries with id, question and answer
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function saveAnswerBank(entries) {
+  return settingsManager.updateSetting('answerBank', entries);
+}
+
+/**
+ * Create a new entry id
+ * @returns {string} A unique id
+ */
+export function createAnswerId() {
+  return `answer_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`;
+}
+
+/**
+ * Save an answer, updating the entry for the same question if there is one
+ * @param {string} question - The question (usually a field label)
+ * @param {string} answer - The answer
+ * @returns {Object} The saved entry
+ */
+export function rememberAnswer(question, answer) {
+  const entries = getAnswerBank();
+  const match = findAnswerEntry(question, entries);
+  
+  // Close rephrasings update the stored answer; so does any match for a question with no answer yet
+  let entry;
+  if (match && (match.score >= 0.9 || !match.entry.answer)) {
+    entry = match.entry;
+    entry.answer = answer;
+    entry.updatedAt = new Date().toISOString();
+  } else {
+    entry = { id: createAnswerId(), question, answer, updatedAt: new Date().toISOString() };
+    entries.push(entry);
+  }
+  
+  saveAnswerBank(entries);
+  return entry;
+}
+
+/**
+ * Find the stored entry that best matches a field label
+ * @param {string} label - The field label
+ * @param {Array<Object>} [entries] - Entries to search, defaults to the stored bank
+ * @param {number} [threshold] - Minimum similarity
+ * @returns {Object|null} Object with entry and score, or null if nothing is close enough
+ */
+export function findAnswerEntry(label, entries = getAnswerBank(), threshold = MATCH_THRESHOLD) {
+  let best = null;
+  
+  entries.forEach(entry => {
+    const score = questionSimilarity(label, entry.question);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Answer the fields the bank knows, leaving the rest for the model
+ * @param {Array<Object>} fields - Autofillable fields from extractFormData
+ * @returns {Object} Object with answered (output fields) and remaining (fields still to fill)
+ */
+export function prefillFromAnswerBank(fields) {
+  const entries = getAnswerBank().filter(entry => entry.question && entry.answer);
+  const answered = [];
+  const remaining = [];
+  
+  (fields || []).forEach(field => {
+    const match = entries.length > 0 && field.label ? findAnswerEntry(field.label, entries) : null;
+    if (!match) {
+      remaining.push(field);
+      return;
+    }
+    
+    // Choice fields only take the answer if it maps onto one of their options
+    let value = match.entry.answer;
+    if (field.options && field.options.length > 0) {
+      const choice = resolveChoiceValue(field, value);
+      if (!choice.matched) {
+        remaining.push(field);
+        return;
+      }
+      value = choice.text;
+    }
+    
+    answered.push({
+      id: field.name || field.id,
+      value,
+      confidence: 'High',
+      source: 'answerBank',
+      question: match.entry.question
+    });
+  });
+  
+  return { answered, remaining };
+}
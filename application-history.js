@@ -0,0 +1,261 @@
+/**
+ * application-history.js
+ * Log of job applications (one record per application page) kept in chrome.storage.local
+ */
+
+// Storage key for the log in chrome.storage.local
+const STORAGE_KEY = 'applicationHistory';
+
+// Query parameters job boards use for the posting an application is for (the same list as background.js)
+const JOB_ID_PARAMS = ['gh_jid', 'job', 'jobid', 'job_id', 'jk', 'reqid', 'req_id', 'requisitionid', 'postingid', 'jobreqid'];
+
+// Statuses an application moves through
+export const APPLICATION_STATUSES = ['draft', 'submitted', 'interview', 'rejected'];
+
+/**
+ * Read the application log
+ * @returns {Promise<Array<Object>>} Records, newest first
+ */
+export function getApplications() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([STORAGE_KEY], data => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      const records = data[STORAGE_KEY] || [];
+      resolve(records.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '')));
+    });
+  });
+}
+
+/**
+ * Write the application log
+ * @param {Array<Object>} records - All records
+ * @returns {Promise<void>}
+ */
+function saveApplications(records) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEY]: records }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Get the key that identifies an application page, ignoring fragments and query parameters other
+ * than the posting's id (Taleo's ?job=, Workday and iCIMS ?jobId=), so tracking parameters don't
+ * split one application into several records
+ * @param {string} pageUrl - The page URL
+ * @returns {string} Origin and path of the page, plus its job id parameters
+ */
+export function getSiteKey(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+    const jobParams = Array.from(url.searchParams)
+      .filter(([name, value]) => value && JOB_ID_PARAMS.includes(name.toLowerCase()))
+      .map(([name, value]) => `${name.toLowerCase()}=${value}`)
+      .sort();
+    const key = (url.origin + url.pathname).replace(/\/+$/, '');
+    return jobParams.length > 0 ? `${key}?${jobParams.join('&')}` : key;
+  } catch (error) {
+    return pageUrl || '';
+  }
+}
+
+/**
+ * Guess the company and role from the page title and URL of a job application
+ * @param {string} pageTitle - The page title
+ * @param {string} pageUrl - The page URL
+ * @returns {Object} Object with company and role (empty strings when unknown)
+ */
+export function inferCompanyAndRole(pageTitle, pageUrl) {
+  const title = (pageTitle || '').trim();
+  let company = '';
+  let role = '';
+  
+  // "Job Application for Senior Engineer at Acme" (Greenhouse) or "Senior Engineer at Acme"
+  let match = title.match(/^(?:job application for\s+)?(.+?)\s+at\s+(.+?)(?:\s+[|\-–—]\s.*)?$/i);
+  if (match) {
+    role = match[1];
+    company = match[2];
+  } else {
+    // "Acme - Senior Engineer" (Lever) or "Senior Engineer | Acme"
+    match = title.match(/^(.+?)\s+[|\-–—]\s+(.+)$/);
+    if (match) {
+      const [first, second] = [match[1].trim(), match[2].trim()];
+      const looksLikeRole = text => /\b(engineer|developer|manager|analyst|designer|scientist|intern|lead|director|specialist|consultant|architect|associate|coordinator|representative)\b/i.test(text);
+      if (looksLikeRole(first) && !looksLikeRole(second)) {
+        role = first;
+        company = second;
+      } else {
+        company = first;
+        role = second;
+      }
+    } else {
+      role = title;
+    }
+  }
+  
+  // Hosted job boards put the company in the URL
+  if (!company && pageUrl) {
+    try {
+      const url = new URL(pageUrl);
+      const pathCompany = url.pathname.split('/').filter(Boolean)[0];
+      if (/greenhouse\.io|lever\.co|ashbyhq\.com|smartrecruiters\.com/.test(url.hostname) && pathCompany) {
+        company = pathCompany;
+      } else if (/myworkdayjobs\.com|icims\.com/.test(url.hostname)) {
+        company = url.hostname.split('.')[0];
+      } else {
+        company = url.hostname.replace(/^(www|jobs|careers|apply)\./, '').split('.')[0];
+      }
+    } catch (error) {
+      // Not a valid URL - leave the company empty
+    }
+  }
+  
+  return {
+    company: company.replace(/\s*careers?$/i, '').trim(),
+    role: role.trim()
+  };
+}
+
+/**
+ * Record (or update) the application for a page after output is generated
+ * @param {Object} details - Application details
+ * @param {string} details.pageUrl - URL of the application page
+ * @param {string} details.pageTitle - Title of the application page
+ * @param {Array<Object>} details.fields - Filled values: { id, label, value, confidence }
+ * @param {Object|null} details.resumeProfile - Resume profile used: { id, name }
+ * @returns {Promise<Object>} The saved record
+ */
+export async function recordApplication({ pageUrl, pageTitle, fields, resumeProfile }) {
+  const records = await getApplications();
+  const siteKey = getSiteKey(pageUrl);
+  const now = new Date().toISOString();
+  
+  // One record per application page - regenerating updates it but keeps the user's status and edits
+  let record = records.find(existing => existing.siteKey === siteKey);
+  if (!record) {
+    const { company, role } = inferCompanyAndRole(pageTitle, pageUrl);
+    record = {
+      id: `app_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`,
+      siteKey,
+      company,
+      role,
+      status: 'draft',
+      createdAt: now
+    };
+    records.push(record);
+  }
+  
+  Object.assign(record, {
+    pageUrl,
+    pageTitle: pageTitle || '',
+    resumeProfile: resumeProfile || null,
+    fields: fields || [],
+    updatedAt: now
+  });
+  
+  await saveApplications(records);
+  return record;
+}
+
+/**
+ * Update fields of an application record
+ * @param {string} id - The record id
+ * @param {Object} changes - Fields to change (company, role, status, notes)
+ * @returns {Promise<Object|null>} The updated record, or null if it wasn't found
+ */
+export async function updateApplication(id, changes) {
+  const records = await getApplications();
+  const record = records.find(existing => existing.id === id);
+  if (!record) {
+    return null;
+  }
+  
+  if (changes.status && !APPLICATION_STATUSES.includes(changes.status)) {
+    throw new Error(`Unknown application status: ${changes.status}`);
+  }
+  
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  await saveApplications(records);
+  return record;
+}
+
+/**
+ * Delete an application record
+ * @param {string} id - The record id
+ * @returns {Promise<void>}
+ */
+export async function deleteApplication(id) {
+  const records = await getApplications();
+  await saveApplications(records.filter(record => record.id !== id));
+}
+
+/**
+ * Delete all application records
+ * @returns {Promise<void>}
+ */
+export function clearApplications() {
+  return saveApplications([]);
+}
+
+/**
+ * Filter application records
+ * @param {Array<Object>} records - All records
+ * @param {Object} filters - Filters: query (company/role/title/URL text), status, resumeProfileId
+ * @returns {Array<Object>} Matching records
+ */
+export function filterApplications(records, { query = '', status = '', resumeProfileId = '' } = {}) {
+  const search = query.trim().toLowerCase();
+  
+  return records.filter(record => {
+    if (status && record.status !== status) return false;
+    if (resumeProfileId && (!record.resumeProfile || record.resumeProfile.id !== resumeProfileId)) return false;
+    if (!search) return true;
+    
+    return [record.company, record.role, record.pageTitle, record.pageUrl]
+      .some(value => (value || '').toLowerCase().includes(search));
+  });
+}
+
+/**
+ * Quote a value for CSV
+ * Values a spreadsheet would run as a formula (page titles and filled values come from web pages)
+ * are prefixed with a quote so they open as text
+ * @param {*} value - The value
+ * @returns {string} The CSV cell
+ */
+function csvCell(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert application records to CSV
+ * @param {Array<Object>} records - Records to export
+ * @returns {string} CSV text with a header row
+ */
+export function applicationsToCsv(records) {
+  const header = ['Date', 'Company', 'Role', 'Status', 'Resume Profile', 'Page Title', 'URL', 'Filled Values'];
+  
+  const rows = records.map(record => [
+    (record.createdAt || '').substring(0, 10),
+    record.company,
+    record.role,
+    record.status,
+    record.resumeProfile ? record.resumeProfile.name : '',
+    record.pageTitle,
+    record.pageUrl,
+    (record.fields || []).map(field => `${field.label || field.id}: ${field.value}`).join('; ')
+  ]);
+  
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -1,30 +1,39 @@
 // Background script to handle API requests without CORS issues
+
+// Storage key for multi-step application sessions, keyed by tab ID
+const SESSIONS_KEY = 'applicationSessions';
+
+// Sessions left alone this long are treated as finished
+const SESSION_IDLE_TIMEOUT = 2 * 60 * 60 * 1000;
+
+// Query parameters job boards use for the posting an application is for
+const JOB_ID_PARAMS = ['gh_jid', 'job', 'jobid', 'job_id', 'jk', 'reqid', 'req_id', 'requisitionid', 'postingid', 'jobreqid'];
+
+// Path segments that name a posting: long numbers (Greenhouse, iCIMS), UUIDs (Lever, Ashby), or requisition ids (Workday)
+const JOB_ID_SEGMENT = /(\d{4,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|_R-?\d+)/i;
+
+// Name of the ports the viewer opens for streaming API calls
+const STREAM_PORT_NAME = 'apiStream';
+
+// API calls in flight, by the request ID the viewer gave them, with the function that cancels each
+const activeApiCalls = new Map();
+
+// Rate-limited (429) and server error (5xx) responses are retried with exponential backoff
+const RETRYABLE_STATUSES = /^(429|5\d\d)$/;
+const MAX_API_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30 * 1000;
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "makeApiCall") {
     const { url, method, headers, body } = request;
-    
-    // Determine if this is a local API call
-    const isLocalCall = url.includes('localhost') || 
-                       url.includes('127.0.0.1') || 
-                       url.includes('::1');
-    
-    // Prepare fetch options with proper CORS settings
-    const options = {
-      method: method || "POST",
-      headers: headers || {},
-      // Add mode and credentials for local API calls
-      mode: isLocalCall ? 'cors' : 'same-origin',
-      credentials: isLocalCall ? 'omit' : 'same-origin'
-    };
-    
-    // Add body if provided
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
+    const options = getFetchOptions(url, method, headers, body);
+    const call = startApiCall(request.requestId, request.timeout);
+    options.signal = call.signal;
     
     console.log(`Making API request to: ${url}`, options);
     
-    fetch(url, options)
+    fetchWithRetry(url, options)
     .then(async response => {
       console.log(`Response from ${url}:`, {
         status: response.status,
@@ -65,51 +74,763 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     })
     .catch(error => {
-      console.error("API error:", error);
-      sendResponse({ success: false, error: error.message });
-    });
+      const callError = call.getError(error);
+      console.error("API error:", callError);
+      sendResponse({ success: false, error: callError.message });
+    })
+    .finally(call.finish);
     
     return true; // Required for async sendResponse
   }
   
+  // Stop an API call the viewer no longer wants (the Stop button)
+  else if (request.action === "cancelApiCall") {
+    const cancel = activeApiCalls.get(request.requestId);
+    if (cancel) {
+      cancel();
+    }
+  }
+  
   // Handle form detection message from content script
   else if (request.action === "formDetected") {
     console.log("Form detected:", request.formData);
     
-    // Store the form data in local storage
-    chrome.storage.local.set({
-      extractedHTML: JSON.stringify(request.formData),
-      pageUrl: sender.tab ? sender.tab.url : null,
-      pageTitle: sender.tab ? sender.tab.title : null,
-      detectionTime: Date.now()
-    });
+    // Each frame reports on its own - rescan the whole tab so fields in iframes are included
+    collectTabFormData(sender.tab.id)
+      .catch(error => {
+        console.warn("Could not scan all frames, using the reporting frame's data:", error);
+        return request.formData;
+      })
+      .then(formData => {
+        storeDetectedFormData(sender.tab, formData);
+        return recordSessionStep(sender.tab, formData);
+      })
+      .catch(error => console.error("Error recording application step:", error));
+    
+    // No need to send a response here as the content script isn't expecting one
+  }
+  
+  // Multi-step application sessions (used by the viewer)
+  else if (request.action === "getSession") {
+    getSessions()
+      .then(sessions => sendResponse({ success: true, session: sessions[request.tabId] || null }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  else if (request.action === "getSessionAnswers") {
+    getSessions()
+      .then(sessions => {
+        const session = sessions[request.tabId];
+        const answered = session ? matchSessionAnswers(session, request.fields || []) : [];
+        sendResponse({ success: true, answered });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  else if (request.action === "recordSessionAnswers") {
+    recordSessionAnswers(request.tabId, request.answers || [])
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  else if (request.action === "endSession") {
+    updateSessions(sessions => {
+      delete sessions[request.tabId];
+    })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Scan every frame of a tab on request (from the popup)
+  else if (request.action === "collectFormData") {
+    collectTabFormData(request.tabId)
+      .then(formData => sendResponse({ success: true, formData }))
+      .catch(error => {
+        console.error("Error collecting form data:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true; // Required for async sendResponse
+  }
+});
+
+// Streaming API calls - the viewer opens one port per request and gets the reply as it's generated
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== STREAM_PORT_NAME) {
+    return;
+  }
+  
+  port.onMessage.addListener(request => {
+    if (request.action === "streamApiCall") {
+      streamApiCall(port, request);
+    }
+  });
+});
+
+/**
+ * Build fetch options for an API call, with CORS settings for local servers
+ * @param {string} url - The endpoint
+ * @param {string} method - The HTTP method
+ * @param {Object} headers - Request headers
+ * @param {Object} body - The JSON request body
+ * @returns {Object} The fetch options
+ */
+function getFetchOptions(url, method, headers, body) {
+  // Determine if this is a local API call
+  const isLocalCall = url.includes('localhost') || 
+                     url.includes('127.0.0.1') || 
+                     url.includes('::1');
+  
+  // Prepare fetch options with proper CORS settings
+  const options = {
+    method: method || "POST",
+    headers: headers || {},
+    // Add mode and credentials for local API calls
+    mode: isLocalCall ? 'cors' : 'same-origin',
+    credentials: isLocalCall ? 'omit' : 'same-origin'
+  };
+  
+  // Add body if provided
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+  
+  return options;
+}
+
+/**
+ * Make a streaming API call and post each piece of the reply to the port
+ * Posts { type: "delta", text } per piece, then { type: "done", text } with the whole reply,
+ * or { type: "error", error }; the call is aborted if the viewer disconnects or the timeout passes
+ * @param {chrome.runtime.Port} port - The viewer's port
+ * @param {Object} request - The request: url, headers, body, format ("openai", "anthropic" or "ollama")
+ *   and timeout (milliseconds, 0 for no limit)
+ */
+async function streamApiCall(port, request) {
+  const call = startApiCall(null, request.timeout);
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    call.cancel();
+  });
+  
+  try {
+    const options = getFetchOptions(request.url, "POST", request.headers, request.body);
+    options.signal = call.signal;
+    
+    console.log(`Making streaming API request to: ${request.url}`);
+    const response = await fetchWithRetry(request.url, options);
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}: ${body}`);
+    }
     
-    // Update the badge to indicate forms are available
-    if (request.formData.pageAnalysis.autofillableFieldsCount > 0) {
-      chrome.action.setBadgeText({ 
-        text: request.formData.pageAnalysis.autofillableFieldsCount.toString(),
-        tabId: sender.tab.id
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    
+    const handleLine = line => {
+      const delta = parseStreamLine(line, request.format);
+      if (delta) {
+        text += delta;
+        port.postMessage({ type: "delta", text: delta });
+      }
+    };
+    
+    // Both SSE and NDJSON put one event per line; keep the unfinished last line for the next chunk
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) {
+      handleLine(buffer);
+    }
+    
+    port.postMessage({ type: "done", text });
+  } catch (error) {
+    if (!disconnected) {
+      const callError = call.getError(error);
+      console.error("Streaming API error:", callError);
+      port.postMessage({ type: "error", error: callError.message });
+    }
+  } finally {
+    call.finish();
+  }
+}
+
+/**
+ * Fetch, retrying rate-limited (429) and server error (5xx) responses with exponential backoff
+ * @param {string} url - The endpoint
+ * @param {Object} options - The fetch options (an aborted signal also stops the waiting)
+ * @returns {Promise<Response>} The first response that isn't retried
+ */
+async function fetchWithRetry(url, options) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, options);
+    if (response.ok || !RETRYABLE_STATUSES.test(String(response.status)) || attempt >= MAX_API_RETRIES) {
+      return response;
+    }
+    
+    const delay = getRetryDelay(response, attempt);
+    if (delay === null) {
+      // The server wants a longer break than we're willing to wait - let the caller fall back
+      return response;
+    }
+    
+    console.warn(`HTTP ${response.status} from ${url}, retrying in ${delay}ms (retry ${attempt + 1} of ${MAX_API_RETRIES})`);
+    await response.text().catch(() => '');
+    await waitForRetry(delay, options.signal);
+  }
+}
+
+/**
+ * Work out how long to wait before retrying a response, honouring its Retry-After header
+ * @param {Response} response - The rate-limited or failed response
+ * @param {number} attempt - How many retries came before (0 for the first)
+ * @returns {number|null} Milliseconds to wait, or null if Retry-After asks for more than RETRY_MAX_DELAY
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!isNaN(delay)) {
+      return delay > RETRY_MAX_DELAY ? null : Math.max(0, delay);
+    }
+  }
+  
+  // Exponential backoff with some jitter, so parallel calls don't retry in lockstep
+  const backoff = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(RETRY_MAX_DELAY, Math.round(backoff + Math.random() * backoff / 2));
+}
+
+/**
+ * Wait before a retry, stopping early if the call is aborted
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} [signal] - The call's abort signal
+ * @returns {Promise<void>} Resolves after the delay, rejects if the call is aborted
+ */
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error("Request aborted"));
+      return;
+    }
+    
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error("Request aborted"));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Set up cancellation and the timeout of an API call
+ * @param {string} [requestId] - ID the caller can cancel the call with (cancelApiCall)
+ * @param {number} [timeout] - Milliseconds before the call is abandoned (0 or missing for no limit)
+ * @returns {Object} The call: signal for fetch, cancel(), getError(error) - which replaces the
+ *   AbortError with why the call was stopped - and finish() to clean up
+ */
+function startApiCall(requestId, timeout) {
+  const controller = new AbortController();
+  let stopReason = null;
+  
+  const stop = reason => {
+    if (!stopReason) {
+      stopReason = reason;
+      controller.abort();
+    }
+  };
+  
+  const timer = timeout > 0
+    ? setTimeout(() => stop(`Request timed out after ${Math.round(timeout / 1000)}s`), timeout)
+    : null;
+  if (requestId) {
+    activeApiCalls.set(requestId, () => stop("Request cancelled"));
+  }
+  
+  return {
+    signal: controller.signal,
+    cancel: () => stop("Request cancelled"),
+    getError: error => stopReason ? new Error(stopReason) : error,
+    finish: () => {
+      clearTimeout(timer);
+      if (requestId) {
+        activeApiCalls.delete(requestId);
+      }
+    }
+  };
+}
+
+/**
+ * Get the text added by one line of a streamed response
+ * @param {string} line - One line of the response body
+ * @param {string} format - "openai" (SSE chat completion chunks, also LM Studio), "anthropic" (SSE
+ *   message events) or "ollama" (NDJSON chat chunks)
+ * @returns {string} The new text, or '' for lines without any
+ * @throws {Error} If the stream reports an error
+ */
+function parseStreamLine(line, format) {
+  const trimmed = line.trim();
+  if (!trimmed) {
+    return '';
+  }
+  
+  let payload = trimmed;
+  if (format !== 'ollama') {
+    // SSE - only data lines carry events ("event:" lines repeat the type that's also in the data)
+    if (!trimmed.startsWith('data:')) {
+      return '';
+    }
+    payload = trimmed.substring(5).trim();
+    if (payload === '[DONE]') {
+      return '';
+    }
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (error) {
+    console.warn("Skipping unparseable stream line:", line);
+    return '';
+  }
+  
+  if (data.error) {
+    throw new Error(typeof data.error === 'string' ? data.error : data.error.message || JSON.stringify(data.error));
+  }
+  
+  if (format === 'ollama') {
+    return (data.message && data.message.content) || data.response || '';
+  }
+  if (format === 'anthropic') {
+    if (data.type !== 'content_block_delta' || !data.delta) {
+      return '';
+    }
+    // A forced tool (structured output) streams its input as pieces of JSON
+    if (data.delta.type === 'input_json_delta') {
+      return data.delta.partial_json || '';
+    }
+    return data.delta.type === 'text_delta' ? data.delta.text : '';
+  }
+  const choice = data.choices && data.choices[0];
+  return (choice && choice.delta && choice.delta.content) || '';
+}
+
+/**
+ * Run the content script's extractFormData in every frame of a tab and stitch the results together
+ * @param {number} tabId - The tab to scan
+ * @returns {Promise<Object>} Combined form data, with each field tagged with its frameId
+ */
+function collectTabFormData(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      // Runs in the content script's world, so it can call the content script's own functions.
+      // Same-origin child frames are already part of their parent's scan.
+      func: () => {
+        if (typeof extractFormData !== 'function' || coveredByParentFrame) {
+          return null;
+        }
+        return extractFormData();
+      }
+    }, results => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      const formData = stitchFrameFormData(results || []);
+      if (formData.pageAnalysis.framesScanned === 0) {
+        reject(new Error("The content script isn't running in this tab"));
+        return;
+      }
+      
+      resolve(formData);
+    });
+  });
+}
+
+/**
+ * Combine the form data of several frames into one result
+ * @param {Array<Object>} frameResults - executeScript results with frameId and result
+ * @returns {Object} Form data in the shape extractFormData returns, plus frameId on every field
+ */
+function stitchFrameFormData(frameResults) {
+  const combined = {
+    forms: [],
+    autofillableFields: [],
+    fileFields: [],
+    siteAdapter: null,
+    repeatingSections: [],
+    pageAnalysis: {
+      totalForms: 0,
+      totalFields: 0,
+      autofillableFieldsCount: 0,
+      requiredFieldsCount: 0,
+      fileFieldsCount: 0,
+      framesScanned: 0
+    }
+  };
+  const usedIds = new Set();
+  
+  frameResults
+    .filter(frame => frame && frame.result)
+    .sort((a, b) => a.frameId - b.frameId)
+    .forEach(({ frameId, result }) => {
+      combined.pageAnalysis.framesScanned++;
+      Object.keys(combined.pageAnalysis).forEach(key => {
+        if (typeof result.pageAnalysis[key] === 'number') {
+          combined.pageAnalysis[key] += result.pageAnalysis[key];
+        }
       });
-      chrome.action.setBadgeBackgroundColor({ color: "#4285f4" });
       
-      // Optional: show a notification
-      chrome.notifications.create({
-        type: "basic",
-        iconUrl: "icon-128.png",
-        title: "Form Detected",
-        message: `Detected ${request.formData.pageAnalysis.autofillableFieldsCount} autofillable fields on this page.`,
-        priority: 0
+      // A field appears in both its form and autofillableFields, so ids are mapped once per frame.
+      // Ids another frame already used get a frame prefix; elementId keeps the id to look up.
+      const frameIds = new Map();
+      const tagField = field => {
+        if (!frameIds.has(field.id)) {
+          const id = usedIds.has(field.id) ? `frame${frameId}_${field.id}` : field.id;
+          usedIds.add(id);
+          frameIds.set(field.id, id);
+        }
+        
+        const id = frameIds.get(field.id);
+        return id === field.id ? { ...field, frameId } : { ...field, id, elementId: field.id, frameId };
+      };
+      
+      (result.forms || []).forEach(form => {
+        combined.forms.push({ ...form, frameId, fields: form.fields.map(tagField) });
       });
+      combined.autofillableFields.push(...(result.autofillableFields || []).map(tagField));
+      combined.fileFields.push(...(result.fileFields || []).map(field => ({ ...field, frameId })));
+      combined.repeatingSections.push(...(result.repeatingSections || []).map(section => ({ ...section, frameId })));
+      
+      // An embedded job board (e.g. a Greenhouse iframe) names the site the application runs on
+      combined.siteAdapter = combined.siteAdapter || result.siteAdapter || null;
+    });
+  
+  return combined;
+}
+
+/**
+ * Store detected form data for the popup and viewer, and show the field count on the badge
+ * @param {Object} tab - The tab the form is in
+ * @param {Object} formData - The detected form data
+ */
+function storeDetectedFormData(tab, formData) {
+  chrome.storage.local.set({
+    extractedHTML: JSON.stringify(formData),
+    pageUrl: tab ? tab.url : null,
+    pageTitle: tab ? tab.title : null,
+    pageTabId: tab ? tab.id : null,
+    detectionTime: Date.now()
+  });
+  
+  // Update the badge to indicate forms are available
+  if (formData.pageAnalysis.autofillableFieldsCount > 0) {
+    chrome.action.setBadgeText({ 
+      text: formData.pageAnalysis.autofillableFieldsCount.toString(),
+      tabId: tab.id
+    });
+    chrome.action.setBadgeBackgroundColor({ color: "#4285f4" });
+    
+    // Optional: show a notification
+    chrome.notifications.create({
+      type: "basic",
+      iconUrl: "icon-128.png",
+      title: "Form Detected",
+      message: `Detected ${formData.pageAnalysis.autofillableFieldsCount} autofillable fields on this page.`,
+      priority: 0
+    });
+  }
+}
+
+/**
+ * Read the multi-step application sessions
+ * @returns {Promise<Object>} Sessions keyed by tab ID
+ */
+function getSessions() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([SESSIONS_KEY], data => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(data[SESSIONS_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Change the stored sessions
+ * @param {Function} change - Receives the sessions object to modify in place
+ * @returns {Promise<Object>} The saved sessions
+ */
+async function updateSessions(change) {
+  const sessions = await getSessions();
+  change(sessions);
+  
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [SESSIONS_KEY]: sessions }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(sessions);
+    });
+  });
+}
+
+/**
+ * Get the key that identifies the same question across steps (field ids change from page to page)
+ * @param {Object} field - Field with a label
+ * @returns {string} Normalized label, or '' for unlabelled fields
+ */
+function getQuestionKey(field) {
+  return (field.label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Get the id of the job posting a page belongs to
+ * @param {string} url - The page URL
+ * @returns {string|null} The job id from the query or the path, or null if the URL doesn't name one
+ */
+function getJobId(url) {
+  try {
+    const parsed = new URL(url);
+    for (const [name, value] of parsed.searchParams) {
+      if (value && JOB_ID_PARAMS.includes(name.toLowerCase())) {
+        return value.toLowerCase();
+      }
     }
     
-    // No need to send a response here as the content script isn't expecting one
+    const segment = parsed.pathname.split('/').find(part => JOB_ID_SEGMENT.test(part));
+    return segment ? segment.toLowerCase() : null;
+  } catch (error) {
+    return null;
   }
-});
+}
+
+/**
+ * Check whether a session still belongs to the page a tab shows
+ * Pages on the same site continue the application unless they name a different job posting
+ * @param {Object|undefined} session - The stored session
+ * @param {string} url - The tab's URL
+ * @returns {boolean} True if the page continues the session's application
+ */
+function isSameApplication(session, url) {
+  if (!session || Date.now() - session.updatedAt > SESSION_IDLE_TIMEOUT) {
+    return false;
+  }
+  
+  try {
+    if (new URL(url).hostname !== session.host) {
+      return false;
+    }
+  } catch (error) {
+    return false;
+  }
+  
+  // Later steps often drop the job id from the URL, but one naming another job is a new application
+  const jobId = getJobId(url);
+  return !jobId || !session.jobId || jobId === session.jobId;
+}
+
+/**
+ * Check whether a detected form is still the last step of the application
+ * Questions appearing or going away (like follow-ups to an answer) don't make a new step
+ * @param {Object|undefined} lastStep - The last recorded step
+ * @param {string} url - The tab's URL
+ * @param {Array<string>} questions - Question keys of the detected form
+ * @returns {boolean} True if the form is the same step
+ */
+function isSameStep(lastStep, url, questions) {
+  if (!lastStep) {
+    return false;
+  }
+  
+  // The same questions in the same order mean the page didn't move on (e.g. a validation error)
+  if (lastStep.signature === questions.join('|')) {
+    return true;
+  }
+  if (lastStep.url !== url) {
+    return false;
+  }
+  
+  // On the same page, most of the questions of the smaller form are shared with the other
+  const previous = new Set(lastStep.questions || []);
+  const shared = questions.filter(question => previous.has(question)).length;
+  return shared > 0 && shared >= Math.min(previous.size, questions.length) / 2;
+}
+
+/**
+ * Record a detected step of a multi-step application and find what earlier steps already answered
+ * @param {Object} tab - The tab the form is in
+ * @param {Object} formData - The stitched form data of the step
+ * @returns {Promise<void>}
+ */
+async function recordSessionStep(tab, formData) {
+  const fields = formData.autofillableFields || [];
+  if (!tab || fields.length === 0) {
+    return;
+  }
+  
+  const questions = fields.map(getQuestionKey);
+  let step = null;
+  let session = null;
+  
+  await updateSessions(sessions => {
+    session = sessions[tab.id];
+    if (!isSameApplication(session, tab.url)) {
+      session = {
+        tabId: tab.id,
+        host: new URL(tab.url).hostname,
+        jobId: null,
+        startedAt: Date.now(),
+        steps: [],
+        answers: {}
+      };
+      sessions[tab.id] = session;
+    }
+    session.jobId = session.jobId || getJobId(tab.url);
+    
+    const lastStep = session.steps[session.steps.length - 1];
+    if (isSameStep(lastStep, tab.url, questions)) {
+      lastStep.url = tab.url;
+      lastStep.signature = questions.join('|');
+      lastStep.questions = questions;
+      lastStep.fieldCount = fields.length;
+    } else {
+      step = {
+        number: session.steps.length + 1,
+        url: tab.url,
+        title: tab.title || '',
+        signature: questions.join('|'),
+        questions,
+        fieldCount: fields.length,
+        detectedAt: Date.now()
+      };
+      session.steps.push(step);
+    }
+    session.updatedAt = Date.now();
+  });
+  
+  if (!step) {
+    return;
+  }
+  
+  // Answers given on earlier steps go to the viewer for review - nothing is written into the page from here
+  const answered = step.number > 1 ? matchSessionAnswers(session, fields.filter(field => !field.value)) : [];
+  
+  // Tell an open viewer about the new step
+  chrome.runtime.sendMessage({
+    action: "sessionStepDetected",
+    tabId: tab.id,
+    url: tab.url,
+    title: tab.title || '',
+    step: step.number,
+    formData,
+    answered
+  }, () => {
+    // No viewer open - nothing to update
+    if (chrome.runtime.lastError) {
+      return;
+    }
+  });
+}
+
+/**
+ * Find earlier answers for the questions of a step
+ * @param {Object} session - The application session
+ * @param {Array<Object>} fields - Fields of the step
+ * @returns {Array<Object>} Output fields ({ id, value, confidence, source }) for the questions already answered
+ */
+function matchSessionAnswers(session, fields) {
+  return fields
+    .map(field => {
+      const answer = session.answers[getQuestionKey(field)];
+      // Labels repeated with different answers (like "Job Title" for each job) can't be reused safely
+      if (!answer || answer.ambiguous) {
+        return null;
+      }
+      return {
+        id: field.name || field.id,
+        value: answer.value,
+        confidence: answer.confidence || 'High',
+        source: 'session'
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Save answers given on a step so later steps can reuse them
+ * @param {number} tabId - The application tab
+ * @param {Array<Object>} answers - Answers with label, value and confidence
+ * @returns {Promise<Object>} The saved sessions
+ */
+function recordSessionAnswers(tabId, answers) {
+  return updateSessions(sessions => {
+    const session = sessions[tabId];
+    if (!session) {
+      return;
+    }
+    
+    answers.forEach(answer => {
+      const key = getQuestionKey(answer);
+      if (!key || !answer.value) {
+        return;
+      }
+      
+      const previous = session.answers[key];
+      const ambiguous = Boolean(previous && previous.step !== session.steps.length && previous.value !== answer.value) ||
+        Boolean(previous && previous.ambiguous);
+      session.answers[key] = {
+        label: answer.label,
+        value: answer.value,
+        confidence: answer.confidence || 'High',
+        step: session.steps.length,
+        ambiguous
+      };
+    });
+    session.updatedAt = Date.now();
+  });
+}
 
 // Listen for tab updates to reset badge and trigger form scanning
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // Reset badge when page starts loading
+  // Reset badge when page starts loading, unless the tab is moving to the next step of an application
   if (changeInfo.status === 'loading') {
-    chrome.action.setBadgeText({ text: "", tabId });
+    getSessions()
+      .then(sessions => {
+        if (!isSameApplication(sessions[tabId], tab.url)) {
+          chrome.action.setBadgeText({ text: "", tabId });
+        }
+      })
+      .catch(() => chrome.action.setBadgeText({ text: "", tabId }));
   }
+});
+
+// Forget the application session of a closed tab
+chrome.tabs.onRemoved.addListener(tabId => {
+  updateSessions(sessions => {
+    delete sessions[tabId];
+  }).catch(error => console.error("Error removing application session:", error));
 });
\ No newline at end of file
@@ -6,9 +6,28 @@ let detectedForms = {
   initial: false,  // Whether initial scan has been completed
   forms: [],       // Forms detected 
   dynamicFormData: null, // Data structure for dynamic forms
-  observing: false // Whether we're currently observing DOM changes
+  observing: false, // Whether we're currently observing DOM changes
+  sections: new Map(), // Repeating section elements from the last scan, by section id
+  scannedFields: [] // Fields from the last scan with their fingerprints and elements
 };
 
+// Minimum fingerprint similarity for a field to be re-found after the page changed
+const FINGERPRINT_MATCH_THRESHOLD = 0.6;
+
+// Elements that hold a fillable value: native inputs plus rich-text blocks and ARIA widgets
+const FIELD_SELECTOR = 'input, select, textarea, [contenteditable=""], [contenteditable="true"], ' +
+  '[role="combobox"], [role="listbox"], [role="textbox"]';
+
+// Frames the parent frame can reach into (same-origin iframes) are scanned as part of the parent,
+// so they don't report forms themselves
+const coveredByParentFrame = (() => {
+  try {
+    return window.frameElement !== null;
+  } catch (error) {
+    return false;
+  }
+})();
+
 // Function to extract form data - similar to the function in popup.js but enhanced
 function extractFormData() {
   console.log("Extracting form data from current DOM");
@@ -24,169 +43,329 @@ function extractFormData() {
       requiredFieldsCount: 0
     }
   };
+  
+  // Applicant tracking systems with a known layout get their own label and field rules (site-adapters.js)
+  const siteAdapter = getSiteAdapter(document);
+  result.siteAdapter = siteAdapter ? siteAdapter.name : null;
+  
+  // Work history / education sections that take one entry per job or school
+  result.repeatingSections = [];
+  detectedForms.sections = new Map();
+  
+  // Fingerprints let the fill step re-find fields after the DOM shifted
+  detectedForms.scannedFields = [];
+  const fingerprintPositions = new Map();
 
-  // Get all forms in the document
-  const forms = document.forms;
-  result.pageAnalysis.totalForms = forms.length;
-
-  // Process each form
-  for (let i = 0; i < forms.length; i++) {
-    const form = forms[i];
-    const formData = {
-      id: form.id || `form_${i}`,
-      name: form.name || '',
-      method: form.method || '',
-      action: form.action || '',
-      fields: []
-    };
-
-    // Get all input elements within the form
-    const inputElements = form.querySelectorAll('input, select, textarea');
+  // Radio groups already recorded, keyed by form ID and group name
+  const seenRadioGroups = new Set();
+  
+  // Scan the document plus every open shadow root and same-origin iframe inside it
+  const searchRoots = collectSearchRoots(document, []);
+  searchRoots.forEach(({ root, scopePath }, rootIndex) => {
+    // Generated ids outside the top document get a prefix so they cannot collide with its own
+    const idPrefix = rootIndex === 0 ? '' : `scope${rootIndex}_`;
+    scanRoot(root, scopePath, idPrefix);
+  });
+  
+  /**
+   * Record the forms and standalone fields of one document or shadow root
+   * @param {Document|ShadowRoot} root - The root to scan
+   * @param {Array<Object>} scopePath - Steps from the frame's document to this root
+   * @param {string} idPrefix - Prefix for generated form ids
+   */
+  function scanRoot(root, scopePath, idPrefix) {
+    const rootSections = findRepeatingSections(root, siteAdapter);
+    rootSections.forEach(section => {
+      section.id = `section_${result.repeatingSections.length}`;
+      detectedForms.sections.set(section.id, section);
+      result.repeatingSections.push({
+        id: section.id,
+        kind: section.kind,
+        label: getGroupName(section.element) || section.kind,
+        entries: section.entries.length,
+        canAdd: Boolean(section.addButton),
+        path: getElementPath(section.element),
+        scopePath
+      });
+    });
     
-    for (let j = 0; j < inputElements.length; j++) {
-      const field = inputElements[j];
-      result.pageAnalysis.totalFields++;
+    // Get all forms in this document or shadow root
+    const forms = root.querySelectorAll('form');
+    result.pageAnalysis.totalForms += forms.length;
+
+    // Process each form
+    for (let i = 0; i < forms.length; i++) {
+      const form = forms[i];
+      const formData = {
+        id: form.id || `${idPrefix}form_${i}`,
+        name: form.name || '',
+        method: form.method || '',
+        action: form.action || '',
+        fields: []
+      };
+
+      // Get all input elements and custom widgets within the form
+      const inputElements = Array.from(form.querySelectorAll(FIELD_SELECTOR))
+        .filter(field => !isNestedWidgetPart(field) && !isAdapterIgnoredField(siteAdapter, field));
       
-      // Skip hidden, submit, reset, and button inputs
-      if (field.type === 'hidden' || field.type === 'submit' || 
-          field.type === 'reset' || field.type === 'button' ||
-          field.type === 'image') {
-        continue;
-      }
+      for (let j = 0; j < inputElements.length; j++) {
+        const field = inputElements[j];
+        result.pageAnalysis.totalFields++;
+        
+        // Skip hidden, submit, reset, and button inputs
+        if (field.type === 'hidden' || field.type === 'submit' || 
+            field.type === 'reset' || field.type === 'button' ||
+            field.type === 'image') {
+          continue;
+        }
+        
+        // Radio buttons are recorded once per group, with the other buttons as options
+        if (isRepeatedRadio(field, formData.id)) {
+          continue;
+        }
 
-      // Helper function to generate a unique ID if the element lacks one
-      function generateUniqueId(field, formId, fieldIndex) {
-        if (field.id) {
-          return field.id;
+        // Create a field object with relevant attributes
+        const label = field.type === 'radio' ? getGroupLabel(field) : getFieldLabel(field);
+        const fingerprint = getFieldFingerprint(field, label);
+        const fieldData = {
+          tagName: field.tagName.toLowerCase(),
+          type: getFieldType(field),
+          id: generateUniqueId(field, fingerprint),
+          name: field.name || '',
+          placeholder: field.placeholder || '',
+          value: getFieldValue(field),
+          required: field.required || false,
+          autocomplete: field.getAttribute('autocomplete') || '',
+          label,
+          autofillable: isLikelyAutofillable(field),
+          // Selector path so the fill step can find the field again
+          path: getElementPath(field),
+          // What the field looks like, for finding it again when its path no longer matches
+          fingerprint,
+          // Shadow roots and same-origin iframes between the document and the field
+          scopePath,
+          // Available choices for select, radio and checkbox fields
+          options: getFieldOptions(field),
+          // Work history / education entry the field belongs to, if any
+          section: getFieldSection(field, rootSections)
+        };
+
+        // Count required fields
+        if (fieldData.required) {
+          result.pageAnalysis.requiredFieldsCount++;
         }
-        // Fallback: Use form ID, tag name, field name (if available), and index
-        const namePart = field.name ? `_${field.name.replace(/[^a-zA-Z0-9_]/g, '')}` : '';
-        return `${formId}_${field.tagName.toLowerCase()}${namePart}_${fieldIndex}`;
-      }
 
-      // Create a field object with relevant attributes
-      const fieldData = {
-        tagName: field.tagName.toLowerCase(),
-        type: field.type || '',
-        id: generateUniqueId(field, formData.id, j), // <-- Use helper function
-        name: field.name || '',
-        placeholder: field.placeholder || '',
-        value: field.value || '',
-        required: field.required || false,
-        autocomplete: field.getAttribute('autocomplete') || '',
-        label: getFieldLabel(field),
-        autofillable: isLikelyAutofillable(field)
-      };
+        // Count autofillable fields
+        if (fieldData.autofillable) {
+          result.pageAnalysis.autofillableFieldsCount++;
+          result.autofillableFields.push(fieldData);
+        }
 
-      // Count required fields
-      if (fieldData.required) {
-        result.pageAnalysis.requiredFieldsCount++;
+        formData.fields.push(fieldData);
       }
 
-      // Count autofillable fields
-      if (fieldData.autofillable) {
-        result.pageAnalysis.autofillableFieldsCount++;
-        result.autofillableFields.push(fieldData);
+      // Only add the form if it has visible fields
+      if (formData.fields.length > 0) {
+        result.forms.push(formData);
       }
-
-      formData.fields.push(fieldData);
-    }
-
-    // Only add the form if it has visible fields
-    if (formData.fields.length > 0) {
-      result.forms.push(formData);
     }
-  }
-
-  // Also look for standalone input fields outside of forms
-  // that might be part of dynamically generated forms
-  // This is key for handling applications like Ashby which use React/Angular forms
-  const standaloneFields = document.querySelectorAll(
-    'body > input:not(form input), ' + 
-    'body > select:not(form select), ' + 
-    'body > textarea:not(form textarea), ' + 
-    '[role="form"] input, [role="form"] select, [role="form"] textarea, ' + 
-    '.form input, .form select, .form textarea, ' + 
-    // Additional selectors for React/Angular based forms
-    '[class*="form"] input, [class*="form"] select, [class*="form"] textarea, ' +
-    '[data-testid*="form"] input, [data-testid*="form"] select, [data-testid*="form"] textarea, ' +
-    // Elements with likely form-related attributes
-    '[aria-required="true"], [required], [aria-invalid]'
-  );
-  
-  if (standaloneFields.length > 0) {
-    const virtualForm = {
-      id: 'virtual_form',
-      name: 'Dynamically Generated Fields',
-      fields: []
-    };
 
-    for (let i = 0; i < standaloneFields.length; i++) {
-      const field = standaloneFields[i];
+    // Also look for fields outside of any <form> - SPA application flows (Ashby, Workday, ...)
+    // render bare div-wrapped inputs and custom widgets. Group them into virtual forms by the
+    // section they share so related questions stay together.
+    const orphanFields = Array.from(root.querySelectorAll(FIELD_SELECTOR))
+      .filter(field => !field.closest('form') && !isNestedWidgetPart(field) &&
+        !isAdapterIgnoredField(siteAdapter, field) &&
+        (isAdapterField(siteAdapter, field) || !isPageChromeField(field)));
+    
+    const virtualForms = new Map();
+    orphanFields.forEach((field, i) => {
+      const container = getFieldGroupContainer(field, orphanFields);
+      if (!virtualForms.has(container)) {
+        virtualForms.set(container, {
+          id: `${idPrefix}virtual_form${virtualForms.size === 0 ? '' : `_${virtualForms.size}`}`,
+          name: getGroupName(container) || 'Dynamically Generated Fields',
+          fields: []
+        });
+      }
+      const virtualForm = virtualForms.get(container);
+      
       result.pageAnalysis.totalFields++;
       
       // Skip hidden, submit, reset, and button inputs
       if (field.type === 'hidden' || field.type === 'submit' || 
           field.type === 'reset' || field.type === 'button' ||
           field.type === 'image') {
-        continue;
+        return;
       }
-
-      // Helper function to generate a unique ID if the element lacks one
-      function generateUniqueId(field, formId, fieldIndex) {
-        if (field.id) {
-          return field.id;
-        }
-        // Fallback: Use form ID, tag name, field name (if available), and index
-        const namePart = field.name ? `_${field.name.replace(/[^a-zA-Z0-9_]/g, '')}` : '';
-        return `${formId}_${field.tagName.toLowerCase()}${namePart}_${fieldIndex}`;
+      
+      // Radio buttons are recorded once per group, with the other buttons as options
+      if (isRepeatedRadio(field, virtualForm.id)) {
+        return;
       }
-
+      
       // Create a field object with relevant attributes
+      const label = field.type === 'radio' ? getGroupLabel(field) : getFieldLabel(field);
+      const fingerprint = getFieldFingerprint(field, label);
       const fieldData = {
         tagName: field.tagName.toLowerCase(),
-        type: field.type || '',
-        id: generateUniqueId(field, virtualForm.id, i), // <-- Use helper function for standalone fields
-        name: field.name || '',
-        placeholder: field.placeholder || '',
-        value: field.value || '',
+        type: getFieldType(field),
+        id: generateUniqueId(field, fingerprint),
+        name: field.name || field.getAttribute('name') || '',
+        placeholder: field.placeholder || field.getAttribute('aria-placeholder') || '',
+        value: getFieldValue(field),
         required: field.required || field.getAttribute('aria-required') === 'true' || false,
         autocomplete: field.getAttribute('autocomplete') || '',
-        label: getFieldLabel(field),
+        label,
         autofillable: isLikelyAutofillable(field),
+        options: getFieldOptions(field),
         // Add some extra info for debugging dynamic forms
         path: getElementPath(field),
+        // What the field looks like, for finding it again when its path no longer matches
+        fingerprint,
+        // Shadow roots and same-origin iframes between the document and the field
+        scopePath,
+        // Work history / education entry the field belongs to, if any
+        section: getFieldSection(field, rootSections),
         parentElement: field.parentElement ? {
           tagName: field.parentElement.tagName,
           id: field.parentElement.id || '',
           className: field.parentElement.className || ''
         } : null
       };
-
+      
       // Count required fields
       if (fieldData.required) {
         result.pageAnalysis.requiredFieldsCount++;
       }
-
+      
       // Count autofillable fields
       if (fieldData.autofillable) {
         result.pageAnalysis.autofillableFieldsCount++;
         result.autofillableFields.push(fieldData);
       }
-
+      
       virtualForm.fields.push(fieldData);
-    }
-
-    // Only add the virtual form if it has fields
-    if (virtualForm.fields.length > 0) {
-      result.forms.push(virtualForm);
-    }
+    });
+    
+    // Only add the virtual forms that have fields
+    virtualForms.forEach(virtualForm => {
+      if (virtualForm.fields.length > 0) {
+        result.forms.push(virtualForm);
+      }
+    });
   }
+  
+  // Record file inputs so the stored resume and cover letter can be attached to them
+  result.fileFields = [];
+  searchRoots.forEach(({ root, scopePath }) => {
+    root.querySelectorAll('input[type="file"]').forEach(field => {
+      result.fileFields.push({
+        id: field.id || `file_input_${result.fileFields.length}`,
+        name: field.name || '',
+        label: getFieldLabel(field),
+        accept: field.accept || '',
+        role: getFileInputRole(field),
+        path: getElementPath(field),
+        scopePath
+      });
+    });
+  });
+  result.pageAnalysis.fileFieldsCount = result.fileFields.length;
 
   return result;
 
+  // Helper function to generate a unique ID if the element lacks one
+  function generateUniqueId(field, fingerprint) {
+    if (field.id) {
+      return field.id;
+    }
+    // Fallback: derive the id from what the field looks like rather than where it is, so it
+    // survives fields being added or removed elsewhere on the page
+    const namePart = (field.name || fingerprint.label).toLowerCase().replace(/[^a-z0-9]+/g, '_').substring(0, 30);
+    return `${field.tagName.toLowerCase()}_${namePart}_${hashFingerprint(fingerprint)}`;
+  }
+  
+  // Helper function to describe a field by its label, name, autocomplete, type, heading and position
+  function getFieldFingerprint(field, label) {
+    const heading = getNearestHeading(field);
+    
+    // Position counts earlier fields with the same label under the same heading (the second
+    // "Job Title" of a work history section), not the field's index on the page
+    const positionKey = `${heading}|${normalizeFingerprintLabel(label)}`;
+    const position = fingerprintPositions.get(positionKey) || 0;
+    fingerprintPositions.set(positionKey, position + 1);
+    
+    const fingerprint = {
+      label: label || '',
+      name: field.name || field.getAttribute('name') || '',
+      autocomplete: field.getAttribute('autocomplete') || '',
+      type: getFieldType(field),
+      heading,
+      position
+    };
+    detectedForms.scannedFields.push({ fingerprint, element: field });
+    return fingerprint;
+  }
+  
+  // Helper function to find the repeating section entry (one job, one school) a field belongs to
+  function getFieldSection(field, sections) {
+    for (const section of sections) {
+      const index = section.entries.findIndex(entry => entry.contains(field));
+      if (index >= 0) {
+        return { id: section.id, kind: section.kind, index };
+      }
+    }
+    return null;
+  }
+  
+  // Helper function to find the section a field outside any <form> belongs to
+  function getFieldGroupContainer(field, orphanFields) {
+    // The first grouping element (fieldset, section, ...) that also holds other orphan fields,
+    // otherwise the nearest ancestor shared with another orphan field
+    let nearestShared = null;
+    let ancestor = field.parentElement;
+    while (ancestor && ancestor !== field.ownerDocument.body) {
+      const container = ancestor;
+      const holdsOthers = orphanFields.some(other => other !== field && container.contains(other));
+      if (holdsOthers && container.matches('fieldset, section, [role="form"], [role="group"], [role="dialog"], [role="region"]')) {
+        return container;
+      }
+      if (holdsOthers && !nearestShared) {
+        nearestShared = container;
+      }
+      ancestor = ancestor.parentElement;
+    }
+    
+    return nearestShared || field.getRootNode();
+  }
+  
+  // Helper function to name a virtual form after its section's label or heading
+  function getGroupName(container) {
+    if (!container || !container.querySelector) {
+      return '';
+    }
+    
+    const labelledBy = container.getAttribute && container.getAttribute('aria-labelledby');
+    const label = (container.getAttribute && container.getAttribute('aria-label')) ||
+      (labelledBy && container.getRootNode().getElementById(labelledBy)?.textContent) ||
+      container.querySelector(':scope > legend, h1, h2, h3, h4')?.textContent ||
+      '';
+    return label.trim().substring(0, 100);
+  }
+
   // Helper function to determine if a field is likely to be autofillable
   function isLikelyAutofillable(field) {
+    // File uploads are handled separately with the stored resume/cover letter
+    if (field.type === 'file') {
+      return false;
+    }
+    
+    // Anything in one of the site's question wrappers is a question
+    if (isAdapterField(siteAdapter, field)) {
+      return true;
+    }
+    
     // Check if field has autocomplete attribute
     if (field.getAttribute('autocomplete') && 
         field.getAttribute('autocomplete') !== 'off') {
@@ -237,14 +416,119 @@ function extractFormData() {
       return true;
     }
     
+    // Choice fields are filled by mapping the answer to one of their options
+    if (['select-one', 'select-multiple', 'radio', 'checkbox'].includes(fieldType)) {
+      return true;
+    }
+    
+    // Custom widgets: rich-text blocks and ARIA comboboxes/listboxes
+    if (['contenteditable', 'combobox', 'listbox'].includes(getFieldType(field))) {
+      return true;
+    }
+    
+    return false;
+  }
+  
+  // Helper function to check whether a radio button belongs to a group that was already recorded
+  function isRepeatedRadio(field, formId) {
+    if (field.type !== 'radio' || !field.name) {
+      return false;
+    }
+    
+    const groupKey = `${formId}:${field.name}`;
+    if (seenRadioGroups.has(groupKey)) {
+      return true;
+    }
+    
+    seenRadioGroups.add(groupKey);
     return false;
   }
   
+  // Helper function to list the choices of a select, radio group or checkbox
+  function getFieldOptions(field) {
+    if (field.tagName === 'SELECT') {
+      return Array.from(field.options)
+        // Skip "Select..." style placeholders that have no value
+        .filter(option => option.value !== '' && !option.disabled)
+        .map(option => ({
+          value: option.value,
+          text: option.text.trim()
+        }));
+    }
+    
+    if (field.type === 'radio') {
+      const group = field.name ? getRadioGroup(field) : [field];
+      return group.map(radio => ({
+        value: radio.value,
+        text: getOptionLabel(radio)
+      }));
+    }
+    
+    if (field.type === 'checkbox') {
+      return [
+        { value: 'true', text: 'Checked' },
+        { value: 'false', text: 'Unchecked' }
+      ];
+    }
+    
+    // ARIA widgets list their choices as role="option" elements (comboboxes often only once opened)
+    const fieldType = getFieldType(field);
+    if (fieldType === 'combobox' || fieldType === 'listbox') {
+      const options = getWidgetOptions(field).map(option => ({
+        value: option.getAttribute('data-value') || option.textContent.trim(),
+        text: option.textContent.trim()
+      }));
+      return options.length > 0 ? options : undefined;
+    }
+    
+    return undefined;
+  }
+  
+  // Helper function to get the question text for a radio group
+  function getGroupLabel(field) {
+    // The site's own question text, when it has an adapter
+    const adapterLabel = getAdapterFieldLabel(siteAdapter, field);
+    if (adapterLabel) {
+      return adapterLabel;
+    }
+    
+    // A fieldset legend is the most reliable group label
+    const fieldset = field.closest('fieldset');
+    if (fieldset) {
+      const legend = fieldset.querySelector('legend');
+      if (legend && legend.textContent.trim()) {
+        return legend.textContent.trim();
+      }
+    }
+    
+    // ARIA radio groups carry their own label
+    const radioGroup = field.closest('[role="radiogroup"]');
+    if (radioGroup) {
+      const groupLabel = radioGroup.getAttribute('aria-label') ||
+        (radioGroup.getAttribute('aria-labelledby') &&
+         field.getRootNode().getElementById(radioGroup.getAttribute('aria-labelledby'))?.textContent);
+      if (groupLabel && groupLabel.trim()) {
+        return groupLabel.trim();
+      }
+    }
+    
+    return getFieldLabel(field);
+  }
+  
   // Helper function to get field label text
   function getFieldLabel(field) {
+    // The site's own question text, when it has an adapter
+    const adapterLabel = getAdapterFieldLabel(siteAdapter, field);
+    if (adapterLabel) {
+      return adapterLabel;
+    }
+    
+    // Labels live in the same document or shadow root as the field
+    const root = field.getRootNode();
+    
     // First check for explicit label with 'for' attribute
     if (field.id) {
-      const label = document.querySelector(`label[for="${field.id}"]`);
+      const label = root.querySelector(`label[for="${CSS.escape(field.id)}"]`);
       if (label && label.textContent.trim()) {
         return label.textContent.trim();
       }
@@ -258,7 +542,7 @@ function extractFormData() {
     // Check for aria-labelledby attribute
     const ariaLabelledBy = field.getAttribute('aria-labelledby');
     if (ariaLabelledBy) {
-      const labelElement = document.getElementById(ariaLabelledBy);
+      const labelElement = root.getElementById(ariaLabelledBy);
       if (labelElement && labelElement.textContent.trim()) {
         return labelElement.textContent.trim();
       }
@@ -291,7 +575,7 @@ function extractFormData() {
       parent = parent.parentElement;
       
       // Avoid going too far up the DOM tree
-      if (parent === document.body) {
+      if (parent === root.body) {
         break;
       }
     }
@@ -307,17 +591,17 @@ function extractFormData() {
     const path = [];
     let currentElement = element;
     
-    while (currentElement && currentElement !== document.body && path.length < 6) {
+    while (currentElement && currentElement !== element.ownerDocument.body && path.length < 6) {
       let selector = currentElement.tagName.toLowerCase();
       
       if (currentElement.id) {
-        selector += '#' + currentElement.id;
+        selector += '#' + CSS.escape(currentElement.id);
       } else if (currentElement.className && typeof currentElement.className === 'string') {
         // Convert class list to array and filter out empty strings
         const classes = currentElement.className.split(' ').filter(item => item);
         if (classes.length > 0) {
           // Limit to max 2 classes to keep selector reasonably short
-          const classSelectors = classes.slice(0, 2).map(c => '.' + c).join('');
+          const classSelectors = classes.slice(0, 2).map(c => '.' + CSS.escape(c)).join('');
           selector += classSelectors;
         }
       }
@@ -330,6 +614,340 @@ function extractFormData() {
   }
 }
 
+// Buttons that add another entry to a repeating section ("Add another position", "+ Add education")
+const ADD_ENTRY_PATTERN = /^\+?\s*add\b/i;
+
+// What a repeating section holds, recognized from the text of its "Add" button - page headings
+// near a generic "Add" button ("Add file", "Add link") don't say what the button adds
+const SECTION_KINDS = [
+  { kind: 'experience', pattern: /\b(work|experience|employment|employer|position|job)/i },
+  { kind: 'education', pattern: /\b(education|school|degree|universit|college)/i }
+];
+
+/**
+ * Find the work history and education sections of a document or shadow root that hold
+ * one entry per job or school, using the site adapter's layout or the sections' "Add" buttons
+ * @param {Document|ShadowRoot} root - The root to search
+ * @param {Object|null} siteAdapter - The page's site adapter
+ * @returns {Array<Object>} Sections with kind, element, entry elements and the "Add" button
+ */
+function findRepeatingSections(root, siteAdapter) {
+  const sections = getAdapterSections(siteAdapter, root);
+  
+  root.querySelectorAll('button, a, [role="button"], input[type="button"]').forEach(button => {
+    const text = (button.value || button.textContent || button.getAttribute('aria-label') || '').trim();
+    if (text.length > 60 || !ADD_ENTRY_PATTERN.test(text) ||
+        sections.some(section => section.element.contains(button))) {
+      return;
+    }
+    
+    // The section is the nearest ancestor that holds fields (none yet if it starts out empty)
+    let element = button.parentElement;
+    for (let depth = 0; depth < 5 && element.parentElement && getSectionFields(element).length === 0; depth++) {
+      if (element.matches('form, body')) {
+        break;
+      }
+      element = element.parentElement;
+    }
+    if (element.matches('form, body') ||
+        sections.some(section => section.element.contains(element) || element.contains(section.element))) {
+      return;
+    }
+    
+    const kindText = `${text} ${button.getAttribute('aria-label') || ''}`;
+    const sectionKind = SECTION_KINDS.find(({ pattern }) => pattern.test(kindText));
+    if (!sectionKind) {
+      return;
+    }
+    
+    sections.push({
+      kind: sectionKind.kind,
+      element,
+      entries: getSectionEntries(element),
+      addButton: button
+    });
+  });
+  
+  return sections;
+}
+
+/**
+ * List the fillable fields inside a section
+ * @param {Element} element - The section element
+ * @returns {Array<Element>} The fields
+ */
+function getSectionFields(element) {
+  return Array.from(element.querySelectorAll(FIELD_SELECTOR))
+    .filter(field => !isNestedWidgetPart(field) &&
+      !['hidden', 'submit', 'reset', 'button', 'image', 'file'].includes(field.type));
+}
+
+/**
+ * Split a section's fields into its entries: same-shaped siblings that each hold several fields,
+ * or a single entry when there is only one
+ * @param {Element} element - The section element
+ * @returns {Array<Element>} One element per entry
+ */
+function getSectionEntries(element) {
+  const fields = getSectionFields(element);
+  if (fields.length === 0) {
+    return [];
+  }
+  
+  let common = fields[0];
+  while (!fields.every(field => common.contains(field))) {
+    common = common.parentElement;
+  }
+  
+  const signature = child => `${child.tagName}.${child.className}`;
+  const children = Array.from(common.children).filter(child => fields.some(field => child.contains(field)));
+  const isEntryList = children.length > 1 && children.every(child =>
+    signature(child) === signature(children[0]) && fields.filter(field => child.contains(field)).length > 1);
+  
+  return isEntryList ? children : [common];
+}
+
+/**
+ * List a document and every open shadow root and same-origin iframe document inside it
+ * Closed shadow roots can't be reached; cross-origin iframes run their own copy of this script
+ * @param {Document|ShadowRoot} root - The root to start from
+ * @param {Array<Object>} scopePath - Steps from the frame's document to root
+ * @returns {Array<Object>} Roots with their scopePath, outermost first
+ */
+function collectSearchRoots(root, scopePath) {
+  const roots = [{ root, scopePath }];
+  
+  root.querySelectorAll('*').forEach(element => {
+    if (element.shadowRoot) {
+      const step = getScopeStep(element, 'shadow');
+      roots.push(...collectSearchRoots(element.shadowRoot, [...scopePath, step]));
+    }
+    
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      let frameDocument = null;
+      try {
+        frameDocument = element.contentDocument;
+      } catch (error) {
+        // Cross-origin frame - scanned by the content script running inside it
+      }
+      
+      if (frameDocument && frameDocument.body) {
+        const step = getScopeStep(element, 'frame');
+        roots.push(...collectSearchRoots(frameDocument, [...scopePath, step]));
+      }
+    }
+  });
+  
+  return roots;
+}
+
+/**
+ * Describe how to find a shadow host or iframe again within its own root
+ * @param {Element} element - The shadow host or iframe
+ * @param {string} type - 'shadow' or 'frame'
+ * @returns {Object} Step with type, selector (id or tag name) and index among the selector's matches
+ */
+function getScopeStep(element, type) {
+  const selector = element.id ? `#${CSS.escape(element.id)}` : element.tagName.toLowerCase();
+  const matches = Array.from(element.getRootNode().querySelectorAll(selector));
+  return { type, selector, index: Math.max(0, matches.indexOf(element)) };
+}
+
+/**
+ * Find a root again from the scopePath recorded by extractFormData
+ * @param {Array<Object>} scopePath - Steps of { type: 'shadow' | 'frame', selector, index } from the frame's document
+ * @returns {Document|ShadowRoot|null} The root, or null if part of the path no longer exists
+ */
+function resolveScopeRoot(scopePath) {
+  let root = document;
+  
+  for (const step of scopePath || []) {
+    const host = root.querySelectorAll(step.selector)[step.index];
+    if (!host) {
+      return null;
+    }
+    
+    try {
+      root = step.type === 'frame' ? host.contentDocument : host.shadowRoot;
+    } catch (error) {
+      return null;
+    }
+    
+    if (!root) {
+      return null;
+    }
+  }
+  
+  return root;
+}
+
+/**
+ * Get the field type, including custom widgets that have no native type
+ * @param {HTMLElement} field - The field element
+ * @returns {string} The input type, 'combobox', 'listbox', 'contenteditable' or ''
+ */
+function getFieldType(field) {
+  const role = field.getAttribute('role');
+  if (role === 'combobox' || role === 'listbox') {
+    return role;
+  }
+  
+  if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) && (field.isContentEditable || role === 'textbox')) {
+    return 'contenteditable';
+  }
+  
+  return field.type || '';
+}
+
+/**
+ * Get the current value of a field, including custom widgets
+ * @param {HTMLElement} field - The field element
+ * @returns {string} The value
+ */
+function getFieldValue(field) {
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName)) {
+    return field.value || '';
+  }
+  
+  // Listboxes show their choice through aria-selected; other widgets through their text
+  if (getFieldType(field) === 'listbox') {
+    return getWidgetOptions(field)
+      .filter(option => option.getAttribute('aria-selected') === 'true')
+      .map(option => option.textContent.trim())
+      .join(', ');
+  }
+  
+  return (field.textContent || '').trim();
+}
+
+/**
+ * Check whether an element is part of a widget that is recorded as a whole
+ * (the input inside a combobox, a combobox's popup listbox, a child of a rich-text block)
+ * @param {HTMLElement} field - The element
+ * @returns {boolean} True if the element should not be recorded on its own
+ */
+function isNestedWidgetPart(field) {
+  const parent = field.parentElement;
+  if (parent && (parent.isContentEditable || parent.closest('[role="combobox"]'))) {
+    return true;
+  }
+  
+  if (field.getAttribute('role') === 'listbox' && field.id) {
+    const id = CSS.escape(field.id);
+    return Boolean(field.getRootNode().querySelector(`[role="combobox"][aria-controls~="${id}"], [role="combobox"][aria-owns~="${id}"]`));
+  }
+  
+  return false;
+}
+
+/**
+ * Check whether a field outside any form belongs to the page rather than the application:
+ * a site search box, something in the header, navigation or footer, or a cookie-consent,
+ * newsletter or "remember me" control
+ * @param {HTMLElement} field - The element
+ * @returns {boolean} True if the field should not be recorded
+ */
+function isPageChromeField(field) {
+  if (field.type === 'search' || field.getAttribute('role') === 'searchbox') {
+    return true;
+  }
+  
+  if (field.closest('nav, header, footer, [role="search"], [role="navigation"], [role="banner"], [role="contentinfo"]')) {
+    return true;
+  }
+  
+  // Consent banners and dialogs are recognized by their id, class or label
+  const chromePattern = /cookie|consent|gdpr|onetrust|newsletter|subscribe/i;
+  for (let element = field; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentElement) {
+    const description = `${element.id} ${element.getAttribute('class') || ''} ${element.getAttribute('aria-label') || ''}`;
+    if (chromePattern.test(description)) {
+      return true;
+    }
+  }
+  
+  // Login and newsletter toggles that aren't in a banner
+  if (field.type === 'checkbox') {
+    const label = `${field.labels && field.labels[0] ? field.labels[0].textContent : ''} ${field.getAttribute('aria-label') || ''}`;
+    return /remember me|keep me (signed|logged) in|stay signed in/i.test(label);
+  }
+  
+  return false;
+}
+
+/**
+ * Get the role="option" elements of a combobox or listbox
+ * @param {HTMLElement} widget - The combobox or listbox
+ * @returns {Array<HTMLElement>} The option elements (empty for closed comboboxes that render options lazily)
+ */
+function getWidgetOptions(widget) {
+  const root = widget.getRootNode();
+  const popupIds = [widget.getAttribute('aria-controls'), widget.getAttribute('aria-owns')]
+    .filter(Boolean)
+    .flatMap(ids => ids.split(/\s+/));
+  
+  const containers = [widget, ...popupIds.map(id => root.getElementById(id)).filter(Boolean)];
+  return containers.flatMap(container => Array.from(container.querySelectorAll('[role="option"]')));
+}
+
+/**
+ * Get all radio buttons that share a group with the given radio button
+ * @param {HTMLInputElement} radio - A radio button
+ * @returns {Array<HTMLInputElement>} The radio buttons in the group
+ */
+function getRadioGroup(radio) {
+  const scope = radio.form || radio.getRootNode();
+  return Array.from(scope.querySelectorAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`));
+}
+
+/**
+ * Get the visible text for a single radio button or checkbox
+ * @param {HTMLInputElement} input - The radio button or checkbox
+ * @returns {string} The option's label text
+ */
+function getOptionLabel(input) {
+  if (input.id) {
+    const label = input.getRootNode().querySelector(`label[for="${CSS.escape(input.id)}"]`);
+    if (label && label.textContent.trim()) {
+      return label.textContent.trim();
+    }
+  }
+  
+  const wrappingLabel = input.closest('label');
+  if (wrappingLabel && wrappingLabel.textContent.trim()) {
+    return wrappingLabel.textContent.trim();
+  }
+  
+  return input.getAttribute('aria-label') || input.value;
+}
+
+/**
+ * Work out which document a file input expects from its label, name and id
+ * @param {HTMLInputElement} input - The file input
+ * @returns {string} 'coverLetter', 'resume' or 'other'
+ */
+function getFileInputRole(input) {
+  const root = input.getRootNode();
+  const labelledBy = input.getAttribute('aria-labelledby');
+  const describingText = [
+    input.name,
+    input.id,
+    input.getAttribute('aria-label'),
+    labelledBy && root.getElementById(labelledBy)?.textContent,
+    input.id && root.querySelector(`label[for="${CSS.escape(input.id)}"]`)?.textContent,
+    input.closest('label, fieldset, [class*="upload"], [class*="Upload"]')?.textContent
+  ].filter(Boolean).join(' ').toLowerCase();
+  
+  if (/cover[\s_-]*letter|coverletter|motivation/.test(describingText)) {
+    return 'coverLetter';
+  }
+  
+  if (/resume|résumé|\bcv\b|curriculum/.test(describingText)) {
+    return 'resume';
+  }
+  
+  return 'other';
+}
+
 // Start monitoring for DOM changes to detect dynamic form loading
 function startFormObserver() {
   if (detectedForms.observing) {
@@ -410,6 +1028,10 @@ function startFormObserver() {
 
 // Function to run an initial form scan
 function initialFormScan() {
+  if (coveredByParentFrame) {
+    return;
+  }
+  
   console.log("Running initial form scan");
   
   // Extract form data
@@ -431,14 +1053,966 @@ function initialFormScan() {
   startFormObserver();
 }
 
-// Listen for messages from the extension
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "scanForForms") {
-    // Force a new scan
-    console.log("Received request to scan for forms");
-    const formData = extractFormData();
+// Buttons that move a multi-step application on to its next page
+const NEXT_STEP_PATTERN = /^(next|continue|save (and|&) continue|save (and|&) next|proceed|next step)\b/i;
+
+/**
+ * Watch for clicks on "Next"/"Continue" buttons, and report the step they lead to.
+ * Full page loads report themselves through initialFormScan; this covers single-page
+ * wizards (Workday, SuccessFactors...) that swap the fields in place.
+ */
+function watchStepTransitions() {
+  document.addEventListener('click', event => {
+    // composedPath() sees buttons inside shadow roots too
+    const button = event.composedPath().find(node =>
+      node instanceof Element &&
+      (node.tagName === 'BUTTON' || node.getAttribute('role') === 'button' ||
+        (node.tagName === 'INPUT' && ['submit', 'button'].includes(node.type)) || node.tagName === 'A'));
+    if (!button) {
+      return;
+    }
     
-    // Store the data
+    const text = (button.value || button.textContent || button.getAttribute('aria-label') || '').trim();
+    if (!isAdapterNextButton(getSiteAdapter(document), button) && !NEXT_STEP_PATTERN.test(text)) {
+      return;
+    }
+    
+    // Give the wizard time to render the next step
+    clearTimeout(window.stepTransitionTimeout);
+    window.stepTransitionTimeout = setTimeout(() => {
+      const formData = extractFormData();
+      detectedForms.dynamicFormData = formData;
+      
+      if (formData.pageAnalysis.totalFields > 0) {
+        chrome.runtime.sendMessage({
+          action: "formDetected",
+          formData: formData
+        });
+      }
+    }, 1500);
+  }, true);
+}
+
+/**
+ * Get the text of the closest heading before a field
+ * @param {Element} field - The field element
+ * @returns {string} The heading text, or '' if there is none nearby
+ */
+function getNearestHeading(field) {
+  let ancestor = field.parentElement;
+  for (let depth = 0; ancestor && depth < 8; depth++) {
+    const headings = Array.from(ancestor.querySelectorAll('h1, h2, h3, h4, h5, h6, legend, [role="heading"]'))
+      .filter(heading => heading.compareDocumentPosition(field) & Node.DOCUMENT_POSITION_FOLLOWING);
+    if (headings.length > 0) {
+      return headings[headings.length - 1].textContent.replace(/\s+/g, ' ').trim().substring(0, 100);
+    }
+    ancestor = ancestor.parentElement;
+  }
+  return '';
+}
+
+/**
+ * Normalize a label for fingerprint comparison
+ * @param {string} label - The label text
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeFingerprintLabel(label) {
+  return (label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Hash a fingerprint into a short id suffix
+ * @param {Object} fingerprint - The field fingerprint
+ * @returns {string} A base-36 hash
+ */
+function hashFingerprint(fingerprint) {
+  const text = [fingerprint.label, fingerprint.name, fingerprint.autocomplete, fingerprint.type,
+    fingerprint.heading, fingerprint.position].join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Score how likely two fingerprints describe the same field
+ * @param {Object} wanted - Fingerprint recorded when the form was extracted
+ * @param {Object} candidate - Fingerprint of a field on the page now
+ * @returns {number} Similarity between 0 and 1
+ */
+function scoreFingerprint(wanted, candidate) {
+  const wantedWords = new Set(normalizeFingerprintLabel(wanted.label).split(' ').filter(Boolean));
+  const candidateWords = new Set(normalizeFingerprintLabel(candidate.label).split(' ').filter(Boolean));
+  const sharedWords = Array.from(wantedWords).filter(word => candidateWords.has(word)).length;
+  const labelScore = wantedWords.size + candidateWords.size > 0
+    ? (2 * sharedWords) / (wantedWords.size + candidateWords.size)
+    : 0;
+  
+  let score = labelScore * 0.4;
+  if (wanted.name && wanted.name === candidate.name) score += 0.2;
+  if (wanted.autocomplete && wanted.autocomplete !== 'off' && wanted.autocomplete === candidate.autocomplete) score += 0.1;
+  if (wanted.type === candidate.type) score += 0.1;
+  if (wanted.heading === candidate.heading) score += 0.1;
+  if (wanted.position === candidate.position) {
+    score += 0.1;
+  } else if (Math.abs(wanted.position - candidate.position) === 1) {
+    score += 0.05;
+  }
+  
+  // A text box can't be the radio group it replaced, however similar its label
+  return wanted.type === candidate.type ? score : score * 0.5;
+}
+
+/**
+ * Re-find a field by the fingerprint recorded when the form was extracted
+ * A similar label, type and position aren't enough on their own - the field's name or section
+ * heading must match too, so a look-alike field in another section isn't filled instead
+ * @param {Object} fingerprint - The recorded fingerprint
+ * @param {Document|ShadowRoot} root - The root the field was recorded in; fields elsewhere aren't considered
+ * @returns {HTMLElement|null} The closest matching field on the page, or null if nothing is close enough
+ */
+function resolveFieldByFingerprint(fingerprint, root) {
+  // Scan again if the page changed since the last scan
+  if (!detectedForms.scannedFields.some(({ element }) => element.isConnected)) {
+    extractFormData();
+  }
+  
+  let best = null;
+  detectedForms.scannedFields.forEach(({ fingerprint: candidate, element }) => {
+    if (!element.isConnected || element.getRootNode() !== root) return;
+    
+    const sameName = Boolean(fingerprint.name) && fingerprint.name === candidate.name;
+    const sameHeading = Boolean(fingerprint.heading) && fingerprint.heading === candidate.heading;
+    if (!sameName && !sameHeading) return;
+    
+    const score = scoreFingerprint(fingerprint, candidate);
+    if (score >= FINGERPRINT_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { element, score };
+    }
+  });
+  
+  return best ? best.element : null;
+}
+
+/**
+ * Locate a live DOM element for a field recorded by extractFormData
+ * @param {Object} fieldRef - Field reference with id, name, fingerprint and/or path, and the scopePath of its root
+ * @returns {HTMLElement|null} The matching element, or null if not found
+ */
+function findFieldElement(fieldRef) {
+  // Fields inside shadow roots and same-origin iframes are looked up within their own root
+  const root = resolveScopeRoot(fieldRef.scopePath);
+  if (!root) {
+    return null;
+  }
+  
+  // The model may echo back either the id or the name as the field identifier
+  const identifiers = [fieldRef.elementId, fieldRef.id, fieldRef.name].filter(Boolean);
+  
+  // An id or name only identifies the field if one element has it - repeated entries
+  // (jobs[][title]) and duplicated ids share theirs, so those are told apart by fingerprint
+  let ambiguous = null;
+  for (const attribute of ['id', 'name']) {
+    for (const identifier of identifiers) {
+      const matches = root.querySelectorAll(`[${attribute}="${CSS.escape(identifier)}"]`);
+      if (matches.length === 1) {
+        return matches[0];
+      }
+      if (matches.length > 1 && !ambiguous) {
+        ambiguous = matches[0];
+      }
+    }
+  }
+  
+  // Generated ids aren't on the page - find the field by what it looks like before trusting
+  // a selector path that may now point at a different field
+  if (fieldRef.fingerprint) {
+    const byFingerprint = resolveFieldByFingerprint(fieldRef.fingerprint, root);
+    if (byFingerprint) {
+      return byFingerprint;
+    }
+  }
+  
+  if (fieldRef.path) {
+    try {
+      const byPath = root.querySelector(fieldRef.path);
+      if (byPath) {
+        return byPath;
+      }
+    } catch (error) {
+      console.warn("Invalid field path selector:", fieldRef.path, error);
+    }
+  }
+  
+  return ambiguous;
+}
+
+/**
+ * Set a field's value so that framework-managed inputs (React, Angular, Vue) notice it
+ * @param {HTMLElement} element - The input, select or textarea element
+ * @param {string} value - The value to write
+ */
+function setFieldValue(element, value) {
+  element.focus();
+  writeNativeValue(element, value);
+  dispatchFieldEvents(element);
+}
+
+/**
+ * Assign an element's value through the prototype setter
+ * @param {HTMLElement} element - The input, select or textarea element
+ * @param {string} value - The value to write
+ */
+function writeNativeValue(element, value) {
+  // React tracks the last value on the element instance, so assigning element.value
+  // directly is swallowed. Calling the prototype setter bypasses that tracker.
+  let proto = Object.getPrototypeOf(element);
+  let descriptor = null;
+  while (proto && !descriptor) {
+    descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+    proto = Object.getPrototypeOf(proto);
+  }
+  
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+/**
+ * Fire the events that form libraries listen for after a programmatic change
+ * @param {HTMLElement} element - The element that changed
+ */
+function dispatchFieldEvents(element) {
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+  
+  // blur() fires both blur and focusout, which covers validation-on-blur handlers
+  element.blur();
+}
+
+/**
+ * Pick the option of a select element matching the value (or its visible text)
+ * @param {HTMLSelectElement} select - The select element
+ * @param {Object} field - Field to fill with id and value
+ * @returns {Object} Fill result for the field
+ */
+function selectOption(select, field) {
+  const wanted = String(field.value).trim().toLowerCase();
+  const option = Array.from(select.options).find(o => o.value === field.value) ||
+                 Array.from(select.options).find(o => o.text.trim().toLowerCase() === wanted);
+  
+  if (!option) {
+    return { id: field.id, success: false, error: `No option matching "${field.value}"` };
+  }
+  
+  setFieldValue(select, option.value);
+  return { id: field.id, success: true };
+}
+
+/**
+ * Check the radio button in a group matching the value (or its label text)
+ * @param {HTMLInputElement} radio - Any radio button in the group
+ * @param {Object} field - Field to fill with id and value
+ * @returns {Object} Fill result for the field
+ */
+function selectRadioOption(radio, field) {
+  const group = radio.name ? getRadioGroup(radio) : [radio];
+  const wanted = String(field.value).trim().toLowerCase();
+  const target = group.find(r => r.value === field.value) ||
+                 group.find(r => getOptionLabel(r).toLowerCase() === wanted);
+  
+  if (!target) {
+    return { id: field.id, success: false, error: `No option matching "${field.value}"` };
+  }
+  
+  // Clicking goes through the page's own handlers, which frameworks rely on
+  if (!target.checked) {
+    target.click();
+  }
+  dispatchFieldEvents(target);
+  
+  return { id: field.id, success: true };
+}
+
+/**
+ * Check or uncheck a checkbox through a click so page handlers run
+ * @param {HTMLInputElement} checkbox - The checkbox
+ * @param {boolean} checked - The desired state
+ */
+function setCheckboxState(checkbox, checked) {
+  if (checkbox.checked !== checked) {
+    checkbox.click();
+  }
+  dispatchFieldEvents(checkbox);
+}
+
+/**
+ * Interpret a model answer for a checkbox
+ * @param {string} value - The answer
+ * @returns {boolean} Whether the answer means "checked"
+ */
+function isTruthyAnswer(value) {
+  return /^(true|yes|y|checked|on|1|agree|i agree|accept)\b/i.test(String(value).trim());
+}
+
+/**
+ * Wait for an element to appear, for widgets that render their options after being opened
+ * @param {Function} find - Returns the element, or null while it isn't there yet
+ * @param {number} timeout - Milliseconds to wait before giving up
+ * @returns {Promise<HTMLElement|null>} The element, or null on timeout
+ */
+function waitForElement(find, timeout = 1500) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const check = () => {
+      const element = find();
+      if (element || Date.now() - started >= timeout) {
+        resolve(element || null);
+        return;
+      }
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+/**
+ * Load option-matcher.js, which matches answers to the options of choice fields in the viewer,
+ * so ARIA widgets are matched the same way (this classic script can't import it statically)
+ * @returns {Promise<Object|null>} The module, or null if it couldn't be loaded
+ */
+function loadOptionMatcher() {
+  if (!window.optionMatcherModule) {
+    window.optionMatcherModule = import(chrome.runtime.getURL('option-matcher.js')).catch(error => {
+      console.warn("Could not load the option matcher, matching options by text only:", error);
+      return null;
+    });
+  }
+  return window.optionMatcherModule;
+}
+
+/**
+ * Find the option element matching a value by its data-value, or by its text the way the viewer
+ * matches choice fields ("Yes, I am authorized" to "Yes", "5 years" to "3-5 years")
+ * @param {Array<HTMLElement>} options - role="option" elements
+ * @param {string} value - The wanted value
+ * @param {Object|null} optionMatcher - option-matcher.js from loadOptionMatcher
+ * @returns {HTMLElement|null} The matching option
+ */
+function findMatchingOption(options, value, optionMatcher) {
+  const byValue = options.find(option => option.getAttribute('data-value') === String(value));
+  if (byValue) {
+    return byValue;
+  }
+  
+  if (optionMatcher) {
+    const match = optionMatcher.matchOption(String(value), options.map(element => ({
+      value: element.getAttribute('data-value') || element.textContent.trim(),
+      text: element.textContent.trim(),
+      element
+    })));
+    return match ? match.element : null;
+  }
+  
+  const wanted = String(value).trim().toLowerCase();
+  return options.find(option => option.textContent.trim().toLowerCase() === wanted) ||
+         options.find(option => option.textContent.trim().toLowerCase().startsWith(wanted)) ||
+         null;
+}
+
+/**
+ * Pick an option the way a user would, for libraries that listen for mousedown rather than click
+ * @param {HTMLElement} option - The option element
+ */
+function clickOption(option) {
+  option.scrollIntoView({ block: 'nearest' });
+  option.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+  option.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, cancelable: true }));
+  option.click();
+}
+
+/**
+ * Replace the text of a rich-text (contenteditable) field through the editing commands editors listen to
+ * @param {HTMLElement} element - The contenteditable element
+ * @param {string} value - The text to write
+ */
+function setContentEditableValue(element, value) {
+  element.focus();
+  
+  const selection = window.getSelection();
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  
+  // insertText goes through the editor's own input handling; fall back to plain text if it's refused
+  if (!document.execCommand('insertText', false, value)) {
+    element.textContent = value;
+  }
+  
+  dispatchFieldEvents(element);
+}
+
+/**
+ * Choose an option of an ARIA combobox by opening it, typing the value and clicking the match
+ * @param {HTMLElement} combobox - The combobox element
+ * @param {Object} field - Field to fill with id and value
+ * @returns {Promise<Object>} Fill result for the field
+ */
+async function selectComboboxOption(combobox, field) {
+  const textInput = combobox.tagName === 'INPUT' ? combobox : combobox.querySelector('input');
+  
+  if (textInput) {
+    // Typing filters the options; leave the field focused so the popup stays open
+    textInput.focus();
+    writeNativeValue(textInput, String(field.value));
+    textInput.dispatchEvent(new Event('input', { bubbles: true }));
+  } else {
+    combobox.click();
+  }
+  
+  const optionMatcher = await loadOptionMatcher();
+  const option = await waitForElement(() => findMatchingOption(getWidgetOptions(combobox), field.value, optionMatcher));
+  if (!option) {
+    return { id: field.id, success: false, error: `No option matching "${field.value}"` };
+  }
+  
+  clickOption(option);
+  return { id: field.id, success: true };
+}
+
+/**
+ * Select an option of an ARIA listbox
+ * @param {HTMLElement} listbox - The listbox element
+ * @param {Object} field - Field to fill with id and value
+ * @returns {Promise<Object>} Fill result for the field
+ */
+async function selectListboxOption(listbox, field) {
+  const option = findMatchingOption(getWidgetOptions(listbox), field.value, await loadOptionMatcher());
+  if (!option) {
+    return { id: field.id, success: false, error: `No option matching "${field.value}"` };
+  }
+  
+  if (option.getAttribute('aria-selected') !== 'true') {
+    clickOption(option);
+  }
+  return { id: field.id, success: true };
+}
+
+/**
+ * Write AI-generated values into the live page fields
+ * @param {Array} fields - Array of { id, name, path, value } objects
+ * @returns {Promise<Array>} Per-field results with success flag and error message
+ */
+async function applyFill(fields) {
+  const results = [];
+  
+  // Fresh fingerprints for fields that have to be found again
+  extractFormData();
+  
+  // One field at a time - comboboxes need their popup to close before the next one opens
+  for (const field of fields) {
+    results.push(await fillField(field));
+  }
+  
+  return results;
+}
+
+/**
+ * Write one value into its page field
+ * @param {Object} field - Object with id, name, path and value
+ * @param {HTMLElement|null} [scannedElement] - The element a scan just found for the field, if the caller has it
+ * @returns {Promise<Object>} Fill result with success flag and error message
+ */
+async function fillField(field, scannedElement = null) {
+  try {
+    const element = scannedElement && scannedElement.isConnected ? scannedElement : findFieldElement(field);
+    
+    if (!element) {
+      return { id: field.id, success: false, error: 'Field not found on page' };
+    }
+    
+    if (element.disabled || element.readOnly || element.getAttribute('aria-disabled') === 'true') {
+      return { id: field.id, success: false, error: 'Field is disabled or read-only' };
+    }
+    
+    const fieldType = getFieldType(element);
+    if (fieldType === 'combobox') {
+      return await selectComboboxOption(element, field);
+    }
+    
+    if (fieldType === 'listbox') {
+      return await selectListboxOption(element, field);
+    }
+    
+    if (fieldType === 'contenteditable') {
+      setContentEditableValue(element, String(field.value));
+      return { id: field.id, success: true };
+    }
+    
+    if (element.type === 'radio') {
+      return selectRadioOption(element, field);
+    }
+    
+    if (element.type === 'checkbox') {
+      setCheckboxState(element, isTruthyAnswer(field.value));
+      return { id: field.id, success: true };
+    }
+    
+    if (element.tagName === 'SELECT') {
+      return selectOption(element, field);
+    }
+    
+    setFieldValue(element, field.value);
+    return { id: field.id, success: true };
+  } catch (error) {
+    console.error(`Error filling field ${field.id}:`, error);
+    return { id: field.id, success: false, error: error.message };
+  }
+}
+
+/**
+ * Fill a work history or education section with one entry per resume entry, clicking its
+ * "Add" button until there are enough entries
+ * @param {Object} sectionRef - The section from extractFormData (id, kind and path)
+ * @param {Array<Array<Object>>} entries - Per entry, the values to fill as { label, occurrence, value }
+ *   (occurrence tells apart fields with the same label in one entry, like two "Month" fields)
+ * @returns {Promise<Object>} Object with success, the number of entries added and per-field results
+ */
+async function fillRepeatingGroup(sectionRef, entries) {
+  const findSection = data => data.repeatingSections.find(section => section.id === sectionRef.id && section.kind === sectionRef.kind) ||
+    data.repeatingSections.find(section => section.kind === sectionRef.kind && section.path === sectionRef.path);
+  
+  let formData = extractFormData();
+  let section = findSection(formData);
+  if (!section) {
+    return { success: false, error: 'Section not found on page' };
+  }
+  
+  // Add entries until there is one per resume entry, waiting for each new entry to render
+  let added = 0;
+  while (section.entries < entries.length) {
+    const sectionElements = detectedForms.sections.get(section.id);
+    if (!sectionElements || !sectionElements.addButton) {
+      break;
+    }
+    
+    const entryCount = section.entries;
+    sectionElements.addButton.click();
+    const grown = await waitForElement(() => {
+      formData = extractFormData();
+      const rescanned = findSection(formData);
+      return rescanned && rescanned.entries > entryCount ? rescanned : null;
+    }, 3000);
+    
+    if (!grown) {
+      console.warn(`Could not add another ${section.kind} entry`);
+      break;
+    }
+    section = grown;
+    added++;
+  }
+  
+  // Fill each entry's fields by their label
+  const normalize = label => (label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const occurrences = new Map();
+  const results = [];
+  
+  for (const field of formData.autofillableFields) {
+    if (!field.section || field.section.id !== section.id || field.section.index >= entries.length) {
+      continue;
+    }
+    
+    const labelKey = `${field.section.index}:${normalize(field.label)}`;
+    const occurrence = occurrences.get(labelKey) || 0;
+    occurrences.set(labelKey, occurrence + 1);
+    
+    const answer = entries[field.section.index].find(value =>
+      normalize(value.label) === normalize(field.label) && (value.occurrence || 0) === occurrence);
+    if (!answer || answer.value === '') {
+      continue;
+    }
+    
+    // Fill the element the scan found for this entry - entries often share names (jobs[][title]),
+    // and looking the field up by name would find the first entry's input every time
+    const scanned = detectedForms.scannedFields.find(({ fingerprint }) => fingerprint === field.fingerprint);
+    const result = await fillField({ ...field, value: answer.value }, scanned ? scanned.element : null);
+    results.push({ ...result, entry: field.section.index });
+  }
+  
+  return { success: true, added, entries: section.entries, results };
+}
+
+/**
+ * Rebuild a File object from the base64 payload sent by the viewer
+ * @param {Object} fileData - Object with name, type, lastModified and base64 data
+ * @returns {File} The reconstructed file
+ */
+function base64ToFile(fileData) {
+  const binary = atob(fileData.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  
+  return new File([bytes], fileData.name, {
+    type: fileData.type || 'application/octet-stream',
+    lastModified: fileData.lastModified || Date.now()
+  });
+}
+
+/**
+ * Attach the stored resume (and optional cover letter) to the page's file inputs
+ * @param {Array} files - Array of { role, name, type, lastModified, data } objects
+ * @returns {Array} Per-file results with success flag and error message
+ */
+function attachFiles(files) {
+  const inputs = collectSearchRoots(document, [])
+    .flatMap(({ root }) => Array.from(root.querySelectorAll('input[type="file"]')))
+    .filter(input => !input.disabled);
+  const usedInputs = new Set();
+  
+  return files.map(fileData => {
+    try {
+      let target = inputs.find(input => !usedInputs.has(input) && getFileInputRole(input) === fileData.role);
+      
+      // A page with a single unlabelled upload field almost always wants the resume
+      if (!target && fileData.role === 'resume') {
+        const unlabelled = inputs.filter(input => !usedInputs.has(input) && getFileInputRole(input) === 'other');
+        if (unlabelled.length === 1) {
+          target = unlabelled[0];
+        }
+      }
+      
+      if (!target) {
+        return { role: fileData.role, success: false, error: 'No matching file upload field found' };
+      }
+      
+      // File inputs can't be assigned directly; a DataTransfer provides a writable FileList
+      const dataTransfer = new DataTransfer();
+      dataTransfer.items.add(base64ToFile(fileData));
+      target.files = dataTransfer.files;
+      usedInputs.add(target);
+      
+      target.dispatchEvent(new Event('input', { bubbles: true }));
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+      
+      return { role: fileData.role, success: true, fileName: fileData.name };
+    } catch (error) {
+      console.error(`Error attaching ${fileData.role} file:`, error);
+      return { role: fileData.role, success: false, error: error.message };
+    }
+  });
+}
+
+// Review overlay shown next to each field before anything is written to the page
+const reviewOverlay = {
+  host: null,      // Element holding the shadow root
+  root: null,      // Shadow root that isolates the overlay from page styles
+  cards: new Map(), // Field id -> { card, element, field }
+  reposition: null // Scroll/resize handler keeping cards next to their fields
+};
+
+// Colours of the viewer's confidence classes (see getConfidenceClass in viewer-styles.js)
+const REVIEW_CONFIDENCE_COLORS = {
+  'high-confidence': '#4caf50',
+  'medium-confidence': '#ffc107',
+  'low-confidence': '#f44336'
+};
+
+const REVIEW_OVERLAY_STYLES = `
+  :host { all: initial; }
+  .card {
+    position: absolute;
+    z-index: 1;
+    max-width: 320px;
+    padding: 6px 8px;
+    font: 12px/1.4 system-ui, sans-serif;
+    color: #222;
+    background: #fff;
+    border: 1px solid #ccc;
+    border-left: 4px solid var(--confidence-color);
+    border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+  }
+  .label { color: #666; font-size: 11px; }
+  .value { display: block; margin: 2px 0 4px; font-weight: 600; word-break: break-word; }
+  .confidence { float: right; margin-left: 8px; font-size: 11px; color: var(--confidence-color); }
+  input.value { width: 100%; box-sizing: border-box; font-weight: normal; }
+  button {
+    margin-right: 4px;
+    padding: 2px 8px;
+    font: inherit;
+    border: 1px solid #bbb;
+    border-radius: 3px;
+    background: #f5f5f5;
+    cursor: pointer;
+  }
+  button.accept { background: #4285f4; border-color: #4285f4; color: #fff; }
+  .toolbar {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    padding: 8px 12px;
+    font: 13px system-ui, sans-serif;
+    color: #222;
+    background: #fff;
+    border: 1px solid #ccc;
+    border-radius: 6px;
+    box-shadow: 0 2px 12px rgba(0, 0, 0, 0.25);
+  }
+  .toolbar span { margin-right: 8px; }
+`;
+
+/**
+ * Tell the extension what the user decided for a reviewed field
+ * @param {Object} decision - Object with id, decision ('accepted', 'edited' or 'rejected'), value and fill result
+ */
+function sendReviewDecision(decision) {
+  chrome.runtime.sendMessage({ action: "reviewDecision", ...decision }, () => {
+    // The viewer may have been closed - nothing to update then
+    if (chrome.runtime.lastError) {
+      console.warn("No viewer received the review decision:", chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Show proposed values next to their fields, with accept / edit / reject controls
+ * @param {Array} fields - Array of { id, name, path, value, displayValue, label, confidence, confidenceClass } objects
+ * @returns {Object} Object with shown count and ids of fields missing from the page
+ */
+function showReviewOverlay(fields) {
+  closeReviewOverlay();
+  
+  reviewOverlay.host = document.createElement('div');
+  reviewOverlay.host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+  reviewOverlay.root = reviewOverlay.host.attachShadow({ mode: 'closed' });
+  
+  const style = document.createElement('style');
+  style.textContent = REVIEW_OVERLAY_STYLES;
+  reviewOverlay.root.appendChild(style);
+  
+  const missing = [];
+  fields.forEach(field => {
+    const element = findFieldElement(field);
+    if (!element) {
+      missing.push(field.id);
+      return;
+    }
+    
+    const card = createReviewCard(field);
+    reviewOverlay.root.appendChild(card);
+    reviewOverlay.cards.set(field.id, { card, element, field });
+  });
+  
+  if (reviewOverlay.cards.size === 0) {
+    closeReviewOverlay();
+    return { shown: 0, missing };
+  }
+  
+  reviewOverlay.root.appendChild(createReviewToolbar());
+  document.body.appendChild(reviewOverlay.host);
+  
+  // Keep the cards next to their fields as the page scrolls, resizes or re-lays out
+  let frame = null;
+  reviewOverlay.reposition = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      positionReviewCards();
+    });
+  };
+  window.addEventListener('scroll', reviewOverlay.reposition, true);
+  window.addEventListener('resize', reviewOverlay.reposition);
+  positionReviewCards();
+  
+  // Bring the first proposed value into view
+  const [firstEntry] = reviewOverlay.cards.values();
+  firstEntry.element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  
+  return { shown: reviewOverlay.cards.size, missing };
+}
+
+/**
+ * Build the card showing a proposed value
+ * @param {Object} field - Field under review
+ * @returns {HTMLElement} The card
+ */
+function createReviewCard(field) {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.style.setProperty('--confidence-color', REVIEW_CONFIDENCE_COLORS[field.confidenceClass] || REVIEW_CONFIDENCE_COLORS['low-confidence']);
+  
+  const confidence = document.createElement('span');
+  confidence.className = 'confidence';
+  confidence.textContent = field.confidence || 'Medium';
+  card.appendChild(confidence);
+  
+  const label = document.createElement('span');
+  label.className = 'label';
+  label.textContent = field.label || field.id;
+  card.appendChild(label);
+  
+  const value = document.createElement('span');
+  value.className = 'value';
+  value.textContent = field.displayValue || field.value;
+  card.appendChild(value);
+  
+  let editor = null;
+  const addButton = (text, className, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    if (className) button.className = className;
+    button.addEventListener('click', onClick);
+    card.appendChild(button);
+    return button;
+  };
+  
+  addButton('Accept', 'accept', () => {
+    if (editor) {
+      resolveReviewField(field.id, 'edited', editor.value.trim());
+    } else {
+      resolveReviewField(field.id, 'accepted', field.value);
+    }
+  });
+  
+  const editButton = addButton('Edit', '', () => {
+    editor = document.createElement('input');
+    editor.className = 'value';
+    editor.value = field.displayValue || field.value;
+    editor.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        resolveReviewField(field.id, 'edited', editor.value.trim());
+      }
+    });
+    value.replaceWith(editor);
+    editButton.remove();
+    editor.focus();
+  });
+  
+  addButton('Reject', '', () => resolveReviewField(field.id, 'rejected', null));
+  
+  return card;
+}
+
+/**
+ * Build the toolbar with accept all / reject all controls
+ * @returns {HTMLElement} The toolbar
+ */
+function createReviewToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'toolbar';
+  
+  const count = document.createElement('span');
+  count.className = 'count';
+  toolbar.appendChild(count);
+  
+  const acceptAll = document.createElement('button');
+  acceptAll.className = 'accept';
+  acceptAll.textContent = 'Accept all';
+  acceptAll.addEventListener('click', async () => {
+    // One at a time, so widgets with popups don't interfere with each other
+    for (const { field } of Array.from(reviewOverlay.cards.values())) {
+      await resolveReviewField(field.id, 'accepted', field.value);
+    }
+  });
+  toolbar.appendChild(acceptAll);
+  
+  const rejectAll = document.createElement('button');
+  rejectAll.textContent = 'Reject all';
+  rejectAll.addEventListener('click', () => {
+    Array.from(reviewOverlay.cards.keys()).forEach(id => resolveReviewField(id, 'rejected', null));
+  });
+  toolbar.appendChild(rejectAll);
+  
+  return toolbar;
+}
+
+/**
+ * Place each card just below its field and update the pending count
+ */
+function positionReviewCards() {
+  reviewOverlay.cards.forEach(({ card, element }) => {
+    const rect = element.getBoundingClientRect();
+    
+    // Fields that are hidden (e.g. on a collapsed step) hide their card too
+    if (!element.isConnected || (rect.width === 0 && rect.height === 0)) {
+      card.style.display = 'none';
+      return;
+    }
+    
+    card.style.display = '';
+    card.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    card.style.left = `${rect.left + window.scrollX}px`;
+  });
+  
+  const count = reviewOverlay.root && reviewOverlay.root.querySelector('.toolbar .count');
+  if (count) {
+    count.textContent = `${reviewOverlay.cards.size} value${reviewOverlay.cards.size === 1 ? '' : 's'} to review`;
+  }
+}
+
+/**
+ * Apply the user's decision for a reviewed field and report it to the extension
+ * @param {string} id - The field id
+ * @param {string} decision - 'accepted', 'edited' or 'rejected'
+ * @param {string|null} value - The value to write (null when rejected)
+ * @returns {Promise<void>}
+ */
+async function resolveReviewField(id, decision, value) {
+  const entry = reviewOverlay.cards.get(id);
+  if (!entry) return;
+  
+  entry.card.remove();
+  reviewOverlay.cards.delete(id);
+  
+  // Only accepted values are written to the page
+  let result = null;
+  if (decision !== 'rejected') {
+    [result] = await applyFill([{ ...entry.field, value }]);
+  }
+  
+  sendReviewDecision({ id, decision, value, result });
+  
+  if (reviewOverlay.cards.size === 0) {
+    closeReviewOverlay();
+  } else {
+    positionReviewCards();
+  }
+}
+
+/**
+ * Remove the review overlay and its listeners
+ */
+function closeReviewOverlay() {
+  if (reviewOverlay.reposition) {
+    window.removeEventListener('scroll', reviewOverlay.reposition, true);
+    window.removeEventListener('resize', reviewOverlay.reposition);
+  }
+  
+  if (reviewOverlay.host) {
+    reviewOverlay.host.remove();
+  }
+  
+  reviewOverlay.host = null;
+  reviewOverlay.root = null;
+  reviewOverlay.cards.clear();
+  reviewOverlay.reposition = null;
+}
+
+// Listen for messages from the extension
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "scanForForms") {
+    // Force a new scan
+    console.log("Received request to scan for forms");
+    const formData = extractFormData();
+    
+    // Store the data
     detectedForms.dynamicFormData = formData;
     
     // Send response back
@@ -453,6 +2027,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
   }
   
+  else if (message.action === "applyFill") {
+    console.log("Received request to fill", message.fields.length, "fields");
+    applyFill(message.fields || []).then(results => {
+      sendResponse({
+        success: true,
+        results: results
+      });
+    });
+  }
+  
+  else if (message.action === "fillRepeatingGroup") {
+    console.log("Received request to fill", message.entries.length, message.section.kind, "entries");
+    fillRepeatingGroup(message.section, message.entries || []).then(sendResponse);
+  }
+  
+  else if (message.action === "reviewFill") {
+    console.log("Received request to review", message.fields.length, "fields");
+    const review = showReviewOverlay(message.fields || []);
+    
+    sendResponse({
+      success: true,
+      shown: review.shown,
+      missing: review.missing
+    });
+  }
+  
+  else if (message.action === "attachFiles") {
+    console.log("Received request to attach", message.files.length, "files");
+    const results = attachFiles(message.files || []);
+    
+    sendResponse({
+      success: true,
+      results: results
+    });
+  }
+  
   // Return true to indicate we might respond asynchronously
   return true;
 });
@@ -465,8 +2075,17 @@ if (document.readyState === 'loading') {
   initialFormScan();
 }
 
+// Multi-step applications are followed from the top frame only
+if (!coveredByParentFrame) {
+  watchStepTransitions();
+}
+
 // Also scan when the page is fully loaded (including images)
 window.addEventListener('load', () => {
+  if (coveredByParentFrame) {
+    return;
+  }
+  
   // Wait a moment for possible post-load scripts to run
   setTimeout(() => {
     console.log("Running post-load form scan");
@@ -0,0 +1,221 @@
+/**
+ * evidence.js
+ * Ties each output value to the part of the resume it came from, and rates its confidence by how
+ * strongly the resume backs it up rather than by the confidence the model reports
+ */
+
+// How strongly the resume supports a value, with the confidence each level earns
+export const EVIDENCE_LEVELS = {
+  exact: { label: 'Exact match', confidence: 'High' },
+  derived: { label: 'Derived', confidence: 'Medium' },
+  inferred: { label: 'Inferred', confidence: 'Low' },
+  none: { label: 'No evidence', confidence: 'Low' }
+};
+
+// Share of a value's words that one or two resume lines must contain
+const DERIVED_OVERLAP = 0.75;
+const INFERRED_OVERLAP = 0.4;
+
+// Longest snippet kept with a value
+const MAX_SNIPPET_LENGTH = 200;
+
+// Values shorter than this ("No", "5") turn up all over a resume, so finding them proves nothing
+const MIN_EXACT_LENGTH = 3;
+
+// Answers that say the resume has nothing for the field
+const NO_ANSWER_PATTERN = /^(no information available|not available|n\/a|none|unknown|not specified)?\.?$/i;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Add resume evidence to output fields and set their confidence from it
+ * Fields answered from the answer bank or an earlier step keep their confidence, as they don't
+ * come from the resume
+ * @param {Array<Object>} fields - Output fields ({ id, value, confidence })
+ * @param {string} resumeText - The parsed resume
+ * @param {Array<Object>} [formFields] - Extracted form fields, to tell which values pick one of a field's options
+ * @returns {Array<Object>} The fields with evidence ({ strength, start, end, snippet }),
+ *   confidence from the evidence and the model's own confidence as modelConfidence
+ */
+export function attachEvidence(fields, resumeText, formFields = []) {
+  return fields.map(field => {
+    if (field.source) {
+      return field;
+    }
+    
+    const formField = formFields.find(candidate => candidate.id === field.id || (candidate.name && candidate.name === field.id)) || {};
+    const isOption = Boolean(formField.options && formField.options.length > 0) ||
+      formField.type === 'checkbox' || formField.type === 'radio';
+    const evidence = findEvidence(field.value, resumeText, isOption);
+    return {
+      ...field,
+      confidence: EVIDENCE_LEVELS[evidence.strength].confidence,
+      modelConfidence: field.modelConfidence || field.confidence,
+      evidence
+    };
+  });
+}
+
+/**
+ * Find the part of the resume a value was taken from
+ * @param {string} value - The output value
+ * @param {string} resumeText - The parsed resume
+ * @param {boolean} [isOption] - True if the value is one of a field's options ("Yes", "Bachelor's"),
+ *   which the resume never backs up word for word
+ * @returns {Object} { strength (exact, derived, inferred or none), start, end, snippet } - the
+ *   character range into the resume and its text, or null start and end with no evidence
+ */
+export function findEvidence(value, resumeText, isOption = false) {
+  const text = String(value ?? '').trim();
+  const resume = resumeText || '';
+  if (!resume || NO_ANSWER_PATTERN.test(text)) {
+    return createEvidence('none', resume, null, null);
+  }
+  
+  if (!isOption && text.length >= MIN_EXACT_LENGTH) {
+    // The value as written, as whole words ("No" isn't in "Node.js"), allowing for different line breaks and spacing
+    const words = text.split(/\s+/).map(escapeRegExp).join('\\s+');
+    const exact = new RegExp(`(?<![\\w])${words}(?![\\w])`, 'i').exec(resume);
+    if (exact) {
+      return createEvidence('exact', resume, exact.index, exact.index + exact[0].length);
+    }
+    
+    // Phone numbers and other numbers written with different separators
+    const digits = text.replace(/\D/g, '');
+    if (digits.length >= 7 && /^[\d\s()+.\-/]+$/.test(text)) {
+      const number = new RegExp(`(?<![\\d])${digits.split('').join('[\\s()+.\\-/]*')}(?![\\d])`).exec(resume);
+      if (number) {
+        return createEvidence('exact', resume, number.index, number.index + number[0].length);
+      }
+    }
+  }
+  
+  // Otherwise the resume lines sharing the most words with the value
+  const tokens = tokenize(text);
+  if (tokens.length === 0) {
+    return createEvidence('none', resume, null, null);
+  }
+  
+  const best = findBestLines(tokens, resume);
+  if (best.overlap >= DERIVED_OVERLAP) {
+    return createEvidence('derived', resume, best.start, best.end);
+  }
+  if (best.overlap >= INFERRED_OVERLAP) {
+    return createEvidence('inferred', resume, best.start, best.end);
+  }
+  return createEvidence('none', resume, null, null);
+}
+
+/**
+ * Describe a field's evidence for the Output page
+ * @param {Object} field - An output field with evidence
+ * @returns {string} The description, or '' if the field has no evidence attached
+ */
+export function describeEvidence(field) {
+  const evidence = field.evidence;
+  if (!evidence) {
+    return '';
+  }
+  
+  const level = EVIDENCE_LEVELS[evidence.strength] || EVIDENCE_LEVELS.none;
+  const modelConfidence = field.modelConfidence ? ` (model said ${field.modelConfidence})` : '';
+  return evidence.snippet
+    ? `${level.label}${modelConfidence} - resume: "${evidence.snippet}"`
+    : `${level.label}${modelConfidence} - nothing in the resume supports this value`;
+}
+
+/**
+ * Build an evidence object for a range of the resume
+ * @param {string} strength - exact, derived, inferred or none
+ * @param {string} resume - The parsed resume
+ * @param {number|null} start - Start of the range
+ * @param {number|null} end - End of the range
+ * @returns {Object} The evidence
+ */
+function createEvidence(strength, resume, start, end) {
+  if (start === null) {
+    return { strength, start: null, end: null, snippet: '' };
+  }
+  
+  const snippet = resume.substring(start, end).replace(/\s+/g, ' ').trim();
+  return {
+    strength,
+    start,
+    end,
+    snippet: snippet.length > MAX_SNIPPET_LENGTH ? `${snippet.substring(0, MAX_SNIPPET_LENGTH)}…` : snippet
+  };
+}
+
+/**
+ * Find the line, or pair of adjacent lines, of the resume that contains most of a value's words
+ * @param {Array<string>} tokens - The value's words
+ * @param {string} resume - The parsed resume
+ * @returns {Object} { overlap (0 to 1), start, end } of the best match
+ */
+function findBestLines(tokens, resume) {
+  const lines = [];
+  let offset = 0;
+  resume.split('\n').forEach(line => {
+    lines.push({ start: offset, end: offset + line.length, words: tokenize(line) });
+    offset += line.length + 1;
+  });
+  
+  let best = { overlap: 0, start: null, end: null };
+  const consider = window => {
+    const words = window.flatMap(entry => entry.words);
+    const overlap = tokens.filter(token => words.some(word => wordsMatch(token, word))).length / tokens.length;
+    if (overlap > best.overlap) {
+      best = { overlap, start: window[0].start, end: window[window.length - 1].end };
+    }
+  };
+  
+  // Single lines first, so a pair of lines only wins when it adds words
+  lines.forEach(line => consider([line]));
+  lines.slice(1).forEach((line, index) => consider([lines[index], line]));
+  
+  return best;
+}
+
+/**
+ * Split text into lowercase words, writing numeric dates the way resumes do ("2021-03" to "mar 2021")
+ * @param {string} text - The text
+ * @returns {Array<string>} The words
+ */
+function tokenize(text) {
+  const dated = String(text).replace(/\b(\d{4})-(\d{1,2})(?:-\d{1,2})?\b|\b(\d{1,2})\/(\d{4})\b/g,
+    (match, isoYear, isoMonth, month, year) => {
+      const name = MONTH_NAMES[parseInt(isoMonth || month, 10) - 1];
+      return name ? `${name} ${isoYear || year}` : match;
+    });
+  
+  return dated
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Check whether two words match, allowing for endings ("bachelor" and "bachelors", "march" and "mar")
+ * @param {string} a - A word
+ * @param {string} b - A word
+ * @returns {boolean} True if the words match
+ */
+function wordsMatch(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const shorter = a.length < b.length ? a : b;
+  const longer = a.length < b.length ? b : a;
+  return shorter.length >= 3 && /[a-z]/.test(shorter) && longer.startsWith(shorter);
+}
+
+/**
+ * Escape a string for use as a literal in a RegExp
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
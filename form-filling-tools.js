@@ -3,22 +3,30 @@
  * A tool-based agent system for form filling with models of any size
  */
 
+import { resolveChoiceValue } from './option-matcher.js';
+import { buildResumeProfile, formatProfileSection } from './resume-profile.js';
+import { searchResumeChunks } from './resume-embeddings.js';
+
 /**
  * Collection of tools that AI models can use to interact with resume data and form fields
  */
 class FormFillingTools {
   /**
-   * Initialize the form filling tools system with Mistral-specific setup
+   * Initialize the form filling tools system
    * @param {Object} apiProvider - The AI provider instance from agents-api.js
    * @param {string} resumeContent - The parsed resume content
    * @param {Array} formFields - Array of form fields to fill
    * @param {Function} [onProgressUpdate] - Optional callback for progress updates
+   * @param {Object} [resumeProfile] - Structured profile from resume-profile.js; built from resumeContent if omitted
+   * @param {Function} [onFieldFilled] - Optional callback with the fields filled so far, called after each fill
    */
-  constructor(apiProvider, resumeContent, formFields, onProgressUpdate = null) {
+  constructor(apiProvider, resumeContent, formFields, onProgressUpdate = null, resumeProfile = null, onFieldFilled = null) {
     this.apiProvider = apiProvider;
     this.resumeContent = resumeContent;
     this.formFields = formFields;
     this.onProgressUpdate = onProgressUpdate;
+    this.onFieldFilled = onFieldFilled;
+    this.resumeProfile = resumeProfile || buildResumeProfile(resumeContent);
     
     // State tracking
     this.currentFieldIndex = 0;
@@ -29,84 +37,42 @@ class FormFillingTools {
     // Resume analysis cache
     this.resumeAnalysis = null;
     
-    // Detect if using a Mistral model by checking either modelName or model property
-    const modelId = (this.apiProvider.modelName || this.apiProvider.model || '').toLowerCase();
-    this.isMistralModel = /mistral|nemo/.test(modelId);
+    // Set by cancel(); the agent loop stops at its next step
+    this.cancelled = false;
+    // Aborted by cancel(), cancelling the agent's model call in flight (and no other requests on the API)
+    this.abortController = new AbortController();
     
-    // Configure Mistral-specific options if using Mistral
-    if (this.isMistralModel) {
-      this.useMistralFunctionCalling = true;
-      // Create the tools list once and reuse it
-      this.mistralTools = this.generateMistralToolDefinitions();
-      console.log("Detected Mistral model, enabling Mistral function calling");
-    }
+    // Every provider in agents-api.js takes tool definitions and returns normalized tool calls;
+    // text-scraped tool calls are only the fallback when the provider rejects the tools request
+    this.useNativeToolCalling = typeof this.apiProvider.sendFunctionCallingMessage === 'function';
+    this.toolDefinitions = this.generateToolDefinitions();
   }
   
   /**
-   * Helper to always call the function-calling endpoint for Mistral/Nemo models
+   * Get the model's next response through the provider's native function calling
+   * Falls back to text tool calls if the provider rejects the request before any tool has run
    * @param {Array} conversation - The conversation history
-   * @returns {Promise<Object>} - The model's response
+   * @returns {Promise<Object|string>} - The model's response
    */
   async callModel(conversation) {
-    return await this.apiProvider.sendFunctionCallingMessage(
-      conversation,
-      this.generateMistralToolDefinitions(),
-      { tool_choice: "auto", temperature: 0.25 }
-    );
-  }
-
-  /**
-   * Send a function calling message to Mistral models
-   * @param {Array} messages - Array of message objects
-   * @param {Array} tools - Array of tool definitions
-   * @param {Object} options - Options for the function calling
-   * @returns {Promise<Object>} - The response from the API
-   */
-  async sendFunctionCallingMessage(messages, tools, options = {}) {
     try {
-      const isMistralModel = this.model.toLowerCase().includes('mistral') || 
-                            this.model.toLowerCase().includes('nemo');
-      
-      if (!isMistralModel) {
-        console.warn('Function calling is optimized for Mistral models, falling back to standard chat');
-        return await this.sendMessage(messages[messages.length-1].content);
+      return await this.apiProvider.sendFunctionCallingMessage(
+        conversation,
+        this.toolDefinitions,
+        { tool_choice: "auto", temperature: 0.25, signal: this.abortController.signal }
+      );
+    } catch (error) {
+      if (this.cancelled || conversation.some(msg => msg.role === "tool")) {
+        throw error;
       }
       
-      console.log("Using Mistral function calling format with", tools.length, "tools");
-      
-      // ──► 1. append IMPORTANT-line only once
-      const importantLine = 'IMPORTANT: You MUST use the tools provided to complete your task.';
-      let hasSystem = false;
-      for (let i = 0; i < messages.length; i++) {
-        if (messages[i].role === 'system') {
-          hasSystem = true;
-          if (!messages[i].content.includes(importantLine)) {
-            messages[i].content += "\n\n" + importantLine;
-          }
-          break;
-        }
+      console.warn("Native function calling failed, falling back to text tool calls:", error);
+      this.useNativeToolCalling = false;
+      const systemMessage = conversation.find(msg => msg.role === "system");
+      if (systemMessage) {
+        systemMessage.content = this.generateSystemMessage();
       }
-      if (!hasSystem) {
-        messages.unshift({ role: 'system', content: importantLine });
-      }
-      
-      // CRITICAL: Ensure all required parameters are included for function calling
-      const requestBody = {
-        model: this.model,
-        messages: messages,
-        tools: tools,                       // Required: tool definitions array
-        tool_choice: options.tool_choice || "auto",  // Required: auto or required 
-        options: {
-          temperature: options.temperature ?? 0.25,   // Lower temperature for more reliable tool use
-          top_p: options.top_p ?? 0.95
-        },
-        stream: false
-      };
-      
-      console.log("Sending Mistral function call request:", JSON.stringify(requestBody, null, 2).substring(0, 500) + "...");
-    } catch (error) {
-      console.error("Error sending function calling message:", error);
-      throw error;
+      return await this.sendMessage(conversation);
     }
   }
 
@@ -129,8 +95,8 @@ class FormFillingTools {
 Current state: ${this.currentState}
 Fields completed: ${this.completedFields.length}/${this.formFields.length}`;
 
-    // For Mistral models, use simpler tool calling instructions with no JS syntax
-    if (this.isMistralModel) {
+    // With native function calling the model gets the tool schemas, so skip the JS-style syntax
+    if (this.useNativeToolCalling) {
       return baseMessage + `\n\nFollow these steps REPEATEDLY:
 1. Call get_next_field to get the field_id and details of the next form field.
 2. Based on the field details, decide what information is needed from the resume.
@@ -157,14 +123,14 @@ Fields completed: ${this.completedFields.length}/${this.formFields.length}`;
    * @returns {string} The initial prompt
    */
   generateInitialPrompt() {
-    // For Mistral models, use much simpler instructions with no JS syntax
-    if (this.isMistralModel) {
+    // With native function calling, use much simpler instructions with no JS syntax
+    if (this.useNativeToolCalling) {
       return `I need you to fill out a form using information from a resume. There are ${this.formFields.length} fields to fill.
 
 Start by calling get_next_field to get the first field that needs to be filled.`;
     }
 
-    // For other models
+    // For text tool calls
     return `I need you to fill out a form using information from a resume. There are ${this.formFields.length} fields to fill.
 
 You have tools available to:
@@ -193,7 +159,7 @@ First, analyze the resume to understand the candidate's background, then proceed
       ];
       
       let response;
-      if (this.useMistralFunctionCalling) {
+      if (this.useNativeToolCalling) {
         response = await this.callModel(conversation);
       } else {
         response = await this.sendMessage(conversation);
@@ -202,6 +168,13 @@ First, analyze the resume to understand the candidate's background, then proceed
       // Process the response and continue the conversation as needed
       return await this.handleAgentResponse(response, conversation);
     } catch (error) {
+      if (this.cancelled) {
+        return {
+          fields: this.completedFields,
+          summary: "Form filling stopped before any fields were filled.",
+          error: false
+        };
+      }
       console.error("Error running form filling agent:", error);
       return {
         fields: this.completedFields,
@@ -212,10 +185,18 @@ First, analyze the resume to understand the candidate's background, then proceed
   }
   
   /**
-   * Generate tool definitions in Mistral format
+   * Stop the agent: cancels the model call in flight, and the loop ends with the fields filled so far
+   */
+  cancel() {
+    this.cancelled = true;
+    this.abortController.abort();
+  }
+  
+  /**
+   * Generate tool definitions in OpenAI function calling format (providers convert them as needed)
    * @returns {Array} Array of tool definitions
    */
-  generateMistralToolDefinitions() {
+  generateToolDefinitions() {
     return [
       {
         "type": "function",
@@ -317,7 +298,7 @@ First, analyze the resume to understand the candidate's background, then proceed
         "type": "function",
         "function": {
           "name": "search_resume",
-          "description": "Searches the resume for specific information",
+          "description": "Searches the resume for specific information and returns the most relevant passages, best match first",
           "parameters": {
             "type": "object",
             "properties": {
@@ -361,39 +342,15 @@ First, analyze the resume to understand the candidate's background, then proceed
         });
       }
       
-      // CRITICAL: Always include tools and required parameters for Mistral models
-      if (this.useMistralFunctionCalling && this.mistralTools) {
-        const options = { 
-          tools: this.mistralTools,    // Always include tools array
-          tool_choice: "auto",         // Required - let model decide when to use tools
-          temperature: 0.25            // Lower temperature for more reliable tool use
-        };
-        
-        // If we have a sendFunctionCallingMessage method, use it
-        if (this.apiProvider.sendFunctionCallingMessage) {
-          console.log("Sending message with Mistral function calling format");
-          return await this.apiProvider.sendFunctionCallingMessage(
-            conversation, 
-            this.mistralTools, 
-            options
-          );
-        } 
-        // Otherwise use sendConversation with tools parameter
-        else if (this.apiProvider.sendConversation) {
-          console.log("Sending conversation with tools parameter");
-          return await this.apiProvider.sendConversation(conversation, options);
-        }
-      }
-      
-      // For non-Mistral models or when tools aren't defined
+      // Text tool calls - the model writes its calls into its reply
       if (this.apiProvider.sendConversation) {
-        return await this.apiProvider.sendConversation(conversation);
+        return await this.apiProvider.sendConversation(conversation, { signal: this.abortController.signal });
       }
       
       // Last resort - send just the last message
       const lastUserMessage = conversation.filter(msg => msg.role === "user").pop();
       if (lastUserMessage) {
-        return await this.apiProvider.sendMessage(lastUserMessage.content);
+        return await this.apiProvider.sendMessage(lastUserMessage.content, this.abortController.signal);
       }
       
       throw new Error("No user message found in conversation");
@@ -409,9 +366,8 @@ First, analyze the resume to understand the candidate's background, then proceed
    * @returns {Array} Array of tool calls
    */
   extractToolCalls(response) {
-    // If the response is an object with tool_calls (Mistral format)
+    // If the response is an object with tool_calls (native function calling)
     if (typeof response === 'object' && response.tool_calls) {
-      console.log("Detected native Mistral function calling format");
       const toolCalls = [];
       
       for (const toolCall of response.tool_calls) {
@@ -426,7 +382,7 @@ First, analyze the resume to understand the candidate's background, then proceed
             try {
               args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
             } catch (e) {
-              console.error("Error parsing Mistral tool arguments as string", e, rawArgs);
+              console.error("Error parsing tool arguments as string", e, rawArgs);
             }
           } else if (typeof rawArgs === 'object') {
             args = rawArgs; // Already parsed, just use it directly
@@ -738,7 +694,7 @@ First, analyze the resume to understand the candidate's background, then proceed
       let currentResponse = response;
       
       // Handle each tool call until done or max attempts reached
-      while (attemptCount < maxAttempts) {
+      while (attemptCount < maxAttempts && !this.cancelled) {
         // Check if max runtime exceeded
         if (Date.now() - startTime > maxRunTime) {
           console.warn(`Max runtime (${maxRunTime}ms) exceeded. Terminating form filling.`);
@@ -759,6 +715,10 @@ First, analyze the resume to understand the candidate's background, then proceed
         
         // Process each tool call
         for (const toolCall of toolCalls) {
+          if (this.cancelled) {
+            break;
+          }
+          
           // Increment attempt counter
           attemptCount++;
           
@@ -766,10 +726,11 @@ First, analyze the resume to understand the candidate's background, then proceed
             // Execute the tool
             const toolResult = await this.executeTool(toolCall.tool, toolCall.args || {});
             
-            // If filling a field, track completion
-            if (toolCall.tool === 'fill_field' && toolCall.args && toolCall.args.field_id) {
+            // If filling a field, track completion (rejected values come back with an error)
+            if (toolCall.tool === 'fill_field' && toolCall.args && toolCall.args.field_id &&
+                toolResult && !toolResult.error) {
               const fieldId = toolCall.args.field_id;
-              const value = toolCall.args.value;
+              const value = toolResult.value;
               const confidence = toolCall.args.confidence || 'Medium';
               
               // Add to completed fields
@@ -784,6 +745,9 @@ First, analyze the resume to understand the candidate's background, then proceed
               if (this.onProgressUpdate) {
                 this.onProgressUpdate(this.completionStatus);
               }
+              if (this.onFieldFilled) {
+                this.onFieldFilled(Array.from(completedFields.values()));
+              }
             }
             
             // If we got a get_next_field and no fields remain, we're done
@@ -798,7 +762,7 @@ First, analyze the resume to understand the candidate's background, then proceed
             // ──► 2. Echo assistant function-call WITH empty content field
             conversation.push({
               role: "assistant",
-              content: '',              // ★ REQUIRED for Mistral
+              content: '',              // ★ REQUIRED by some providers
               tool_calls: [{
                 id: toolCall.id || `call_${Math.random().toString(36).substring(2, 10)}`,
                 type: "function",
@@ -863,21 +827,25 @@ First, analyze the resume to understand the candidate's background, then proceed
         
         // Get next agent response
         try {
-          if (this.useMistralFunctionCalling) {
+          if (this.useNativeToolCalling) {
             currentResponse = await this.callModel(conversation);
           } else {
             currentResponse = await this.sendMessage(conversation);
           }
         } catch (error) {
-          console.error("Error getting agent response:", error);
+          if (!this.cancelled) {
+            console.error("Error getting agent response:", error);
+          }
           break;
         }
       }
       
       // Return the final results
+      const status = this.cancelled ? 'stopped'
+        : completedFields.size >= this.formFields.length ? 'complete' : 'partially complete';
       return {
         fields: Array.from(completedFields.values()),
-        summary: `Form filling ${completedFields.size >= this.formFields.length ? 'complete' : 'partially complete'}. Filled ${completedFields.size}/${this.formFields.length} fields.`,
+        summary: `Form filling ${status}. Filled ${completedFields.size}/${this.formFields.length} fields.`,
         error: false
       };
     } catch (error) {
@@ -944,22 +912,25 @@ First, analyze the resume to understand the candidate's background, then proceed
       return this.resumeAnalysis;
     }
     
-    // Simulate analysis - in a real implementation, this would use an AI model to analyze the resume
     try {
-      // Simple regex-based extraction
-      const nameMatch = this.resumeContent.match(/^([A-Z][a-z]+(?: [A-Z][a-z]+)+)/m);
-      const emailMatch = this.resumeContent.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-      const phoneMatch = this.resumeContent.match(/\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/);
-      const locationMatch = this.resumeContent.match(/, ([A-Z]{2})\b/);
-      const educationMatch = this.resumeContent.match(/Bachelor|Master|PhD|Associate/i);
+      const { basics = {}, work = [], education = [], skills = [] } = this.resumeProfile;
+      const location = basics.location || {};
       
-      // Extract simple data
       const analysis = {
-        name: nameMatch ? nameMatch[0] : null,
-        email: emailMatch ? emailMatch[0] : null,
-        phone: phoneMatch ? phoneMatch[0] : null,
-        location: locationMatch ? locationMatch[1] : null,
-        education: educationMatch ? educationMatch[0] : null,
+        name: basics.name || null,
+        email: basics.email || null,
+        phone: basics.phone || null,
+        location: [location.city, location.region].filter(Boolean).join(', ') || null,
+        links: (basics.profiles || []).map(profile => profile.url).concat(basics.url ? [basics.url] : []),
+        current_position: work.length > 0 ? [work[0].position, work[0].name].filter(Boolean).join(' at ') : null,
+        work_history: work.map(job => ({
+          position: job.position,
+          company: job.name,
+          start_date: job.startDate,
+          end_date: job.endDate
+        })),
+        education: education.map(school => [school.studyType, school.area, school.institution].filter(Boolean).join(', ')),
+        skills: skills.flatMap(group => group.keywords || [])
       };
       
       // Cache the results
@@ -982,23 +953,29 @@ First, analyze the resume to understand the candidate's background, then proceed
       // Convert section name to lowercase for case-insensitive matching
       const section = sectionName.toLowerCase();
       
-      // Find sections in the resume using heuristics - this is simplified
-      // In a real implementation, we would use more sophisticated NLP to identify sections
-      let result = null;
-      
-      // Simple regex for common sections
+      // Map the names models use onto profile sections
       const sectionMap = {
-        'education': /Education[\s\S]*?(?=Experience|\n\s*\n)/i,
-        'experience': /Experience[\s\S]*?(?=Projects|Skills|\n\s*\n)/i,
-        'skills': /Skills[\s\S]*?(?=\n\s*\n|$)/i,
-        'projects': /Projects[\s\S]*?(?=Skills|Organizations|\n\s*\n)/i,
-        'contact': /^[\s\S]*?(?=Education|Experience|\n\s*\n)/i
+        'education': 'education',
+        'experience': 'work',
+        'work': 'work',
+        'employment': 'work',
+        'skills': 'skills',
+        'projects': 'projects',
+        'contact': 'basics',
+        'summary': 'summary',
+        'certifications': 'certificates',
+        'awards': 'awards',
+        'activities': 'volunteer',
+        'volunteer': 'volunteer',
+        'languages': 'languages',
+        'publications': 'publications',
+        'interests': 'interests'
       };
       
-      // Try to match the requested section
-      if (section in sectionMap) {
-        const match = this.resumeContent.match(sectionMap[section]);
-        result = match ? match[0] : "Section not found";
+      const matchedKey = Object.keys(sectionMap).find(key => section.includes(key));
+      let result;
+      if (matchedKey) {
+        result = formatProfileSection(this.resumeProfile, sectionMap[matchedKey]) || "Section not found";
       } else {
         result = "Unknown section: " + sectionName;
       }
@@ -1036,6 +1013,7 @@ First, analyze the resume to understand the candidate's background, then proceed
         label: field.label || field.id,
         type: field.type,
         required: field.required || false,
+        ...describeOptions(field),
         field_index: this.currentFieldIndex - 1,
         remaining: this.formFields.length - this.currentFieldIndex
       };
@@ -1064,7 +1042,8 @@ First, analyze the resume to understand the candidate's background, then proceed
         label: field.label || field.id,
         type: field.type,
         required: field.required || false,
-        autocomplete: field.autocomplete || null
+        autocomplete: field.autocomplete || null,
+        ...describeOptions(field)
       };
     } catch (error) {
       console.error(`Error checking field '${fieldId}':`, error);
@@ -1088,6 +1067,17 @@ First, analyze the resume to understand the candidate's background, then proceed
         return { error: `Field with ID "${fieldId}" not found.` };
       }
       
+      // Choice fields only accept one of their options
+      if (field.options && field.options.length > 0) {
+        const choice = resolveChoiceValue(field, value);
+        if (!choice.matched) {
+          return {
+            error: `"${value}" is not a valid option for field '${fieldId}'. Choose one of: ${field.options.map(o => o.text).join(', ')}`
+          };
+        }
+        value = choice.text;
+      }
+      
       // Add field to completed fields
       this.completedFields.push({
         id: fieldId,
@@ -1143,13 +1133,32 @@ First, analyze the resume to understand the candidate's background, then proceed
 
   /**
    * Search the resume for specific information
+   * Searches by meaning when a provider can create embeddings, and by keyword otherwise
    * @param {string} query - The search query
    * @returns {Promise<Object>} The search results
    */
   async searchResume(query) {
     try {
-      // Simple text search - in a real implementation, this would be more sophisticated
-      const regex = new RegExp(query, 'i');
+      const chunks = await searchResumeChunks(this.apiProvider, this.resumeContent, String(query || ''));
+      if (chunks) {
+        return { query, matches: chunks };
+      }
+    } catch (error) {
+      console.warn(`Semantic resume search for '${query}' failed, falling back to keyword search:`, error);
+    }
+    
+    return this.searchResumeText(query);
+  }
+
+  /**
+   * Search the resume's lines for a query and, failing that, for related terms
+   * @param {string} query - The search query
+   * @returns {Object} The search results
+   */
+  searchResumeText(query) {
+    try {
+      // The query is plain text - "C++" or "Node.js (Express)" aren't patterns
+      const regex = new RegExp(escapeRegExp(query), 'i');
       const matches = [];
       
       // Split resume into lines for context
@@ -1173,7 +1182,7 @@ First, analyze the resume to understand the candidate's background, then proceed
       if (matches.length === 0) {
         const relatedTerms = getRelatedTerms(query);
         for (const term of relatedTerms) {
-          const termRegex = new RegExp(term, 'i');
+          const termRegex = new RegExp(escapeRegExp(term), 'i');
           for (let i = 0; i < lines.length; i++) {
             if (termRegex.test(lines[i])) {
               matches.push({
@@ -1215,6 +1224,31 @@ First, analyze the resume to understand the candidate's background, then proceed
   }
 }
 
+/**
+ * Describe the choices of a select, radio or checkbox field for tool results
+ * @param {Object} field - Field data from extractFormData
+ * @returns {Object} Object with an options array, or an empty object for free-text fields
+ */
+function describeOptions(field) {
+  if (!field.options || field.options.length === 0) {
+    return {};
+  }
+  
+  return {
+    options: field.options.map(option => option.text),
+    instructions: 'The value MUST be exactly one of the listed options.'
+  };
+}
+
+/**
+ * Escape a string for use as a literal in a RegExp
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Safely split CSV values respecting quoted strings
  * @param {string} s - The string to split
@@ -1289,7 +1323,8 @@ function getRelatedTerms(query) {
  * @param {Object} apiProvider - The AI provider from agents-api.js
  * @param {string} resumeContent - The resume content
  * @param {Array} formFields - The form fields to fill
- * @param {Object} options - Options for the form filling process
+ * @param {Object} options - Options for the form filling process (onProgressUpdate, resumeProfile, onFieldFilled,
+ *   and signal - an AbortSignal that stops the agent)
  * @returns {Promise<Object>} - The results of form filling
  */
 export async function fillFormWithTools(apiProvider, resumeContent, formFields, options = {}) {
@@ -1297,7 +1332,21 @@ export async function fillFormWithTools(apiProvider, resumeContent, formFields,
     console.log("Starting tool-based form filling with", formFields.length, "fields");
     
     // Create tools instance
-    const tools = new FormFillingTools(apiProvider, resumeContent, formFields);
+    const tools = new FormFillingTools(
+      apiProvider,
+      resumeContent,
+      formFields,
+      options.onProgressUpdate || null,
+      options.resumeProfile || null,
+      options.onFieldFilled || null
+    );
+    
+    if (options.signal) {
+      if (options.signal.aborted) {
+        tools.cancel();
+      }
+      options.signal.addEventListener('abort', () => tools.cancel());
+    }
     
     // Run the tool-based agent
     const results = await tools.runToolBasedAgent();
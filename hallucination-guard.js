@@ -0,0 +1,206 @@
+/**
+ * hallucination-guard.js
+ * Checks the factual values in the model's output (emails, URLs, phone numbers, dates, numbers,
+ * employers, schools and degrees) against the resume, the resume profile and the answer bank, and
+ * flags - or blanks - the ones none of them supports
+ */
+
+import { findEvidence } from './evidence.js';
+import { profileToPromptText } from './resume-profile.js';
+
+// Kinds of fact recognised by the shape of the value, checked in order
+const VALUE_KINDS = [
+  { kind: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { kind: 'url', pattern: /^(https?:\/\/|www\.)\S+$/i },
+  { kind: 'date', pattern: /^(\d{4}-\d{1,2}(-\d{1,2})?|\d{1,2}\/(\d{1,2}\/)?\d{4}|[a-z]{3,9}\.? \d{4})$/i }
+];
+
+// Kinds of fact recognised by the field's label, checked in order
+const LABEL_KINDS = [
+  { kind: 'email', pattern: /e-?mail/i },
+  { kind: 'url', pattern: /\b(url|website|linkedin|github|portfolio|homepage)\b/i },
+  { kind: 'phone', pattern: /\b(phone|mobile|cell|telephone)\b/i },
+  { kind: 'date', pattern: /\b(date|year|month|graduation)\b/i },
+  { kind: 'number', pattern: /\b(gpa|grade point|score)\b/i },
+  { kind: 'employer', pattern: /\b(employer|company|organi[sz]ation)\b/i },
+  { kind: 'school', pattern: /\b(school|universit(y|ies)|college|institution)\b/i },
+  { kind: 'degree', pattern: /\b(degree|major|field of study|qualification)\b/i }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Answers that say the resume has nothing for the field, which have nothing to verify
+const NO_ANSWER_PATTERN = /^(no information available|n\/a|none|unknown)?$/i;
+
+/**
+ * Verify the factual values of the output against what the user has actually provided
+ * Values from the answer bank, earlier steps or the user's own edits are taken as given
+ * @param {Array<Object>} fields - Output fields ({ id, value, confidence })
+ * @param {Object} sources - { resumeText, resumeProfile, answers (answer bank entries),
+ *   formFields (extracted fields, for labels), blank (true to clear unverified values) }
+ * @returns {Array<Object>} The fields, factual ones with verification ("verified" or "unverified")
+ *   and unverified ones with the kind of fact (factKind) and, when blanked, the model's value as unverifiedValue
+ */
+export function verifyFacts(fields, sources) {
+  const sourceText = buildSourceText(sources);
+  const formFields = sources.formFields || [];
+  
+  return fields.map(field => {
+    const value = String(field.value ?? '').trim();
+    if (field.source || field.edited || field.verification || NO_ANSWER_PATTERN.test(value)) {
+      return field;
+    }
+    
+    const formField = formFields.find(candidate => candidate.id === field.id || (candidate.name && candidate.name === field.id)) || {};
+    const kind = getFactKind(formField.label || field.id, value);
+    if (!kind) {
+      return field;
+    }
+    
+    if (isSupported(kind, value, sourceText)) {
+      return { ...field, verification: 'verified' };
+    }
+    
+    const unverified = { ...field, verification: 'unverified', factKind: kind };
+    if (sources.blank) {
+      unverified.unverifiedValue = field.value;
+      unverified.value = '';
+    }
+    return unverified;
+  });
+}
+
+/**
+ * Describe why a value is unverified, for the Output page
+ * @param {Object} field - An output field
+ * @returns {string} The description, or '' if the field isn't unverified
+ */
+export function describeVerification(field) {
+  if (field.verification !== 'unverified') {
+    return '';
+  }
+  
+  const description = `This ${field.factKind || 'value'} isn't in your resume or answer bank - check it before submitting.`;
+  return field.unverifiedValue
+    ? `${description} The model's value "${field.unverifiedValue}" was left out of the fill.`
+    : description;
+}
+
+/**
+ * Put everything the user has provided into one text to check values against
+ * @param {Object} sources - The sources passed to verifyFacts
+ * @returns {string} The text
+ */
+function buildSourceText(sources) {
+  return [
+    sources.resumeText || '',
+    sources.resumeProfile ? profileToPromptText(sources.resumeProfile) : '',
+    ...(sources.answers || []).map(entry => entry.answer || '')
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Work out what kind of fact a value is, if any
+ * @param {string} label - The field's label (or id)
+ * @param {string} value - The value
+ * @returns {string|null} The kind of fact, or null for values that aren't checked (free text, choices)
+ */
+function getFactKind(label, value) {
+  const byValue = VALUE_KINDS.find(entry => entry.pattern.test(value));
+  if (byValue) {
+    return byValue.kind;
+  }
+  
+  const byLabel = LABEL_KINDS.find(entry => entry.pattern.test(label));
+  if (!byLabel) {
+    return null;
+  }
+  
+  // A yes/no or other short choice in a field about, say, a degree isn't itself a fact to check
+  if (/^(yes|no|true|false|other|prefer not to say)$/i.test(value)) {
+    return null;
+  }
+  return byLabel.kind;
+}
+
+/**
+ * Check a value against the source text
+ * @param {string} kind - The kind of fact
+ * @param {string} value - The value
+ * @param {string} sourceText - Everything the user has provided
+ * @returns {boolean} True if the sources support the value
+ */
+function isSupported(kind, value, sourceText) {
+  const text = sourceText.toLowerCase();
+  
+  switch (kind) {
+    case 'email':
+      return text.includes(value.toLowerCase());
+    
+    case 'url':
+      return normalizeUrl(text).includes(normalizeUrl(value));
+    
+    case 'phone': {
+      // The same digits with any separators (the country code may be left out of either)
+      const digits = value.replace(/\D/g, '');
+      const sourceDigits = text.replace(/[\s().+-]/g, '');
+      return digits.length >= 7 && (sourceDigits.includes(digits) || sourceDigits.includes(digits.slice(-10)));
+    }
+    
+    case 'number': {
+      const number = value.replace(/,/g, '');
+      return new RegExp(`(^|[^\\d.])${escapeRegExp(number)}(?![\\d])`).test(text.replace(/(\d),(\d)/g, '$1$2'));
+    }
+    
+    case 'date':
+      return isDateSupported(value, text);
+    
+    default: {
+      const evidence = findEvidence(value, sourceText);
+      return evidence.strength === 'exact' || evidence.strength === 'derived';
+    }
+  }
+}
+
+/**
+ * Check that the sources mention a date's year, and its month with that year when it has one
+ * @param {string} value - The date
+ * @param {string} text - The source text, lowercased
+ * @returns {boolean} True if the date is supported
+ */
+function isDateSupported(value, text) {
+  const year = (value.match(/\d{4}/) || [])[0];
+  if (!year || !text.includes(year)) {
+    return false;
+  }
+  
+  const iso = value.match(/^\d{4}-(\d{1,2})/);
+  const slashed = value.match(/^(\d{1,2})\/(?:\d{1,2}\/)?\d{4}$/);
+  const named = value.toLowerCase().match(/^([a-z]{3})[a-z]*\.? \d{4}$/);
+  const month = iso || slashed ? parseInt((iso || slashed)[1], 10) : named ? MONTH_NAMES.indexOf(named[1]) + 1 : 0;
+  if (!month) {
+    return true;
+  }
+  
+  const monthName = MONTH_NAMES[month - 1];
+  const padded = String(month).padStart(2, '0');
+  return new RegExp(`(${monthName}[a-z]*\\.?,?\\s+${year}|\\b0?${month}/${year}|${year}-${padded})`).test(text);
+}
+
+/**
+ * Reduce a URL (or text containing URLs) to a comparable form: no protocol, www or trailing slash
+ * @param {string} url - The URL
+ * @returns {string} The normalized URL
+ */
+function normalizeUrl(url) {
+  return url.toLowerCase().replace(/https?:\/\//g, '').replace(/\bwww\./g, '').replace(/\/+(\s|$)/g, '$1').trim();
+}
+
+/**
+ * Escape a string for use as a literal in a RegExp
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,246 @@
+/**
+ * json-repair.js
+ * Tolerant parsing of model output that is almost JSON: code fences, prose around the object,
+ * trailing commas, single quotes, unquoted keys, comments, Python literals, missing commas and
+ * replies cut off before the closing brackets
+ */
+
+/**
+ * Parse a model's JSON reply, repairing it if it isn't valid JSON as it stands
+ * @param {string} text - The reply
+ * @returns {Object|Array} The parsed value
+ * @throws {SyntaxError} If no JSON can be recovered from the reply
+ */
+export function parseJSONLoose(text) {
+  const source = String(text || '');
+  
+  // Prefer the contents of a code block (which may be unterminated if the reply was cut off)
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const candidate = (fenced && fenced[1].trim() ? fenced[1] : source).trim();
+  
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall through to the repair
+  }
+  
+  // Prose can hold brackets of its own ("I can't find {the} data. {"fields": [...]}") - try each
+  // top-level value in turn, preferring the one with the fields of a form-filling reply
+  let first = null;
+  let lastError = new SyntaxError('No JSON object found in the response');
+  let start = candidate.search(/[{[]/);
+  while (start !== -1) {
+    const { json, end } = repairValue(candidate.substring(start));
+    try {
+      const value = JSON.parse(json);
+      if (value && Array.isArray(value.fields)) {
+        return value;
+      }
+      first = first || { value };
+    } catch (error) {
+      lastError = error;
+    }
+    
+    const next = candidate.substring(start + end).search(/[{[]/);
+    start = next === -1 ? -1 : start + end + next;
+  }
+  
+  if (first) {
+    return first.value;
+  }
+  throw lastError;
+}
+
+/**
+ * Rewrite almost-JSON as valid JSON, starting at its opening bracket
+ * Text after the outermost value is closed is dropped
+ * @param {string} text - The almost-JSON, starting with { or [
+ * @returns {string} The repaired JSON text
+ */
+export function repairJSON(text) {
+  return repairValue(text).json;
+}
+
+/**
+ * Rewrite the almost-JSON value at the start of a text as valid JSON
+ * @param {string} text - The almost-JSON, starting with { or [
+ * @returns {Object} { json, end } - the repaired JSON text and the index in text after the value
+ */
+function repairValue(text) {
+  let out = '';
+  const stack = [];
+  let expectKey = false;
+  let afterKey = false;
+  let i = 0;
+  
+  const lastChar = () => out.trimEnd().slice(-1);
+  
+  // Values written back to back ("a" "b", } {) are missing the comma between them
+  const separate = () => {
+    if (/[}\]"\w]/.test(lastChar())) {
+      out = out.trimEnd() + ',';
+      if (stack[stack.length - 1] === '{') {
+        expectKey = true;
+      }
+    }
+  };
+  
+  // A key or a value, depending on where it appears in the object
+  const writeToken = json => {
+    separate();
+    out += json;
+    if (stack[stack.length - 1] === '{' && expectKey) {
+      expectKey = false;
+      afterKey = true;
+    } else {
+      afterKey = false;
+    }
+  };
+  
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (/\s/.test(char)) {
+      out += char;
+      i++;
+    } else if (char === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      // Comments
+      const end = text[i + 1] === '/' ? text.indexOf('\n', i) : text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + (text[i + 1] === '/' ? 1 : 2);
+    } else if (char === '"' || char === "'") {
+      const { value, end } = readString(text, i);
+      writeToken(JSON.stringify(value));
+      i = end;
+    } else if (char === '{' || char === '[') {
+      separate();
+      out += char;
+      stack.push(char);
+      expectKey = char === '{';
+      afterKey = false;
+      i++;
+    } else if (char === '}' || char === ']') {
+      if (stack.length === 0) {
+        break;
+      }
+      
+      // Close anything left open inside, e.g. the object in [{"a": 1]
+      const opener = char === '}' ? '{' : '[';
+      while (stack.length > 0) {
+        out = closeDangling(out, afterKey);
+        afterKey = false;
+        const open = stack.pop();
+        out += open === '{' ? '}' : ']';
+        if (open === opener) {
+          break;
+        }
+      }
+      expectKey = false;
+      i++;
+      
+      if (stack.length === 0) {
+        return { json: out, end: i };
+      }
+    } else if (char === ':') {
+      out += ':';
+      expectKey = false;
+      afterKey = false;
+      i++;
+    } else if (char === ',') {
+      out = out.trimEnd().replace(/,$/, '') + ',';
+      expectKey = stack[stack.length - 1] === '{';
+      afterKey = false;
+      i++;
+    } else if (/[-\w.$]/.test(char)) {
+      // An unquoted key - a value that just ended means a comma is missing before it
+      const inObject = stack[stack.length - 1] === '{';
+      if (inObject && (expectKey || /[}\]"\w]/.test(lastChar()))) {
+        const key = text.substring(i).match(/^[-\w.$]+/)[0];
+        writeToken(JSON.stringify(key));
+        i += key.length;
+        continue;
+      }
+      
+      // An unquoted value runs to the end of its member, so dates (2021-03), phone numbers and
+      // URLs stay whole
+      const raw = text.substring(i).match(/^[^,}\]"\n\r]*/)[0];
+      const word = raw.trim();
+      i += raw.length;
+      
+      if (/^-?\d*\.?\d+(?:[eE][-+]?\d+)?$/.test(word)) {
+        writeToken(String(Number(word)));
+      } else if (/^(true|True)$/.test(word)) {
+        writeToken('true');
+      } else if (/^(false|False)$/.test(word)) {
+        writeToken('false');
+      } else if (/^(null|None|undefined|NaN)$/.test(word)) {
+        writeToken('null');
+      } else {
+        // A bare word as a value, like "confidence": High
+        writeToken(JSON.stringify(word));
+      }
+    } else {
+      i++;
+    }
+  }
+  
+  // Close what a cut-off reply left open
+  while (stack.length > 0) {
+    out = closeDangling(out, afterKey);
+    afterKey = false;
+    out += stack.pop() === '{' ? '}' : ']';
+  }
+  
+  return { json: out, end: i };
+}
+
+/**
+ * Read a single- or double-quoted string, allowing raw line breaks and a missing closing quote
+ * A quote only closes the string where the JSON goes on after it (a comma, bracket or colon, the
+ * next line or the next string), so unescaped quotes inside it ('I don't know', "He said "hi"") are kept
+ * @param {string} text - The text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { value, end } - the string's value and the index after its closing quote
+ */
+function readString(text, start) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+  
+  const closesString = index => /^[ \t]*(?:[,}\]:"'\n\r]|$)/.test(text.substring(index + 1, index + 200));
+  
+  while (i < text.length && !(text[i] === quote && closesString(i))) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      const escaped = text[i + 1];
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+      if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(i + 2, 4))) {
+        value += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+        i += 6;
+        continue;
+      }
+      value += escapes[escaped] || escaped;
+      i += 2;
+    } else {
+      value += text[i];
+      i++;
+    }
+  }
+  
+  return { value, end: i + 1 };
+}
+
+/**
+ * Finish the last member of an object or array before it's closed: drop a trailing comma and
+ * give a key without a value a null one
+ * @param {string} out - The JSON written so far
+ * @param {boolean} afterKey - Whether the last token was an object key
+ * @returns {string} The JSON ready for its closing bracket
+ */
+function closeDangling(out, afterKey) {
+  let closed = out.trimEnd().replace(/,$/, '');
+  if (closed.endsWith(':')) {
+    closed += 'null';
+  } else if (afterKey) {
+    closed += ':null';
+  }
+  return closed;
+}
@@ -0,0 +1,191 @@
+/**
+ * option-matcher.js
+ * Maps free-text model answers onto the options of select, radio and checkbox fields
+ */
+
+// Answers that express agreement or disagreement in yes/no style questions
+const AFFIRMATIVE_PATTERN = /^(yes|y|true|checked|on|agree|accept|i agree|i accept|i am|i do|i have|i will|authorized|eligible)\b/;
+const NEGATIVE_PATTERN = /^(no|false|unchecked|off|decline|disagree|i am not|i do not|i don t|i have not|i will not|not)\b/;
+
+// "N/A" and "Not applicable" say the question doesn't apply - that isn't "No", so they only match
+// an option that says the same
+const NOT_APPLICABLE_PATTERN = /^(n a|not applicable)\b/;
+
+// Common alternate spellings that should match the same option
+const ALIASES = {
+  'usa': 'united states',
+  'us': 'united states',
+  'u s': 'united states',
+  'u s a': 'united states',
+  'united states of america': 'united states',
+  'uk': 'united kingdom',
+  'u k': 'united kingdom',
+  'great britain': 'united kingdom'
+};
+
+/**
+ * Normalize text for comparison
+ * @param {string} text - The text to normalize
+ * @returns {string} Lower-cased text with punctuation collapsed to single spaces
+ */
+function normalize(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+]+/g, ' ')
+    .trim();
+  
+  return ALIASES[normalized] || normalized;
+}
+
+/**
+ * Compute the Dice coefficient between the word sets of two strings
+ * @param {string} a - First normalized string
+ * @param {string} b - Second normalized string
+ * @returns {number} Similarity between 0 and 1
+ */
+function tokenSimilarity(a, b) {
+  const tokensA = new Set(a.split(' ').filter(Boolean));
+  const tokensB = new Set(b.split(' ').filter(Boolean));
+  
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+  
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+  
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Parse a numeric range out of an option label such as "3-5 years", "10+" or "Less than 1"
+ * @param {string} text - Normalized option text
+ * @returns {Object|null} Range with min and max, or null if the option isn't numeric
+ */
+function parseRange(text) {
+  let match = text.match(/(\d+) (?:to )?(\d+)/);
+  if (match) {
+    return { min: Number(match[1]), max: Number(match[2]) };
+  }
+  
+  match = text.match(/(\d+)\s*\+|(?:more than|over|at least) (\d+)/);
+  if (match) {
+    return { min: Number(match[1] || match[2]), max: Infinity };
+  }
+  
+  match = text.match(/(?:less than|under|fewer than) (\d+)/);
+  if (match) {
+    return { min: -Infinity, max: Number(match[1]) - Number.EPSILON };
+  }
+  
+  return null;
+}
+
+/**
+ * Get the display text of an option, falling back to its value
+ * @param {Object} option - Option object with value and text
+ * @returns {string} The option's text
+ */
+function optionText(option) {
+  return option.text || option.value || '';
+}
+
+/**
+ * Find the option that best matches a model answer
+ * @param {string} answer - The free-text answer from the model
+ * @param {Array} options - Array of { value, text } option objects
+ * @returns {Object|null} The matching option, or null if nothing is close enough
+ */
+export function matchOption(answer, options) {
+  if (!answer || !Array.isArray(options) || options.length === 0) {
+    return null;
+  }
+  
+  const normalizedAnswer = normalize(answer);
+  if (!normalizedAnswer) {
+    return null;
+  }
+  
+  // 1. Exact match on the value or the visible text
+  const exact = options.find(option =>
+    normalize(option.value) === normalizedAnswer || normalize(optionText(option)) === normalizedAnswer
+  );
+  if (exact) {
+    return exact;
+  }
+  if (NOT_APPLICABLE_PATTERN.test(normalizedAnswer)) {
+    return null;
+  }
+  
+  // 2. Yes/No questions - match on the polarity of the answer
+  const isNegative = text => NEGATIVE_PATTERN.test(text);
+  const isAffirmative = text => !isNegative(text) && AFFIRMATIVE_PATTERN.test(text);
+  const affirmativeOption = options.find(option => isAffirmative(normalize(optionText(option))));
+  const negativeOption = options.find(option => isNegative(normalize(optionText(option))));
+  if (affirmativeOption && negativeOption) {
+    if (isNegative(normalizedAnswer)) {
+      return negativeOption;
+    }
+    if (isAffirmative(normalizedAnswer)) {
+      return affirmativeOption;
+    }
+  }
+  
+  // 3. Numeric answers against range options ("5 years" -> "3-5 years")
+  const numberMatch = normalizedAnswer.match(/\d+(?:\.\d+)?/);
+  if (numberMatch) {
+    const number = Number(numberMatch[0]);
+    const inRange = options.find(option => {
+      const range = parseRange(normalize(optionText(option)));
+      return range && number >= range.min && number <= range.max;
+    });
+    if (inRange) {
+      return inRange;
+    }
+  }
+  
+  // 4. One contains the other - prefer the longest (most specific) option
+  const containing = options
+    .filter(option => {
+      const text = normalize(optionText(option));
+      return text && (normalizedAnswer.includes(text) || text.includes(normalizedAnswer));
+    })
+    .sort((a, b) => optionText(b).length - optionText(a).length);
+  if (containing.length > 0) {
+    return containing[0];
+  }
+  
+  // 5. Closest option by shared words
+  let bestOption = null;
+  let bestScore = 0;
+  options.forEach(option => {
+    const score = tokenSimilarity(normalizedAnswer, normalize(optionText(option)));
+    if (score > bestScore) {
+      bestScore = score;
+      bestOption = option;
+    }
+  });
+  
+  return bestScore >= 0.5 ? bestOption : null;
+}
+
+/**
+ * Map a model answer for a choice field to the option value the page expects
+ * @param {Object} field - Field data from extractFormData (with an options array)
+ * @param {string} answer - The free-text answer from the model
+ * @returns {Object} Result with matched flag, option value and option text
+ */
+export function resolveChoiceValue(field, answer) {
+  if (!field || !Array.isArray(field.options) || field.options.length === 0) {
+    return { matched: false, value: answer };
+  }
+  
+  const option = matchOption(answer, field.options);
+  if (!option) {
+    return { matched: false, value: answer };
+  }
+  
+  return { matched: true, value: option.value, text: optionText(option) };
+}
@@ -0,0 +1,321 @@
+/**
+ * pdf-layout.js
+ * Layout-aware PDF text extraction that rebuilds lines, columns and headings
+ * from the positions and fonts of pdf.js text items
+ */
+
+import * as pdfjsLib from './pdf.mjs';
+
+if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+  pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdf.worker.mjs';
+}
+
+// Leading glyphs that mark a bullet point (\uF0B7 and \uF0A7 are Symbol/Wingdings bullets)
+const BULLET_PATTERN = /^\s*[-•*▪●◦■□➢➤►▸✓✔–\uF0B7\uF0A7]\s*/;
+
+/**
+ * Convert the text items of a page into positioned fragments
+ * @param {Object} content - Result of page.getTextContent()
+ * @param {number} pageIndex - Zero-based page number
+ * @returns {Array<Object>} Fragments with text, x, y, width, size and fontName
+ */
+function toFragments(content, pageIndex) {
+  return content.items
+    .filter(item => typeof item.str === 'string' && item.str.trim() !== '')
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      return {
+        text: item.str,
+        x,
+        y,
+        width: item.width || 0,
+        size: Math.hypot(c, d) || Math.hypot(a, b) || item.height || 0,
+        fontName: item.fontName,
+        page: pageIndex
+      };
+    });
+}
+
+/**
+ * Group fragments that share a baseline into lines, top to bottom
+ * @param {Array<Object>} fragments - Fragments from a single page
+ * @returns {Array<Array<Object>>} Lines, each an array of fragments sorted left to right
+ */
+function groupIntoLines(fragments) {
+  const sorted = [...fragments].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  
+  sorted.forEach(fragment => {
+    const line = lines.find(candidate =>
+      Math.abs(candidate.y - fragment.y) <= Math.max(candidate.size, fragment.size) * 0.4
+    );
+    
+    if (line) {
+      line.fragments.push(fragment);
+      line.size = Math.max(line.size, fragment.size);
+    } else {
+      lines.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+    }
+  });
+  
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => line.fragments.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Find the x position of the gutter between two text columns, if the page has one
+ * @param {Array<Object>} fragments - Fragments from a single page
+ * @param {number} pageWidth - Width of the page in PDF units
+ * @returns {number|null} The gutter x position, or null for single-column pages
+ */
+function findColumnGutter(fragments, pageWidth) {
+  if (fragments.length < 20 || !pageWidth) {
+    return null;
+  }
+  
+  // Count how many fragments cover each slice of the page's width
+  const bucketCount = 100;
+  const bucketWidth = pageWidth / bucketCount;
+  const coverage = new Array(bucketCount).fill(0);
+  fragments.forEach(fragment => {
+    const start = Math.max(0, Math.floor(fragment.x / bucketWidth));
+    const end = Math.min(bucketCount - 1, Math.floor((fragment.x + fragment.width) / bucketWidth));
+    for (let i = start; i <= end; i++) {
+      coverage[i]++;
+    }
+  });
+  
+  // Look for the widest run of (nearly) empty slices in the middle of the page
+  const threshold = Math.max(1, fragments.length * 0.03);
+  let best = null;
+  let runStart = null;
+  for (let i = 20; i <= 80; i++) {
+    const empty = i < 80 && coverage[i] <= threshold;
+    if (empty && runStart === null) {
+      runStart = i;
+    } else if (!empty && runStart !== null) {
+      if (!best || i - runStart > best.width) {
+        best = { start: runStart, width: i - runStart };
+      }
+      runStart = null;
+    }
+  }
+  
+  if (!best || best.width < 2) {
+    return null;
+  }
+  
+  const gutter = (best.start + best.width / 2) * bucketWidth;
+  
+  // Both columns need a real share of the text
+  const leftCount = fragments.filter(fragment => fragment.x + fragment.width <= gutter).length;
+  const rightCount = fragments.filter(fragment => fragment.x >= gutter).length;
+  if (leftCount < fragments.length * 0.2 || rightCount < fragments.length * 0.2) {
+    return null;
+  }
+  
+  return gutter;
+}
+
+/**
+ * Put the lines of a page into reading order, reading each column top to bottom
+ * @param {Array<Array<Object>>} lines - Lines of fragments, top to bottom
+ * @param {number|null} gutter - The column gutter from findColumnGutter
+ * @returns {Array<Array<Object>>} Lines in reading order
+ */
+function orderColumns(lines, gutter) {
+  if (gutter === null) {
+    return lines;
+  }
+  
+  const ordered = [];
+  let left = [];
+  let right = [];
+  const flushColumns = () => {
+    ordered.push(...left, ...right);
+    left = [];
+    right = [];
+  };
+  
+  lines.forEach(line => {
+    // Lines that cross the gutter (like a name banner) span both columns
+    if (line.some(fragment => fragment.x < gutter && fragment.x + fragment.width > gutter)) {
+      flushColumns();
+      ordered.push(line);
+      return;
+    }
+    
+    const leftPart = line.filter(fragment => fragment.x < gutter);
+    const rightPart = line.filter(fragment => fragment.x >= gutter);
+    if (leftPart.length > 0) left.push(leftPart);
+    if (rightPart.length > 0) right.push(rightPart);
+  });
+  flushColumns();
+  
+  return ordered;
+}
+
+/**
+ * Join the fragments of a line, adding spaces only where there's a visible gap
+ * @param {Array<Object>} fragments - Fragments sorted left to right
+ * @returns {Object} Line with text, x, y, size and fontName
+ */
+function buildLine(fragments) {
+  let text = '';
+  let previous = null;
+  const fontChars = {};
+  
+  fragments.forEach(fragment => {
+    if (previous) {
+      const gap = fragment.x - (previous.x + previous.width);
+      if (gap > fragment.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(fragment.text)) {
+        text += ' ';
+      }
+    }
+    text += fragment.text;
+    fontChars[fragment.fontName] = (fontChars[fragment.fontName] || 0) + fragment.text.trim().length;
+    previous = fragment;
+  });
+  
+  const totalChars = Object.values(fontChars).reduce((sum, count) => sum + count, 0);
+  const [fontName, fontCount] = Object.entries(fontChars).sort((a, b) => b[1] - a[1])[0];
+  
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    x: fragments[0].x,
+    y: fragments[0].y,
+    page: fragments[0].page,
+    size: Math.max(...fragments.map(fragment => fragment.size)),
+    fontName,
+    // A line set in one font throughout can be a heading in that font
+    singleFont: totalChars === 0 || fontCount / totalChars >= 0.9
+  };
+}
+
+/**
+ * Find the most common value weighted by character count
+ * @param {Array<Object>} lines - Built lines
+ * @param {Function} getKey - Returns the value to count for a line
+ * @returns {*} The most common value
+ */
+function dominant(lines, getKey) {
+  const counts = new Map();
+  lines.forEach(line => {
+    const key = getKey(line);
+    counts.set(key, (counts.get(key) || 0) + line.text.length);
+  });
+  
+  let best = null;
+  let bestCount = -1;
+  counts.forEach((count, key) => {
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Decide the Markdown heading level of a line from its size and font
+ * @param {Object} line - A built line
+ * @param {Object} body - Body text size and font
+ * @returns {number} Heading level (1-3), or 0 for regular text
+ */
+function getHeadingLevel(line, body) {
+  if (line.text.length > 60 || BULLET_PATTERN.test(line.text) || /[.;]$/.test(line.text)) {
+    return 0;
+  }
+  
+  if (line.size >= body.size * 1.6) return 1;
+  if (line.size >= body.size * 1.15) return 2;
+  
+  // Same size but set in a different (usually bold) font
+  if (line.singleFont && line.fontName !== body.fontName && /[A-Za-z]/.test(line.text)) {
+    return line.text === line.text.toUpperCase() ? 2 : 3;
+  }
+  
+  // Documents with a single font and size only have capitalization to go on
+  if (body.uniform && line.text === line.text.toUpperCase() && /[A-Z]/.test(line.text) && line.text.length < 50) {
+    return 2;
+  }
+  
+  return 0;
+}
+
+/**
+ * Turn ordered lines into Markdown with headings, bullets and paragraph breaks
+ * @param {Array<Object>} lines - Built lines in reading order
+ * @returns {string} The Markdown text
+ */
+function linesToMarkdown(lines) {
+  if (lines.length === 0) {
+    return '';
+  }
+  
+  const body = {
+    size: dominant(lines, line => Math.round(line.size * 2) / 2),
+    fontName: dominant(lines, line => line.fontName)
+  };
+  body.uniform = lines.every(line => line.fontName === body.fontName && line.size < body.size * 1.15);
+  
+  const blocks = [];
+  let previous = null;
+  
+  lines.forEach(line => {
+    const level = getHeadingLevel(line, body);
+    const isBullet = BULLET_PATTERN.test(line.text);
+    const lineGap = previous && previous.page === line.page ? previous.y - line.y : Infinity;
+    const lastBlock = blocks[blocks.length - 1];
+    
+    if (level > 0) {
+      blocks.push({ type: 'heading', text: `${'#'.repeat(level)} ${line.text}` });
+    } else if (isBullet) {
+      blocks.push({ type: 'bullet', text: `- ${line.text.replace(BULLET_PATTERN, '')}`, x: line.x });
+    } else if (lastBlock && lastBlock.type === 'bullet' && lineGap <= line.size * 1.6 && line.x > lastBlock.x + 1) {
+      // Wrapped continuation of the previous bullet point
+      lastBlock.text += ' ' + line.text;
+    } else {
+      blocks.push({ type: 'text', text: line.text, gapBefore: lineGap > line.size * 1.8 });
+    }
+    
+    previous = line;
+  });
+  
+  // Separate headings and paragraphs with blank lines; keep related lines together
+  return blocks
+    .map((block, index) => {
+      const separator = index === 0 ? ''
+        : block.type === 'heading' || blocks[index - 1].type === 'heading' || block.gapBefore ? '\n\n'
+        : '\n';
+      return separator + block.text;
+    })
+    .join('');
+}
+
+/**
+ * Parse a PDF into Markdown using the layout of its text
+ * @param {ArrayBuffer} data - The PDF file contents
+ * @returns {Promise<string>} The resume as Markdown
+ */
+export async function parsePdfToMarkdown(data) {
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  const lines = [];
+  
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const content = await page.getTextContent();
+    const pageWidth = page.getViewport({ scale: 1 }).width;
+    
+    const fragments = toFragments(content, i - 1);
+    const gutter = findColumnGutter(fragments, pageWidth);
+    
+    orderColumns(groupIntoLines(fragments), gutter)
+      .map(buildLine)
+      .filter(line => line.text)
+      .forEach(line => lines.push(line));
+  }
+  
+  return linesToMarkdown(lines);
+}
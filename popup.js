@@ -26,7 +26,7 @@ extractApplicationButton.addEventListener('click', async () => {
     extractApplicationButton.disabled = true;
     
     // First check if we already have data from the MutationObserver
-    chrome.storage.local.get(['extractedHTML', 'pageUrl', 'pageTitle', 'detectionTime'], (data) => {
+    chrome.storage.local.get(['extractedHTML', 'pageUrl', 'pageTitle', 'pageTabId', 'detectionTime'], (data) => {
       // If we have recent data (less than 10 seconds old) for this page, use it
       const currentTime = Date.now();
       const isRecentData = data.detectionTime && 
@@ -39,6 +39,7 @@ extractApplicationButton.addEventListener('click', async () => {
         localStorage.setItem('extractedHTML', data.extractedHTML);
         localStorage.setItem('pageUrl', data.pageUrl);
         localStorage.setItem('pageTitle', data.pageTitle);
+        localStorage.setItem('pageTabId', activeTab.id);
         
         // Reset button
         extractApplicationButton.textContent = originalText;
@@ -49,8 +50,8 @@ extractApplicationButton.addEventListener('click', async () => {
           url: chrome.runtime.getURL("viewer.html?section=application")
         });
       } else {
-        // Send a message to the content script to force a scan
-        chrome.tabs.sendMessage(activeTab.id, { action: "scanForForms" }, (response) => {
+        // Ask the background script to scan every frame of the page (forms are often in iframes)
+        chrome.runtime.sendMessage({ action: "collectFormData", tabId: activeTab.id }, (response) => {
           // Check for error
           if (chrome.runtime.lastError) {
             console.error("Error communicating with content script:", chrome.runtime.lastError);
@@ -74,11 +75,13 @@ extractApplicationButton.addEventListener('click', async () => {
             localStorage.setItem('extractedHTML', JSON.stringify(formData));
             localStorage.setItem('pageUrl', activeTab.url);
             localStorage.setItem('pageTitle', activeTab.title);
+            localStorage.setItem('pageTabId', activeTab.id);
             
             chrome.storage.local.set({
               extractedHTML: JSON.stringify(formData),
               pageUrl: activeTab.url,
               pageTitle: activeTab.title,
+              pageTabId: activeTab.id,
               detectionTime: Date.now()
             });
             
@@ -122,12 +125,14 @@ extractApplicationButton.addEventListener('click', async () => {
         localStorage.setItem('extractedHTML', JSON.stringify(results[0].result));
         localStorage.setItem('pageUrl', activeTab.url);
         localStorage.setItem('pageTitle', activeTab.title);
+        localStorage.setItem('pageTabId', activeTab.id);
         
         // Also store in chrome.storage.local for persistence
         chrome.storage.local.set({
           extractedHTML: JSON.stringify(results[0].result),
           pageUrl: activeTab.url,
           pageTitle: activeTab.title,
+          pageTabId: activeTab.id,
           detectionTime: Date.now()
         });
         
@@ -3,15 +3,148 @@
  * Handles the generation of AI prompts for form filling based on resume data
  */
 
+import settingsManager from './settings-manager.js';
+import { profileToPromptText } from './resume-profile.js';
+
 /**
  * Generate an AI prompt based on resume data and form fields
  * @param {boolean} isLocalModel - Whether we're using a local model like Ollama or LMStudio
+ * @param {Array<string>} skipFieldIds - Ids of fields already answered (e.g. from the answer bank)
  * @returns {string} The generated prompt or error message
  */
-export function generatePrompt(isLocalModel = false) {
-  // Get the resume data
-  const resume = localStorage.getItem('parsedResume') || '';
+export function generatePrompt(isLocalModel = false, skipFieldIds = []) {
+  const { resume, formFields, error } = getPromptInputs(skipFieldIds);
+  if (error) {
+    return error;
+  }
+  
+  return buildPrompt(resume, formFields, isLocalModel);
+}
+
+/**
+ * Get the resume text and the form fields a prompt is built from
+ * @param {Array<string>} skipFieldIds - Ids of fields already answered (e.g. from the answer bank)
+ * @returns {Object} { resume, formFields }, or { error } if there is no form data
+ */
+export function getPromptInputs(skipFieldIds = []) {
+  // Get the resume data, preferring the structured profile over the raw text
+  const resumeProfile = settingsManager.getResumeProfile();
+  const parsedResume = localStorage.getItem('parsedResume') || '';
+  let resume = resumeProfile ? profileToPromptText(resumeProfile) : parsedResume;
+  
+  // A profile missing work or education entries likely didn't recognize the resume's headings - add the raw text
+  const incomplete = resumeProfile && ((resumeProfile.work || []).length === 0 || (resumeProfile.education || []).length === 0);
+  if (incomplete && parsedResume) {
+    resume = `${resume}\n\nFULL RESUME TEXT\n${parsedResume}`;
+  }
+  
+  // Collect the form fields the model should answer
+  const { formFields, error } = getPromptFields(skipFieldIds);
+  return error ? { error } : { resume, formFields };
+}
+
+/**
+ * Build the form-filling prompt for a resume and a set of fields
+ * @param {string} resume - The resume text
+ * @param {Array<Object>} formFields - Fields from getPromptInputs ({ id, label, type, options })
+ * @param {boolean} isLocalModel - Whether we're using a local model like Ollama or LMStudio
+ * @returns {string} The prompt
+ */
+export function buildPrompt(resume, formFields, isLocalModel = false) {
+  // For local models, use the simplified prompt structure
+  if (isLocalModel) {
+    // Import the formatPrompt function from agents-api.js (client-side only)
+    if (typeof window !== 'undefined' && window.formatPrompt) {
+      return window.formatPrompt(resume, formFields);
+    }
+    
+    // Fallback to a simpler prompt structure for local models
+    let prompt = `TASK: Fill job application form using resume information.
+
+RESUME:
+${resume}
+
+FORM FIELDS TO FILL:
+`;
+
+    formFields.forEach(field => {
+      // Include both ID and label for context
+      const labelText = field.label && field.label.trim() !== '' 
+        ? `${field.label} (${field.id})` 
+        : field.id;
+      
+      prompt += `- ${labelText} (${field.type})${formatFieldOptions(field)}\n`;
+    });
+
+    prompt += `
+INSTRUCTIONS:
+1. Use ONLY information from the resume
+2. For each field ID, provide a suitable value
+3. Mark unknown fields as "No information available" with Low confidence
+4. Do not make up information
+5. For fields with Options, the value MUST be exactly one of the listed options
+
+RESPONSE FORMAT:
+Return a JSON object with this structure:
+{
+  "fields": [
+    {
+      "id": "field_id",
+      "value": "value from resume",
+      "confidence": "High/Medium/Low"
+    }
+  ],
+  "summary": "Brief resume analysis"
+}`;
+
+    return prompt;
+  }
+  
+  // For cloud models, use the detailed prompt
+  let prompt = `I need you to fill out a job application form using my resume information. 
+
+RESUME CONTENT:
+${resume}
+
+FORM FIELDS:
+`;
+
+  formFields.forEach(field => {
+    prompt += `- ${field.label} (Field ID/Name: "${field.id}", Type: ${field.type})${formatFieldOptions(field)}\n`;
+  });
   
+  prompt += `\nINSTRUCTIONS:
+1. Analyze my resume and provide values for each form field based ONLY on information found in my resume.
+2. For each field, use EXACTLY the field ID/name I provided above as the "id" in your response.
+3. If a field has no corresponding information in my resume, mark its value as "No information available" with Low confidence.
+4. DO NOT make up or invent any information that is not explicitly mentioned in my resume.
+5. For fields that list Options, the value MUST be exactly one of those options.
+
+RESPONSE FORMAT:
+Return only a raw JSON object in this structure:
+{
+  "fields": [
+    {
+      "id": "EXACT_FIELD_ID",
+      "value": "value from resume",
+      "confidence": "High/Medium/Low"
+    },
+    ...more fields...
+  ],
+  "summary": "Brief summary of how well the resume matches the form fields"
+}
+
+IMPORTANT: Your response must be only the raw JSON object, with no extra text, comments, or formatting.`;
+
+  return prompt;
+}
+
+/**
+ * Collect the fields to ask the model about, with the identifiers it should answer them by
+ * @param {Array<string>} skipFieldIds - Ids of fields already answered (e.g. from the answer bank)
+ * @returns {Object} { formFields: [{ id, label, type, options }] }, or { error } if there is no form data
+ */
+function getPromptFields(skipFieldIds = []) {
   // Get the form data
   const extractedData = localStorage.getItem('extractedHTML');
   let forms = [];
@@ -29,14 +162,15 @@ export function generatePrompt(isLocalModel = false) {
       });
     } catch (error) {
       console.error('Error parsing form data:', error);
-      return 'Error: Could not parse form data';
+      return { error: 'Error: Could not parse form data' };
     }
   } else {
-    return 'Error: No form data available. Please extract form data first.';
+    return { error: 'Error: No form data available. Please extract form data first.' };
   }
   
   // Create a set to track field IDs we've already added to prevent duplicates
-  const processedFieldIds = new Set();
+  // (fields answered elsewhere count as added, so the model isn't asked about them)
+  const processedFieldIds = new Set(skipFieldIds);
   
   // Collect the form fields
   const formFields = [];
@@ -59,9 +193,10 @@ export function generatePrompt(isLocalModel = false) {
         }
       }
       
-      // If we still don't have an identifier, use something unique
+      // If we still don't have an identifier, use one derived from the field's fingerprint, which
+      // (unlike its index) doesn't change when other fields are added or removed
       if (!fieldIdentifier) {
-        fieldIdentifier = `field_${autofillableFields.indexOf(field)}`;
+        fieldIdentifier = getFingerprintIdentifier(field) || `field_${autofillableFields.indexOf(field)}`;
       }
       
       // Only add this field if we haven't processed it already
@@ -72,7 +207,8 @@ export function generatePrompt(isLocalModel = false) {
         formFields.push({
           id: fieldIdentifier,
           label: fieldLabel,
-          type: field.type
+          type: field.type,
+          options: field.options
         });
       }
     });
@@ -95,9 +231,9 @@ export function generatePrompt(isLocalModel = false) {
           }
         }
         
-        // If we still don't have an identifier, use something unique
+        // If we still don't have an identifier, use one derived from the field's fingerprint
         if (!fieldIdentifier) {
-          fieldIdentifier = `field_${forms.indexOf(form)}_${form.fields.indexOf(field)}`;
+          fieldIdentifier = getFingerprintIdentifier(field) || `field_${forms.indexOf(form)}_${form.fields.indexOf(field)}`;
         }
         
         // Only add this field if we haven't processed it already
@@ -108,99 +244,85 @@ export function generatePrompt(isLocalModel = false) {
           formFields.push({
             id: fieldIdentifier,
             label: fieldLabel,
-            type: field.type
+            type: field.type,
+            options: field.options
           });
         }
       });
     });
   } else {
-    return 'Error: No form fields found. Please extract a form first.';
-  }
-
-  // For local models, use the simplified prompt structure
-  if (isLocalModel) {
-    // Import the formatPrompt function from agents-api.js (client-side only)
-    if (typeof window !== 'undefined' && window.formatPrompt) {
-      return window.formatPrompt(resume, formFields);
-    }
-    
-    // Fallback to a simpler prompt structure for local models
-    let prompt = `TASK: Fill job application form using resume information.
-
-RESUME:
-${resume}
-
-FORM FIELDS TO FILL:
-`;
-
-    formFields.forEach(field => {
-      // Include both ID and label for context
-      const labelText = field.label && field.label.trim() !== '' 
-        ? `${field.label} (${field.id})` 
-        : field.id;
-      
-      prompt += `- ${labelText} (${field.type})\n`;
-    });
-
-    prompt += `
-INSTRUCTIONS:
-1. Use ONLY information from the resume
-2. For each field ID, provide a suitable value
-3. Mark unknown fields as "No information available" with Low confidence
-4. Do not make up information
-
-RESPONSE FORMAT:
-Return a JSON object with this structure:
-{
-  "fields": [
-    {
-      "id": "field_id",
-      "value": "value from resume",
-      "confidence": "High/Medium/Low"
-    }
-  ],
-  "summary": "Brief resume analysis"
-}`;
-
-    return prompt;
+    return { error: 'Error: No form fields found. Please extract a form first.' };
   }
   
-  // For cloud models, use the detailed prompt
-  let prompt = `I need you to fill out a job application form using my resume information. 
-
-RESUME CONTENT:
-${resume}
-
-FORM FIELDS:
-`;
+  return { formFields };
+}
 
-  formFields.forEach(field => {
-    prompt += `- ${field.label} (Field ID/Name: "${field.id}", Type: ${field.type})\n`;
-  });
+/**
+ * Build the JSON schema of the answer to a form-filling prompt, for providers that can
+ * constrain their output to a schema
+ * @param {Array<Object>} formFields - The fields the prompt asks about, from getPromptInputs
+ * @returns {Object|null} The schema, or null if there are no fields to answer
+ */
+export function buildOutputSchema(formFields) {
+  if (!formFields || formFields.length === 0) {
+    return null;
+  }
   
-  prompt += `\nINSTRUCTIONS:
-1. Analyze my resume and provide values for each form field based ONLY on information found in my resume.
-2. For each field, use EXACTLY the field ID/name I provided above as the "id" in your response.
-3. If a field has no corresponding information in my resume, mark its value as "No information available" with Low confidence.
-4. DO NOT make up or invent any information that is not explicitly mentioned in my resume.
-
-RESPONSE FORMAT:
-Return only a raw JSON object in this structure:
-{
-  "fields": [
-    {
-      "id": "EXACT_FIELD_ID",
-      "value": "value from resume",
-      "confidence": "High/Medium/Low"
+  return {
+    type: 'object',
+    properties: {
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: formFields.map(field => field.id) },
+            value: { type: 'string' },
+            confidence: { type: 'string', enum: ['High', 'Medium', 'Low'] }
+          },
+          required: ['id', 'value', 'confidence'],
+          additionalProperties: false
+        }
+      },
+      summary: { type: 'string' }
     },
-    ...more fields...
-  ],
-  "summary": "Brief summary of how well the resume matches the form fields"
+    required: ['fields', 'summary'],
+    additionalProperties: false
+  };
 }
 
-IMPORTANT: Your response must be only the raw JSON object, with no extra text, comments, or formatting.`;
+/**
+ * Build a field identifier from its fingerprint (label, heading and position among same-label fields)
+ * @param {Object} field - Field object with an optional fingerprint
+ * @returns {string} Identifier like "field_job_title_1", or '' if the field has no fingerprint
+ */
+export function getFingerprintIdentifier(field) {
+  const fingerprint = field.fingerprint;
+  if (!fingerprint || !(fingerprint.label || fingerprint.heading)) {
+    return '';
+  }
+  
+  const words = [fingerprint.heading, fingerprint.label]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+    .substring(0, 40);
+  return `field_${words}_${fingerprint.position || 0}`;
+}
 
-  return prompt;
+/**
+ * Describe the available options of a choice field for inclusion in a prompt
+ * @param {Object} field - Field object with an optional options array
+ * @returns {string} Text like ` Options: "Yes" | "No"`, or an empty string for free-text fields
+ */
+export function formatFieldOptions(field) {
+  if (!field.options || field.options.length === 0) {
+    return '';
+  }
+  
+  return ` Options: ${field.options.map(option => `"${option.text || option.value}"`).join(' | ')}`;
 }
 
 /**
@@ -0,0 +1,173 @@
+/**
+ * repeating-sections.js
+ * Fills work history and education sections ("Add another position") with one entry per job or
+ * school in the resume profile, mapping each entry's fields to profile values by their labels
+ */
+
+import { resolveChoiceValue } from './option-matcher.js';
+
+// The resume profile list that feeds each kind of section
+const PROFILE_LISTS = {
+  experience: 'work',
+  education: 'education'
+};
+
+/**
+ * Build a pattern for date field labels: ones that start with a date word ("From", "To") or pair it
+ * with date, month or year ("Start date", "Month ended"), so free text like "contributions to the team" doesn't match
+ * @param {string} words - Alternatives for the date word
+ * @returns {RegExp} The label pattern
+ */
+function dateLabelPattern(words) {
+  return new RegExp(`^(${words})\\b|\\b(${words})\\b.*\\b(date|month|year)\\b|\\b(date|month|year)\\b.*\\b(${words})\\b`, 'i');
+}
+
+// Field labels mapped to profile values, checked in order (the first matching pattern wins, so
+// descriptions come before titles: "Role Description" is a description)
+const FIELD_MAPPINGS = {
+  experience: [
+    { pattern: /\b(description|describe|responsibilit|duties|summary|accomplishment)/i, value: entry => (entry.highlights || []).join('\n') },
+    { pattern: /\b(currently|current(ly)? work|i work here|present)\b/i, value: entry => entry.endDate === 'Present' ? 'true' : 'false' },
+    { pattern: dateLabelPattern('start|from|began'), date: 'startDate' },
+    { pattern: dateLabelPattern('end|ended|to|until|finish'), date: 'endDate' },
+    { pattern: /\b(title|position|role)\b/i, value: entry => entry.position },
+    { pattern: /\b(company|employer|organi[sz]ation)\b/i, value: entry => entry.name },
+    { pattern: /\b(location|city)\b/i, value: entry => entry.location }
+  ],
+  education: [
+    { pattern: /\b(currently|current(ly)? (attend|enrolled)|present)\b/i, value: entry => entry.endDate === 'Present' ? 'true' : 'false' },
+    { pattern: dateLabelPattern('start|from|began'), date: 'startDate' },
+    { pattern: dateLabelPattern('end|ended|to|until'), date: 'endDate' },
+    { pattern: /\b(graduat|completion)/i, date: 'endDate' },
+    { pattern: /\b(major|field of study|discipline|area|concentration|specialization)\b/i, value: entry => entry.area },
+    { pattern: /\b(degree|qualification|diploma)\b/i, value: entry => entry.studyType },
+    { pattern: /\b(school|universit|institution|college)/i, value: entry => entry.institution },
+    { pattern: /\b(gpa|grade)\b/i, value: entry => entry.score }
+  ]
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+
+/**
+ * Write a profile date ("2021-03", "2021" or "Present") the way a field expects it
+ * @param {string} date - The profile date
+ * @param {Object} field - Field data from extractFormData
+ * @returns {string} The date for the field, or '' if it has none
+ */
+function formatDateForField(date, field) {
+  const match = String(date || '').match(/^(\d{4})(?:-(\d{2}))?$/);
+  if (!match) {
+    // "Present" end dates are answered by the "I currently work here" checkbox instead
+    return date === 'Present' ? '' : date || '';
+  }
+  
+  const [, year, month] = match;
+  const label = `${field.label || ''} ${field.placeholder || ''}`;
+  
+  if (field.type === 'date') return `${year}-${month || '01'}-01`;
+  if (field.type === 'month') return `${year}-${month || '01'}`;
+  
+  // Split month/year inputs (Workday, iCIMS)
+  if (/\bmonth\b/i.test(label) && !/\byear\b/i.test(label)) {
+    return month ? (field.options ? MONTH_NAMES[parseInt(month, 10) - 1] : month) : '';
+  }
+  if (/\byear\b/i.test(label) && !/\bmonth\b/i.test(label)) return year;
+  
+  return month ? `${month}/${year}` : year;
+}
+
+/**
+ * Work out the value of one section field for one profile entry
+ * @param {string} kind - The section kind (experience or education)
+ * @param {Object} field - Field data from the section's first entry
+ * @param {Object} entry - The profile entry
+ * @returns {string} The value, or '' if the profile has nothing for the field
+ */
+function getEntryValue(kind, field, entry) {
+  const mapping = FIELD_MAPPINGS[kind].find(candidate => candidate.pattern.test(field.label || ''));
+  if (!mapping) {
+    return '';
+  }
+  
+  const value = mapping.date ? formatDateForField(entry[mapping.date], field) : String(mapping.value(entry) || '');
+  if (!value || !field.options || field.options.length === 0) {
+    return value;
+  }
+  
+  // Choice fields only take values that map onto one of their options
+  const choice = resolveChoiceValue(field, value);
+  return choice.matched ? String(choice.value) : '';
+}
+
+/**
+ * Find the repeating sections the resume profile has entries for
+ * @param {Object|null} formData - The extracted form data
+ * @param {Object|null} resumeProfile - The structured resume profile
+ * @returns {Array<Object>} Sections with their profile entries and the fields of their first entry
+ */
+function getFillableSections(formData, resumeProfile) {
+  if (!formData || !resumeProfile) {
+    return [];
+  }
+  
+  return (formData.repeatingSections || [])
+    .map(section => {
+      const profileEntries = resumeProfile[PROFILE_LISTS[section.kind]] || [];
+      const sectionFields = (formData.autofillableFields || []).filter(field =>
+        field.section && field.section.id === section.id && (field.frameId || 0) === (section.frameId || 0));
+      return { section, profileEntries, sectionFields };
+    })
+    .filter(({ profileEntries, sectionFields }) => profileEntries.length > 0 && sectionFields.length > 0);
+}
+
+/**
+ * List the fields that are filled from the resume profile's entries rather than by the model
+ * @param {Object|null} formData - The extracted form data
+ * @param {Object|null} resumeProfile - The structured resume profile
+ * @returns {Array<string>} Field identifiers (name or id, as used in prompts)
+ */
+export function getRepeatingFieldIds(formData, resumeProfile) {
+  return getFillableSections(formData, resumeProfile)
+    .flatMap(({ sectionFields }) => sectionFields.map(field => field.name || field.id));
+}
+
+/**
+ * Build the fillRepeatingGroup requests for the sections the resume profile has entries for
+ * @param {Object|null} formData - The extracted form data
+ * @param {Object|null} resumeProfile - The structured resume profile
+ * @returns {Array<Object>} Requests with section ({ id, kind, path, frameId }) and entries
+ *   (per profile entry, an array of { label, occurrence, value })
+ */
+export function buildRepeatingSectionFills(formData, resumeProfile) {
+  return getFillableSections(formData, resumeProfile).map(({ section, profileEntries, sectionFields }) => {
+    // Every entry has the same fields as the first one, which may be the only one on the page yet
+    // (occurrence tells apart fields with the same label, counted like the content script does)
+    const template = [];
+    const occurrences = new Map();
+    sectionFields
+      .filter(field => field.section.index === 0)
+      .forEach(field => {
+        const labelKey = (field.label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const occurrence = occurrences.get(labelKey) || 0;
+        occurrences.set(labelKey, occurrence + 1);
+        template.push({ field, occurrence });
+      });
+    
+    return {
+      section: {
+        id: section.id,
+        kind: section.kind,
+        path: section.path,
+        frameId: section.frameId || 0
+      },
+      entries: profileEntries.map(entry => template
+        .map(({ field, occurrence }) => ({
+          label: field.label,
+          occurrence,
+          value: getEntryValue(section.kind, field, entry)
+        }))
+        .filter(answer => answer.value !== ''))
+    };
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * resume-embeddings.js
+ * Semantic search over the resume: the resume is split into chunks by section, embedded once
+ * through the primary provider (when it supports embeddings) and cached in IndexedDB by resume hash
+ */
+
+import { hashResumeText } from './resume-profile.js';
+
+const DB_NAME = 'resumeEmbeddings';
+const STORE_NAME = 'indexes';
+
+// Longest chunk, in characters - long sections are split between lines to stay under it
+const MAX_CHUNK_LENGTH = 600;
+
+// Chunks returned per search
+const DEFAULT_TOP_K = 3;
+
+// Cosine similarity needed for a High or Medium confidence match
+const HIGH_CONFIDENCE_SCORE = 0.6;
+const MEDIUM_CONFIDENCE_SCORE = 0.4;
+
+// Indexes built or loaded this session, by cache key (a failed build is removed, so the next
+// search tries again)
+const loadedIndexes = new Map();
+
+/**
+ * Split the parsed resume into chunks, one or more per section
+ * @param {string} text - The parsed resume in Markdown
+ * @returns {Array<Object>} Chunks with section (the heading they sit under) and text
+ */
+export function chunkResume(text) {
+  const chunks = [];
+  let section = '';
+  let lines = [];
+  
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) {
+      chunks.push({ section, text: body });
+    }
+    lines = [];
+  };
+  
+  (text || '').split('\n').forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      flush();
+      section = heading[1].replace(/\*\*/g, '').trim();
+      return;
+    }
+    
+    if (lines.join('\n').length + line.length > MAX_CHUNK_LENGTH) {
+      flush();
+    }
+    lines.push(line);
+  });
+  flush();
+  
+  return chunks;
+}
+
+/**
+ * Measure how alike two embeddings are
+ * @param {Array<number>} a - An embedding
+ * @param {Array<number>} b - An embedding of the same length
+ * @returns {number} Cosine similarity from -1 to 1 (0 if either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Search the resume for the chunks closest in meaning to a query
+ * @param {Object} api - The AgentsAPI instance
+ * @param {string} resumeText - The parsed resume in Markdown
+ * @param {string} query - The search query
+ * @param {number} topK - How many chunks to return
+ * @returns {Promise<Array<Object>|null>} Chunks ({ section, text, score, confidence }) best first,
+ *   or null if the primary provider doesn't support embeddings
+ * @throws {Error} If the resume or the query can't be embedded
+ */
+export async function searchResumeChunks(api, resumeText, query, topK = DEFAULT_TOP_K) {
+  const embedder = api && api.getEmbeddingProvider ? api.getEmbeddingProvider() : null;
+  if (!embedder || !resumeText) {
+    return null;
+  }
+  
+  const index = await getResumeIndex(embedder, resumeText);
+  const queryVector = await embedder.provider.createEmbedding(query);
+  
+  return index.chunks
+    .map(chunk => {
+      const score = cosineSimilarity(queryVector, chunk.vector);
+      return {
+        section: chunk.section,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000,
+        confidence: score >= HIGH_CONFIDENCE_SCORE ? 'High' : score >= MEDIUM_CONFIDENCE_SCORE ? 'Medium' : 'Low'
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Get the embedded chunks of the resume, from this session, IndexedDB or by embedding them now
+ * @param {Object} embedder - { providerType, provider } from AgentsAPI.getEmbeddingProvider
+ * @param {string} resumeText - The parsed resume in Markdown
+ * @returns {Promise<Object>} The index: { key, model, chunks: [{ section, text, vector }] }
+ */
+function getResumeIndex(embedder, resumeText) {
+  // Vectors from different models can't be compared, so the model is part of the key
+  const model = `${embedder.providerType}/${embedder.provider.getEmbeddingModel()}`;
+  const key = `${hashResumeText(resumeText)}:${model}`;
+  
+  if (!loadedIndexes.has(key)) {
+    const building = (async () => {
+      const cached = await readIndex(key);
+      if (cached) {
+        return cached;
+      }
+      
+      // One chunk at a time - local servers handle a single embedding request at once anyway
+      const chunks = [];
+      for (const chunk of chunkResume(resumeText)) {
+        const vector = await embedder.provider.createEmbedding(chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text);
+        chunks.push({ ...chunk, vector });
+      }
+      
+      const index = { key, model, chunks, createdAt: new Date().toISOString() };
+      await writeIndex(index);
+      return index;
+    })();
+    loadedIndexes.set(key, building);
+    
+    // A failed build (e.g. the server was down) is tried again next time rather than remembered
+    building.catch(() => {
+      if (loadedIndexes.get(key) === building) {
+        loadedIndexes.delete(key);
+      }
+    });
+  }
+  
+  return loadedIndexes.get(key);
+}
+
+/**
+ * Open the embeddings database, creating its store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read a cached index
+ * @param {string} key - The index's cache key
+ * @returns {Promise<Object|null>} The index, or null if it isn't cached (or the cache can't be read)
+ */
+async function readIndex(key) {
+  try {
+    const db = await openDatabase();
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error reading resume embeddings:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache an index, replacing the indexes of earlier resumes embedded by the same model
+ * @param {Object} index - The index to store
+ * @returns {Promise<void>}
+ */
+async function writeIndex(index) {
+  try {
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      
+      store.openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          store.put(index);
+          return;
+        }
+        if (cursor.value.model === index.model && cursor.value.key !== index.key) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    // The index still works for this session
+    console.error('Error saving resume embeddings:', error);
+  }
+}
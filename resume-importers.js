@@ -0,0 +1,366 @@
+/**
+ * resume-importers.js
+ * Converts PDF, Word (.docx), plain text and Markdown resumes into the parsedResume Markdown
+ */
+
+import { parsePdfToMarkdown } from './pdf-layout.js';
+
+// WordprocessingML namespace used by word/document.xml and word/styles.xml
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// File types the importers understand, for file input accept attributes
+export const RESUME_FILE_ACCEPT = '.pdf,.docx,.txt,.md,.markdown';
+
+/**
+ * Get the importer type for a file from its name or MIME type
+ * @param {File|Object} file - File (or object with name and type)
+ * @returns {string|null} 'pdf', 'docx', 'text', 'markdown', or null if unsupported
+ */
+export function getResumeFileType(file) {
+  const name = (file.name || '').toLowerCase();
+  const type = file.type || '';
+  
+  if (name.endsWith('.pdf') || type === 'application/pdf') return 'pdf';
+  if (name.endsWith('.docx') || type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+  if (name.endsWith('.md') || name.endsWith('.markdown') || type === 'text/markdown') return 'markdown';
+  if (name.endsWith('.txt') || type === 'text/plain') return 'text';
+  return null;
+}
+
+/**
+ * Check whether a file can be imported as a resume
+ * @param {File|Object} file - File (or object with name and type)
+ * @returns {boolean} True if an importer exists for the file
+ */
+export function isSupportedResumeFile(file) {
+  return getResumeFileType(file) !== null;
+}
+
+/**
+ * Convert plain text to markdown format
+ * @param {string} text - The text to convert
+ * @returns {string} The markdown formatted text
+ */
+export function toMarkdown(text) {
+  return text
+    .split('\n')
+    .map(l => l.trim())
+    .filter(l => l)
+    .map(l => {
+      if (/^[-•*]\s*/.test(l)) {
+        return '- ' + l.replace(/^[-•*]\s*/, '');
+      }
+      if (l === l.toUpperCase() && l.length < 50) {
+        return '## ' + l;
+      }
+      return l;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Parse a resume file of any supported type into Markdown
+ * @param {File} file - The resume file
+ * @returns {Promise<string>} The resume as Markdown
+ */
+export async function parseResumeFile(file) {
+  switch (getResumeFileType(file)) {
+    case 'pdf':
+      return await parsePdfToMarkdown(await file.arrayBuffer());
+    
+    case 'docx':
+      return await parseDocxToMarkdown(await file.arrayBuffer());
+    
+    case 'markdown':
+      return (await file.text()).replace(/\r\n?/g, '\n').trim();
+    
+    case 'text':
+      return toMarkdown((await file.text()).replace(/\r\n?/g, '\n'));
+    
+    default:
+      throw new Error(`Unsupported resume file "${file.name}". Use a PDF, Word (.docx), text or Markdown file.`);
+  }
+}
+
+/**
+ * Read the entries of a ZIP archive (the container format of .docx files)
+ * @param {ArrayBuffer} buffer - The archive contents
+ * @returns {Map<string, Object>} Entries by path, with method, offset and compressedSize
+ */
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+  
+  // The end of central directory record sits in the last 64 KB (plus its own 22 bytes)
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a valid .docx file (ZIP directory not found).');
+  }
+  
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Not a valid .docx file (corrupt ZIP directory).');
+    }
+    
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries;
+}
+
+/**
+ * Read a file out of a ZIP archive as text
+ * @param {ArrayBuffer} buffer - The archive contents
+ * @param {Map<string, Object>} entries - Directory from readZipDirectory
+ * @param {string} path - Path of the file inside the archive
+ * @returns {Promise<string|null>} The file's text, or null if the archive doesn't contain it
+ */
+async function readZipText(buffer, entries, path) {
+  const entry = entries.get(path);
+  if (!entry) {
+    return null;
+  }
+  
+  // The data follows the local header, whose name and extra field lengths can differ from the directory's
+  const view = new DataView(buffer);
+  const headerOffset = entry.localHeaderOffset;
+  const dataOffset = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+  const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+  
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  
+  if (entry.method === 8) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+  }
+  
+  throw new Error(`Unsupported compression method ${entry.method} in .docx file.`);
+}
+
+/**
+ * Get a WordprocessingML attribute value
+ * @param {Element} element - The element, or null
+ * @param {string} name - Local attribute name, like 'val'
+ * @returns {string|null} The attribute value
+ */
+function wordAttribute(element, name) {
+  if (!element) return null;
+  return element.getAttributeNS(WORD_NAMESPACE, name) || element.getAttribute(`w:${name}`);
+}
+
+/**
+ * Get the first direct or nested child with a WordprocessingML tag name
+ * @param {Element} element - The parent element
+ * @param {string} localName - Tag name without the w: prefix
+ * @returns {Element|null} The child element
+ */
+function wordChild(element, localName) {
+  return element ? element.getElementsByTagNameNS(WORD_NAMESPACE, localName)[0] || null : null;
+}
+
+/**
+ * Map style ids to heading levels using word/styles.xml
+ * @param {Document|null} stylesDocument - Parsed styles.xml
+ * @returns {Map<string, number>} Heading level (1 for Title) by style id
+ */
+function getHeadingStyles(stylesDocument) {
+  const headingStyles = new Map();
+  if (!stylesDocument) {
+    return headingStyles;
+  }
+  
+  Array.from(stylesDocument.getElementsByTagNameNS(WORD_NAMESPACE, 'style')).forEach(style => {
+    const styleId = wordAttribute(style, 'styleId');
+    const name = (wordAttribute(wordChild(style, 'name'), 'val') || '').toLowerCase();
+    const headingMatch = name.match(/^heading\s*(\d)$/);
+    
+    if (name === 'title') {
+      headingStyles.set(styleId, 1);
+    } else if (headingMatch) {
+      headingStyles.set(styleId, Math.min(Number(headingMatch[1]) + 1, 6));
+    }
+  });
+  
+  return headingStyles;
+}
+
+/**
+ * Get the text of a paragraph, turning tabs and line breaks into spaces
+ * @param {Element} paragraph - A w:p element
+ * @returns {string} The paragraph text
+ */
+function getParagraphText(paragraph) {
+  let text = '';
+  Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')).forEach(node => {
+    if (node.localName === 't') {
+      text += node.textContent;
+    } else if (node.localName === 'tab' || node.localName === 'br' || node.localName === 'cr') {
+      text += ' ';
+    }
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether every run with text in a paragraph is bold
+ * @param {Element} paragraph - A w:p element
+ * @returns {boolean} True for fully bold paragraphs
+ */
+function isBoldParagraph(paragraph) {
+  const runs = Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'r'))
+    .filter(run => wordChild(run, 't') && wordChild(run, 't').textContent.trim());
+  
+  return runs.length > 0 && runs.every(run => {
+    const bold = wordChild(wordChild(run, 'rPr'), 'b');
+    return bold && !['0', 'false'].includes(wordAttribute(bold, 'val'));
+  });
+}
+
+/**
+ * Get the child elements of a body, table, row or cell, looking through content controls
+ * (w:sdt), which many resume templates wrap their sections and cells in
+ * @param {Element} element - The container
+ * @returns {Array<Element>} Its paragraphs, tables, rows or cells in document order
+ */
+function wordContentChildren(element) {
+  return Array.from(element.children).flatMap(child => {
+    if (child.localName !== 'sdt') {
+      return [child];
+    }
+    const content = Array.from(child.children).find(part => part.localName === 'sdtContent');
+    return content ? wordContentChildren(content) : [];
+  });
+}
+
+/**
+ * Get the text of each row of a table, with its cells separated by " | "
+ * Only the table's own rows and cells are read; a nested table is part of the cell it's in
+ * @param {Element} table - A w:tbl element
+ * @returns {Array<string>} One line per non-empty row
+ */
+function getTableRows(table) {
+  return wordContentChildren(table)
+    .filter(row => row.localName === 'tr')
+    .map(row => wordContentChildren(row)
+      .filter(cell => cell.localName === 'tc')
+      .map(getCellText)
+      .filter(Boolean)
+      .join(' | '))
+    .filter(Boolean);
+}
+
+/**
+ * Get the text of a table cell, including any table nested in it
+ * @param {Element} cell - A w:tc element
+ * @returns {string} The cell's paragraphs joined by spaces
+ */
+function getCellText(cell) {
+  return wordContentChildren(cell)
+    .map(element => {
+      if (element.localName === 'p') return getParagraphText(element);
+      if (element.localName === 'tbl') return getTableRows(element).join(' ');
+      return '';
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Convert a paragraph into a Markdown block
+ * @param {Element} paragraph - A w:p element
+ * @param {Map<string, number>} headingStyles - Heading levels by style id
+ * @returns {Object|null} Block with type and text, or null for empty paragraphs
+ */
+function paragraphToBlock(paragraph, headingStyles) {
+  const text = getParagraphText(paragraph);
+  if (!text) {
+    return null;
+  }
+  
+  const properties = wordChild(paragraph, 'pPr');
+  const styleId = wordAttribute(wordChild(properties, 'pStyle'), 'val') || '';
+  
+  if (headingStyles.has(styleId)) {
+    return { type: 'heading', text: `${'#'.repeat(headingStyles.get(styleId))} ${text}` };
+  }
+  
+  // Numbered and bulleted list items both become bullets
+  if (wordChild(properties, 'numPr') || /^list/i.test(styleId) || /^[-•*▪●◦]\s/.test(text)) {
+    return { type: 'bullet', text: `- ${text.replace(/^[-•*▪●◦]\s*/, '')}` };
+  }
+  
+  // Short, fully bold lines act as headings in resumes that don't use heading styles
+  if (text.length <= 60 && !/[.;]$/.test(text) && isBoldParagraph(paragraph)) {
+    return { type: 'heading', text: `${text === text.toUpperCase() ? '##' : '###'} ${text}` };
+  }
+  
+  return { type: 'text', text };
+}
+
+/**
+ * Parse a Word (.docx) resume into Markdown
+ * @param {ArrayBuffer} buffer - The .docx file contents
+ * @returns {Promise<string>} The resume as Markdown
+ */
+export async function parseDocxToMarkdown(buffer) {
+  const entries = readZipDirectory(buffer);
+  const documentXml = await readZipText(buffer, entries, 'word/document.xml');
+  if (!documentXml) {
+    throw new Error('Not a valid .docx file (word/document.xml is missing).');
+  }
+  
+  const parser = new DOMParser();
+  const document = parser.parseFromString(documentXml, 'application/xml');
+  const stylesXml = await readZipText(buffer, entries, 'word/styles.xml');
+  const headingStyles = getHeadingStyles(stylesXml ? parser.parseFromString(stylesXml, 'application/xml') : null);
+  
+  const body = wordChild(document, 'body');
+  if (!body) {
+    throw new Error('Not a valid .docx file (document body is missing).');
+  }
+  
+  // Walk the top-level paragraphs and tables in document order
+  const blocks = [];
+  wordContentChildren(body).forEach(element => {
+    if (element.localName === 'p') {
+      const block = paragraphToBlock(element, headingStyles);
+      if (block) blocks.push(block);
+    } else if (element.localName === 'tbl') {
+      // Resumes often use tables for layout - keep each row on one line
+      getTableRows(element).forEach(text => blocks.push({ type: 'text', text }));
+    }
+  });
+  
+  // Separate headings with blank lines; keep related lines together
+  return blocks
+    .map((block, index) => {
+      const separator = index === 0 ? ''
+        : block.type === 'heading' || blocks[index - 1].type === 'heading' ? '\n\n'
+        : '\n';
+      return separator + block.text;
+    })
+    .join('');
+}
@@ -0,0 +1,498 @@
+/**
+ * resume-profile.js
+ * Builds a structured, JSON Resume-style profile from the parsed resume Markdown
+ */
+
+// Section headings and the profile section they map to
+const SECTION_PATTERNS = [
+  { section: 'summary', pattern: /^(summary|professional summary|career summary|profile|professional profile|personal statement|objective|career objective|about me|about|summary of qualifications|highlights of qualifications|key qualifications)$/i },
+  { section: 'work', pattern: /^(experience|work experience|professional experience|employment|employment history|employment experience|work history|relevant experience|career history|career|career experience|professional history|professional background|positions held)$/i },
+  { section: 'education', pattern: /^(education|academic background|education and training|educational background|education history|academic history|academics|qualifications|academic qualifications|education and qualifications)$/i },
+  { section: 'skills', pattern: /^(skills|key skills|skills summary|technical skills|skills and abilities|core competencies|competencies|areas of expertise|expertise|technical proficiencies|technologies|tools|tech stack|skills and tools|skills and technologies|tools and technologies)$/i },
+  { section: 'projects', pattern: /^(projects|personal projects|selected projects|academic projects|key projects|side projects|project experience)$/i },
+  { section: 'certificates', pattern: /^(certifications|certificates|licenses|licenses and certifications|certifications and licenses|courses|training|professional development)$/i },
+  { section: 'awards', pattern: /^(awards|honors|honours|honors and awards|honours and awards|awards and honors|achievements|accomplishments)$/i },
+  { section: 'volunteer', pattern: /^(volunteer|volunteering|volunteer experience|volunteer work|community involvement|leadership|leadership experience|organizations|activities|extracurricular activities)$/i },
+  { section: 'languages', pattern: /^(languages|language skills|spoken languages)$/i },
+  { section: 'publications', pattern: /^(publications|selected publications|papers|patents|presentations)$/i },
+  { section: 'interests', pattern: /^(interests|hobbies|hobbies and interests|personal interests)$/i },
+  // Sections the profile doesn't keep - recognized so their lines don't end up in the section above them
+  { section: 'other', pattern: /^(references|referees|additional information|personal details|personal information|memberships|affiliations|professional affiliations)$/i }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A single date such as "Jan 2020", "January 2020", "01/2020" or "2020"
+const DATE_TOKEN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})';
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to)\\s*(${DATE_TOKEN}|present|current|now|today)`, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`(?:expected\\s+|graduated?\\s+|graduation:?\\s+)?(${DATE_TOKEN})`, 'i');
+
+const POSITION_KEYWORDS = /\b(engineer|developer|programmer|manager|analyst|intern|designer|scientist|consultant|specialist|lead|director|assistant|associate|coordinator|administrator|architect|officer|technician|representative|supervisor|head|president|founder|researcher|teacher|tutor|instructor|contractor|freelance)\b/i;
+const INSTITUTION_KEYWORDS = /\b(university|college|institute|school|academy|polytechnic|conservatory)\b/i;
+const DEGREE_PATTERN = /\b(bachelor(?:'s)?(?: of [a-z]+)?|master(?:'s)?(?: of [a-z]+)?|associate(?:'s)?(?: of [a-z]+)?|ph\.?d\.?|doctorate|mba|b\.?s\.?c?\.?|m\.?s\.?c?\.?|b\.?a\.?|m\.?a\.?|b\.?eng\.?|m\.?eng\.?|high school diploma|diploma|certificate)(?=\W|$)/i;
+
+/**
+ * Strip Markdown heading and bullet markers from a line
+ * @param {string} line - A line of the parsed resume
+ * @returns {string} The plain text of the line
+ */
+function stripMarkdown(line) {
+  return line.replace(/^#+\s*/, '').replace(/^[-•*]\s*/, '').replace(/\*\*/g, '').trim();
+}
+
+/**
+ * Check whether a line is a bullet point
+ * @param {string} line - A line of the parsed resume
+ * @returns {boolean} True for bullet lines
+ */
+function isBullet(line) {
+  return /^\s*[-•*▪●◦]\s+/.test(line);
+}
+
+/**
+ * Work out which profile section a heading line starts, if any
+ * @param {string} line - A line of the parsed resume
+ * @returns {string|null} The section name, or null if the line isn't a section heading
+ */
+function getSectionForHeading(line) {
+  const text = stripMarkdown(line).replace(/:$/, '').replace(/\s*&\s*/g, ' and ').trim();
+  
+  // Only short lines can be headings
+  if (!text || text.length > 40) {
+    return null;
+  }
+  
+  const match = SECTION_PATTERNS.find(entry => entry.pattern.test(text));
+  return match ? match.section : null;
+}
+
+/**
+ * Normalize a resume date to YYYY-MM or YYYY
+ * @param {string} text - Date text like "Jan 2020", "01/2020" or "Present"
+ * @returns {string} The normalized date
+ */
+function normalizeDate(text) {
+  if (!text) return '';
+  const value = text.trim().toLowerCase();
+  
+  if (/^(present|current|now|today)$/.test(value)) {
+    return 'Present';
+  }
+  
+  const monthYear = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (monthYear) {
+    const monthIndex = MONTH_NAMES.indexOf(monthYear[1].substring(0, 3));
+    if (monthIndex >= 0) {
+      return `${monthYear[2]}-${String(monthIndex + 1).padStart(2, '0')}`;
+    }
+  }
+  
+  const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+  
+  return value;
+}
+
+/**
+ * Pull a date range out of a line
+ * @param {string} text - The text to search
+ * @returns {Object} Object with startDate, endDate and the text with the dates removed
+ */
+function extractDates(text) {
+  const range = text.match(DATE_RANGE_PATTERN);
+  if (range) {
+    return {
+      startDate: normalizeDate(range[1]),
+      endDate: normalizeDate(range[2]),
+      rest: text.replace(range[0], ' ')
+    };
+  }
+  
+  const single = text.match(SINGLE_DATE_PATTERN);
+  if (single) {
+    return {
+      startDate: '',
+      endDate: normalizeDate(single[1]),
+      rest: text.replace(single[0], ' ')
+    };
+  }
+  
+  return { startDate: '', endDate: '', rest: text };
+}
+
+/**
+ * Split a header line into its parts ("Engineer | Acme Corp | Austin, TX")
+ * @param {string} text - The header text
+ * @param {boolean} [splitOnAt=true] - Also split "Engineer at Acme"; off for school names like "University of Texas at Austin"
+ * @returns {Array<string>} The non-empty parts
+ */
+function splitHeaderParts(text, splitOnAt = true) {
+  // Commas separate parts except in "City, ST"
+  const separator = splitOnAt
+    ? /\s*(?:\||·|•|—|–|\s-\s|,\s(?![A-Z]{2}\b)|\sat\s)\s*/
+    : /\s*(?:\||·|•|—|–|\s-\s|,\s(?![A-Z]{2}\b))\s*/;
+  
+  return text
+    .split(separator)
+    .map(part => part.replace(/^[,;:\s]+|[,;:\s]+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Group the lines of a section into entries: header lines followed by bullet points
+ * @param {Array<string>} lines - The section's lines
+ * @returns {Array<Object>} Entries with headerLines and bullets arrays
+ */
+function groupEntries(lines) {
+  const entries = [];
+  let current = null;
+  
+  lines.forEach(line => {
+    if (isBullet(line)) {
+      if (!current) {
+        current = { headerLines: [], bullets: [] };
+        entries.push(current);
+      }
+      current.bullets.push(stripMarkdown(line));
+      return;
+    }
+    
+    const text = stripMarkdown(line);
+    const hasDates = DATE_RANGE_PATTERN.test(text);
+    
+    // A header line after bullet points, or a second date range, starts a new entry
+    const startsNewEntry = !current ||
+      current.bullets.length > 0 ||
+      (hasDates && current.headerLines.some(header => DATE_RANGE_PATTERN.test(header)));
+    
+    if (startsNewEntry) {
+      current = { headerLines: [], bullets: [] };
+      entries.push(current);
+    }
+    current.headerLines.push(text);
+  });
+  
+  return entries;
+}
+
+/**
+ * Parse the work experience section
+ * @param {Array<string>} lines - The section's lines
+ * @returns {Array<Object>} Work entries
+ */
+function parseWork(lines) {
+  return groupEntries(lines).map(entry => {
+    const { startDate, endDate, rest } = extractDates(entry.headerLines.join(' | '));
+    const parts = splitHeaderParts(rest);
+    
+    const position = parts.find(part => POSITION_KEYWORDS.test(part)) || '';
+    const location = parts.find(part => part !== position && /\b[A-Z][a-z]+,\s?[A-Z]{2}\b|\bremote\b/i.test(part)) || '';
+    const name = parts.find(part => part !== position && part !== location) || '';
+    
+    return {
+      name,
+      position,
+      location,
+      startDate,
+      endDate,
+      highlights: entry.bullets
+    };
+  }).filter(entry => entry.name || entry.position);
+}
+
+/**
+ * Parse the education section
+ * @param {Array<string>} lines - The section's lines
+ * @returns {Array<Object>} Education entries
+ */
+function parseEducation(lines) {
+  return groupEntries(lines).map(entry => {
+    const headerText = entry.headerLines.join(' | ');
+    const { startDate, endDate, rest } = extractDates(headerText);
+    const parts = splitHeaderParts(rest, false);
+    
+    const institution = parts.find(part => INSTITUTION_KEYWORDS.test(part)) || '';
+    const degreePart = parts.find(part => DEGREE_PATTERN.test(part)) || '';
+    const degreeMatch = degreePart.match(DEGREE_PATTERN);
+    const areaMatch = degreePart.match(/\bin\s+([A-Z][A-Za-z&\s]+?)(?:\s*(?:,|\(|;|$))/) ||
+      degreePart.match(/\bof\s+([A-Z][A-Za-z&\s]+?)(?:\s*(?:,|\(|;|$))/);
+    const scoreMatch = (headerText + ' ' + entry.bullets.join(' ')).match(/\bGPA:?\s*(\d\.\d{1,2})(?:\s*\/\s*(\d(?:\.\d+)?))?/i);
+    
+    return {
+      institution: institution || parts.find(part => part !== degreePart) || '',
+      area: areaMatch ? areaMatch[1].trim() : '',
+      studyType: degreeMatch ? degreeMatch[0] : '',
+      startDate,
+      endDate,
+      score: scoreMatch ? scoreMatch[1] + (scoreMatch[2] ? `/${scoreMatch[2]}` : '') : '',
+      courses: entry.bullets.filter(bullet => !/\bGPA\b/i.test(bullet))
+    };
+  }).filter(entry => entry.institution || entry.studyType);
+}
+
+/**
+ * Parse the skills section into named keyword groups
+ * @param {Array<string>} lines - The section's lines
+ * @returns {Array<Object>} Skill groups
+ */
+function parseSkills(lines) {
+  const skills = [];
+  const ungrouped = [];
+  
+  lines.map(stripMarkdown).forEach(line => {
+    const grouped = line.match(/^([^:]{2,40}):\s*(.+)$/);
+    const keywords = (grouped ? grouped[2] : line)
+      .split(/\s*[,;|•]\s*/)
+      .map(keyword => keyword.trim())
+      .filter(Boolean);
+    
+    if (grouped) {
+      skills.push({ name: grouped[1].trim(), keywords });
+    } else {
+      ungrouped.push(...keywords);
+    }
+  });
+  
+  if (ungrouped.length > 0) {
+    skills.push({ name: 'Skills', keywords: ungrouped });
+  }
+  
+  return skills;
+}
+
+/**
+ * Parse a projects-style section into named entries
+ * @param {Array<string>} lines - The section's lines
+ * @returns {Array<Object>} Entries with name, dates and highlights
+ */
+function parseNamedEntries(lines) {
+  return groupEntries(lines).map(entry => {
+    const { startDate, endDate, rest } = extractDates(entry.headerLines.join(' | '));
+    const parts = splitHeaderParts(rest);
+    
+    return {
+      name: parts[0] || '',
+      description: parts.slice(1).join(', '),
+      startDate,
+      endDate,
+      highlights: entry.bullets
+    };
+  }).filter(entry => entry.name || entry.highlights.length > 0);
+}
+
+/**
+ * Parse contact details from the lines before the first section
+ * @param {Array<string>} headerLines - Lines at the top of the resume
+ * @param {string} fullText - The entire resume, for contact details placed elsewhere
+ * @returns {Object} The basics section
+ */
+function parseBasics(headerLines, fullText) {
+  const email = fullText.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/);
+  const phone = fullText.match(/(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/);
+  const urls = fullText.match(/\b(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|[a-z0-9-]+\.(?:dev|io|me|com|net|org))\/?[^\s|,)]*/gi) || [];
+  const location = headerLines.join(' | ').match(/\b([A-Z][a-zA-Z.\s]+),\s*([A-Z]{2})\b(?:\s+(\d{5}))?/);
+  
+  // The name is the first short line that isn't contact information
+  const nameLine = headerLines
+    .map(stripMarkdown)
+    .find(line => line && line.length < 50 && !/[@\d/]/.test(line) && /^[A-Za-z][A-Za-z.'\-\s]+$/.test(line));
+  
+  const profiles = urls
+    .filter(url => !email || !email[0].includes(url.replace(/^https?:\/\//, '')))
+    .map(url => {
+      const normalizedUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+      const host = normalizedUrl.replace(/^https?:\/\/(www\.)?/i, '').split('/')[0].toLowerCase();
+      const network = host.includes('linkedin') ? 'LinkedIn'
+        : host.includes('github') ? 'GitHub'
+        : host.includes('gitlab') ? 'GitLab'
+        : 'Website';
+      return {
+        network,
+        username: normalizedUrl.split('/').filter(Boolean).pop() || '',
+        url: normalizedUrl
+      };
+    });
+  
+  const website = profiles.find(profile => profile.network === 'Website');
+  
+  return {
+    name: nameLine || '',
+    email: email ? email[0] : '',
+    phone: phone ? phone[0].trim() : '',
+    url: website ? website.url : '',
+    location: {
+      city: location ? location[1].trim() : '',
+      region: location ? location[2] : '',
+      postalCode: location && location[3] ? location[3] : ''
+    },
+    profiles: profiles.filter(profile => profile.network !== 'Website')
+  };
+}
+
+/**
+ * Compute a short hash of the resume text so a stale profile can be detected
+ * @param {string} text - The parsed resume
+ * @returns {string} Hex hash string
+ */
+export function hashResumeText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Build a structured profile from the parsed resume Markdown
+ * @param {string} parsedResume - The parsed resume in Markdown
+ * @returns {Object} JSON Resume-style profile
+ */
+export function buildResumeProfile(parsedResume) {
+  const lines = (parsedResume || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+  
+  // Split the resume into sections by their headings
+  const sections = { header: [] };
+  let currentSection = 'header';
+  lines.forEach(line => {
+    const section = getSectionForHeading(line);
+    if (section) {
+      currentSection = section;
+      sections[currentSection] = sections[currentSection] || [];
+    } else {
+      sections[currentSection].push(line);
+    }
+  });
+  
+  const basics = parseBasics(sections.header, parsedResume || '');
+  basics.summary = (sections.summary || []).map(stripMarkdown).join(' ');
+  
+  return {
+    basics,
+    work: parseWork(sections.work || []),
+    education: parseEducation(sections.education || []),
+    skills: parseSkills(sections.skills || []),
+    projects: parseNamedEntries(sections.projects || []),
+    certificates: (sections.certificates || []).map(line => ({ name: stripMarkdown(line) })),
+    awards: (sections.awards || []).map(line => ({ title: stripMarkdown(line) })),
+    volunteer: parseNamedEntries(sections.volunteer || []),
+    languages: (sections.languages || []).map(line => ({ language: stripMarkdown(line) })),
+    publications: (sections.publications || []).map(line => ({ name: stripMarkdown(line) })),
+    interests: (sections.interests || []).map(line => ({ name: stripMarkdown(line) })),
+    meta: {
+      generatedAt: new Date().toISOString(),
+      sourceHash: hashResumeText(parsedResume || '')
+    }
+  };
+}
+
+/**
+ * Format a date range for display
+ * @param {Object} entry - Entry with startDate and endDate
+ * @returns {string} Text like "2020-01 – Present"
+ */
+function formatDates(entry) {
+  if (entry.startDate && entry.endDate) return `${entry.startDate} – ${entry.endDate}`;
+  return entry.endDate || entry.startDate || '';
+}
+
+/**
+ * Render a profile section as compact text for prompts and agent tools
+ * @param {Object} profile - The structured profile
+ * @param {string} section - Section name (basics, summary, work, education, skills, projects, certificates, awards, volunteer,
+ *   languages, publications, interests)
+ * @returns {string} The section as plain text, or an empty string if it has no content
+ */
+export function formatProfileSection(profile, section) {
+  if (!profile) return '';
+  
+  switch (section) {
+    case 'basics': {
+      const basics = profile.basics || {};
+      const location = basics.location || {};
+      return [
+        basics.name && `Name: ${basics.name}`,
+        basics.email && `Email: ${basics.email}`,
+        basics.phone && `Phone: ${basics.phone}`,
+        (location.city || location.region) && `Location: ${[location.city, location.region, location.postalCode].filter(Boolean).join(', ')}`,
+        basics.url && `Website: ${basics.url}`,
+        ...(basics.profiles || []).map(link => `${link.network}: ${link.url}`)
+      ].filter(Boolean).join('\n');
+    }
+    
+    case 'summary':
+      return (profile.basics && profile.basics.summary) || '';
+    
+    case 'work':
+      return (profile.work || []).map(job => [
+        `- ${[job.position, job.name].filter(Boolean).join(' at ')}${formatDates(job) ? ` (${formatDates(job)})` : ''}${job.location ? `, ${job.location}` : ''}`,
+        ...(job.highlights || []).map(highlight => `  • ${highlight}`)
+      ].join('\n')).join('\n');
+    
+    case 'education':
+      return (profile.education || []).map(school => [
+        `- ${[school.studyType, school.area].filter(Boolean).join(' in ')}${school.institution ? `, ${school.institution}` : ''}${formatDates(school) ? ` (${formatDates(school)})` : ''}`,
+        school.score && `  • GPA: ${school.score}`
+      ].filter(Boolean).join('\n')).join('\n');
+    
+    case 'skills':
+      return (profile.skills || []).map(group => `- ${group.name}: ${(group.keywords || []).join(', ')}`).join('\n');
+    
+    case 'projects':
+    case 'volunteer':
+      return (profile[section] || []).map(project => [
+        `- ${project.name}${project.description ? `: ${project.description}` : ''}${formatDates(project) ? ` (${formatDates(project)})` : ''}`,
+        ...(project.highlights || []).map(highlight => `  • ${highlight}`)
+      ].join('\n')).join('\n');
+    
+    case 'certificates':
+      return (profile.certificates || []).map(certificate => `- ${certificate.name}`).join('\n');
+    
+    case 'awards':
+      return (profile.awards || []).map(award => `- ${award.title}`).join('\n');
+    
+    case 'languages':
+      return (profile.languages || []).map(language => `- ${language.language}`).join('\n');
+    
+    case 'publications':
+    case 'interests':
+      return (profile[section] || []).map(entry => `- ${entry.name}`).join('\n');
+    
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render the whole profile as compact, labelled text for use in prompts
+ * @param {Object} profile - The structured profile
+ * @returns {string} The profile as text
+ */
+export function profileToPromptText(profile) {
+  const headings = {
+    basics: 'CONTACT',
+    summary: 'SUMMARY',
+    work: 'WORK HISTORY',
+    education: 'EDUCATION',
+    skills: 'SKILLS',
+    projects: 'PROJECTS',
+    certificates: 'CERTIFICATIONS',
+    awards: 'AWARDS',
+    volunteer: 'ACTIVITIES',
+    languages: 'LANGUAGES',
+    publications: 'PUBLICATIONS',
+    interests: 'INTERESTS'
+  };
+  
+  return Object.entries(headings)
+    .map(([section, heading]) => {
+      const text = formatProfileSection(profile, section);
+      return text ? `${heading}\n${text}` : '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
@@ -4,6 +4,47 @@
  * Created: April 27, 2025
  */
 
+// Settings that belong to a resume profile and are swapped when switching profiles
+const RESUME_PROFILE_KEYS = [
+  'parsedResume',
+  'resumeProfile',
+  'lastResumeFile',
+  'lastResumeFileName'
+];
+
+// Files attached to upload fields are kept in chrome.storage.local, out of the settings in localStorage,
+// under 'uploadFile:<owner>:<role>' - the resume file per resume profile, the cover letter shared
+const UPLOAD_FILE_ROLES = ['resume', 'coverLetter'];
+const SHARED_UPLOAD_OWNER = 'shared';
+
+/**
+ * Get the chrome.storage.local key of an upload file
+ * @param {string} owner - Resume profile id, or 'shared'
+ * @param {string} role - 'resume' or 'coverLetter'
+ * @returns {string} The storage key
+ */
+function getUploadFileKey(owner, role) {
+  return `uploadFile:${owner}:${role}`;
+}
+
+/**
+ * Call a chrome.storage.local method as a promise
+ * @param {string} method - 'get', 'set' or 'remove'
+ * @param {any} argument - Keys or items for the method
+ * @returns {Promise<any>} The method's result
+ */
+function callLocalStorageArea(method, argument) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local[method](argument, result => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
 /**
  * Application Settings Manager
  * Handles saving, loading, and managing all application settings
@@ -15,6 +56,14 @@ class SettingsManager {
       resumeDirectory: '',
       lastResumeFile: '',
       parsedResume: '',
+      resumeProfile: null,
+      
+      // Named resume profiles (e.g. backend vs. data roles); the active one is mirrored above
+      resumeProfiles: [],
+      activeResumeProfileId: null,
+      
+      // Saved answers to recurring application questions (null until first used, then seeded)
+      answerBank: null,
       
       // API settings
       apiProvider: 'Ollama', // Default to Ollama
@@ -22,10 +71,16 @@ class SettingsManager {
       apiBaseUrl: 'http://localhost:11434',
       modelName: 'gemma3:4b',
       modelTemperature: 0.7,
+      // Seconds before a model request is abandoned, by provider (providers not listed use their default)
+      requestTimeouts: {},
+      // Providers tried in order when the main one fails: [{ providerType, apiKey, baseURL, model }]
+      fallbackProviders: [],
       
       // UI settings
       darkMode: true,
       agenticWorkflow: true,
+      // What to do with dates, numbers and names the resume doesn't support: 'flag' or 'blank'
+      hallucinationGuard: 'flag',
       
       // Application data
       extractedHTML: null,
@@ -41,6 +96,9 @@ class SettingsManager {
     
     // Load settings from storage
     this.loadSettings();
+    
+    // Files stored in the settings by earlier versions are moved to chrome.storage.local first
+    this.uploadFilesMigrated = this.migrateUploadFiles();
   }
   
   /**
@@ -60,6 +118,9 @@ class SettingsManager {
       // Load legacy settings that might not be in the appSettings object
       this.migrateFromLegacySettings();
       
+      // Make sure there's always a resume profile to select
+      this.ensureResumeProfile();
+      
       return true;
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -108,6 +169,48 @@ class SettingsManager {
     }
   }
   
+  /**
+   * Move upload files out of the settings (and every resume profile) into chrome.storage.local
+   * @returns {Promise<void>}
+   */
+  async migrateUploadFiles() {
+    const items = {};
+    this.getResumeProfiles().forEach(profile => {
+      if (profile.resumeUploadFile) {
+        items[getUploadFileKey(profile.id, 'resume')] = profile.resumeUploadFile;
+      }
+      delete profile.resumeUploadFile;
+    });
+    
+    const activeId = this.getSetting('activeResumeProfileId');
+    if (this.settings.resumeUploadFile && activeId) {
+      items[getUploadFileKey(activeId, 'resume')] = this.settings.resumeUploadFile;
+    }
+    if (this.settings.coverLetterUploadFile) {
+      items[getUploadFileKey(SHARED_UPLOAD_OWNER, 'coverLetter')] = this.settings.coverLetterUploadFile;
+    }
+    
+    const hadFiles = Object.keys(items).length > 0 ||
+      UPLOAD_FILE_ROLES.some(role => `${role}UploadFile` in this.settings || localStorage.getItem(`${role}UploadFile`) !== null);
+    if (!hadFiles) {
+      return;
+    }
+    
+    try {
+      if (Object.keys(items).length > 0) {
+        await callLocalStorageArea('set', items);
+      }
+      UPLOAD_FILE_ROLES.forEach(role => {
+        delete this.settings[`${role}UploadFile`];
+        localStorage.removeItem(`${role}UploadFile`);
+      });
+      this.saveSettings();
+      console.log('Moved upload files to extension storage.');
+    } catch (error) {
+      console.error('Error moving upload files to extension storage:', error);
+    }
+  }
+  
   /**
    * Save all settings to storage
    */
@@ -116,6 +219,9 @@ class SettingsManager {
       // Update lastUpdated timestamp
       this.settings.lastUpdated = new Date().toISOString();
       
+      // Keep the active resume profile in step with the resume settings
+      this.syncActiveResumeProfile();
+      
       // Save to localStorage
       localStorage.setItem('appSettings', JSON.stringify(this.settings));
       console.log('Settings saved successfully.');
@@ -226,6 +332,209 @@ class SettingsManager {
     return this.getSetting('lastResumeFile', '');
   }
   
+  /**
+   * Get the chrome.storage.local key of an upload file - the resume belongs to the active resume profile
+   * @param {string} role - 'resume' or 'coverLetter'
+   * @returns {string} The storage key
+   */
+  getUploadFileKey(role) {
+    const owner = role === 'resume' ? this.getSetting('activeResumeProfileId') || SHARED_UPLOAD_OWNER : SHARED_UPLOAD_OWNER;
+    return getUploadFileKey(owner, role);
+  }
+  
+  /**
+   * Save a file to be attached to upload fields on application pages
+   * @param {string} role - 'resume' or 'coverLetter'
+   * @param {Object|null} fileRecord - Object with name, type, size, lastModified and base64 data (null removes the file)
+   * @returns {Promise<boolean>} True if successful, false otherwise
+   */
+  async saveUploadFile(role, fileRecord) {
+    try {
+      await this.uploadFilesMigrated;
+      const key = this.getUploadFileKey(role);
+      if (fileRecord) {
+        await callLocalStorageArea('set', { [key]: fileRecord });
+      } else {
+        await callLocalStorageArea('remove', key);
+      }
+      return true;
+    } catch (error) {
+      console.error(`Error saving ${role} upload file:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get a stored upload file
+   * @param {string} role - 'resume' or 'coverLetter'
+   * @returns {Promise<Object|null>} The stored file record
+   */
+  async getUploadFile(role) {
+    try {
+      await this.uploadFilesMigrated;
+      const key = this.getUploadFileKey(role);
+      const items = await callLocalStorageArea('get', [key]);
+      return items[key] || null;
+    } catch (error) {
+      console.error(`Error reading ${role} upload file:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Save the structured resume profile
+   * @param {Object|null} profile - JSON Resume-style profile from resume-profile.js
+   * @returns {boolean} True if successful, false otherwise
+   */
+  saveResumeProfile(profile) {
+    return this.updateSetting('resumeProfile', profile);
+  }
+  
+  /**
+   * Get the structured resume profile
+   * @returns {Object|null} The stored profile
+   */
+  getResumeProfile() {
+    return this.getSetting('resumeProfile', null);
+  }
+  
+  /**
+   * Get all named resume profiles
+   * @returns {Array<Object>} Profiles with id, name and their resume settings
+   */
+  getResumeProfiles() {
+    return this.getSetting('resumeProfiles', []);
+  }
+  
+  /**
+   * Get the selected resume profile
+   * @returns {Object|null} The active profile
+   */
+  getActiveResumeProfile() {
+    const activeId = this.getSetting('activeResumeProfileId');
+    return this.getResumeProfiles().find(profile => profile.id === activeId) || null;
+  }
+  
+  /**
+   * Create an empty resume profile and select it
+   * @param {string} name - Display name, e.g. "Backend"
+   * @returns {Object} The new profile
+   */
+  createResumeProfile(name) {
+    const profile = {
+      id: `profile_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`,
+      name: name || 'Untitled',
+      createdAt: new Date().toISOString()
+    };
+    RESUME_PROFILE_KEYS.forEach(key => {
+      profile[key] = key === 'parsedResume' || key === 'lastResumeFile' ? '' : null;
+    });
+    
+    this.settings.resumeProfiles = [...this.getResumeProfiles(), profile];
+    this.setActiveResumeProfile(profile.id);
+    return profile;
+  }
+  
+  /**
+   * Rename a resume profile
+   * @param {string} id - The profile id
+   * @param {string} name - The new name
+   * @returns {boolean} True if successful, false otherwise
+   */
+  renameResumeProfile(id, name) {
+    const profile = this.getResumeProfiles().find(p => p.id === id);
+    if (!profile || !name) {
+      return false;
+    }
+    
+    profile.name = name;
+    return this.saveSettings();
+  }
+  
+  /**
+   * Delete a resume profile, selecting another one if it was active
+   * @param {string} id - The profile id
+   * @returns {boolean} True if successful, false otherwise
+   */
+  deleteResumeProfile(id) {
+    const remaining = this.getResumeProfiles().filter(profile => profile.id !== id);
+    const wasActive = this.getSetting('activeResumeProfileId') === id;
+    
+    callLocalStorageArea('remove', getUploadFileKey(id, 'resume'))
+      .catch(error => console.error('Error removing resume profile file:', error));
+    
+    this.settings.resumeProfiles = remaining;
+    if (!wasActive) {
+      return this.saveSettings();
+    }
+    
+    // Don't copy the deleted profile's data into whatever is selected next
+    this.settings.activeResumeProfileId = null;
+    if (remaining.length > 0) {
+      return this.setActiveResumeProfile(remaining[0].id);
+    }
+    
+    this.createResumeProfile('Default');
+    return true;
+  }
+  
+  /**
+   * Select a resume profile and load its resume settings
+   * @param {string} id - The profile id
+   * @returns {boolean} True if successful, false otherwise
+   */
+  setActiveResumeProfile(id) {
+    const profile = this.getResumeProfiles().find(p => p.id === id);
+    if (!profile) {
+      return false;
+    }
+    
+    // Store the current resume settings in the profile being left
+    this.syncActiveResumeProfile();
+    
+    const values = { activeResumeProfileId: id };
+    RESUME_PROFILE_KEYS.forEach(key => {
+      values[key] = profile[key] ?? (key === 'parsedResume' || key === 'lastResumeFile' ? '' : null);
+    });
+    return this.updateSettings(values);
+  }
+  
+  /**
+   * Copy the current resume settings into the active profile
+   */
+  syncActiveResumeProfile() {
+    const profile = this.getActiveResumeProfile();
+    if (!profile) return;
+    
+    RESUME_PROFILE_KEYS.forEach(key => {
+      profile[key] = this.settings[key];
+    });
+    profile.updatedAt = new Date().toISOString();
+  }
+  
+  /**
+   * Create a "Default" profile from the current resume settings if none exists
+   */
+  ensureResumeProfile() {
+    if (this.getResumeProfiles().length > 0 && this.getActiveResumeProfile()) {
+      return;
+    }
+    
+    if (this.getResumeProfiles().length > 0) {
+      this.settings.activeResumeProfileId = this.getResumeProfiles()[0].id;
+      return;
+    }
+    
+    const profile = {
+      id: `profile_${Date.now().toString(36)}`,
+      name: 'Default',
+      createdAt: new Date().toISOString()
+    };
+    this.settings.resumeProfiles = [profile];
+    this.settings.activeResumeProfileId = profile.id;
+    this.syncActiveResumeProfile();
+  }
+  
   /**
    * Check if a resume directory is set
    * @returns {boolean} True if a resume directory is set, false otherwise
@@ -267,6 +576,9 @@ class SettingsManager {
         settingsObject.apiKey = this.settings.apiKey;
       }
       
+      // Files from older exports don't belong in the settings
+      UPLOAD_FILE_ROLES.forEach(role => delete settingsObject[`${role}UploadFile`]);
+      
       // Update settings
       return this.updateSettings(settingsObject);
     } catch (error) {
@@ -284,12 +596,25 @@ class SettingsManager {
       // Clear localStorage
       localStorage.clear();
       
+      // And the stored upload files
+      callLocalStorageArea('get', null)
+        .then(items => callLocalStorageArea('remove', Object.keys(items).filter(key => key.startsWith('uploadFile:'))))
+        .catch(error => console.error('Error removing upload files:', error));
+      
       // Reinitialize settings
       this.settings = {
         // Resume settings
         resumeDirectory: '',
         lastResumeFile: '',
         parsedResume: '',
+        resumeProfile: null,
+        
+        // Named resume profiles (e.g. backend vs. data roles); the active one is mirrored above
+        resumeProfiles: [],
+        activeResumeProfileId: null,
+        
+        // Saved answers to recurring application questions
+        answerBank: null,
         
         // API settings
         apiProvider: 'Ollama',
@@ -297,10 +622,13 @@ class SettingsManager {
         apiBaseUrl: 'http://localhost:11434',
         modelName: 'gemma3:4b',
         modelTemperature: 0.7,
+        requestTimeouts: {},
+        fallbackProviders: [],
         
         // UI settings
         darkMode: true,
         agenticWorkflow: true,
+        hallucinationGuard: 'flag',
         
         // Application data
         extractedHTML: null,
@@ -314,6 +642,9 @@ class SettingsManager {
         lastUpdated: new Date().toISOString()
       };
       
+      // Start again with a single empty profile
+      this.ensureResumeProfile();
+      
       // Save the default settings
       return this.saveSettings();
     } catch (error) {
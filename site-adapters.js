@@ -0,0 +1,298 @@
+// Site adapters for the major applicant tracking systems
+// Loaded before content-script.js, which asks the adapter for the current page how to find fields,
+// labels, repeating sections and the step navigation, and falls back to its generic heuristics
+console.log("Site adapters loaded");
+
+/*
+ * An adapter describes one applicant tracking system. Every property but name is optional:
+ * - hosts: RegExps tested against the page's hostname
+ * - detect(document): DOM fingerprint for job boards embedded on a company's own domain
+ * - fieldContainer: selector of the wrapper around one question (its input, label and hints)
+ * - labelSelector: selector of the question text inside fieldContainer
+ * - getLabel(field): custom label lookup, tried before labelSelector
+ * - ignore: selector of inputs that aren't questions (search boxes, widget internals...)
+ * - repeatingSections: [{ kind, section, entry, addButton }] - work history / education blocks,
+ *   as selectors of the whole section, of one entry inside it and of its "Add another" button
+ * - nextButton: selector of the button that moves to the next step
+ */
+const siteAdapters = [];
+
+// Adapter picked for each document, so the fingerprint checks run once per page
+const siteAdapterCache = new WeakMap();
+
+/**
+ * Add an adapter to the registry
+ * Adapters registered later are checked first, so a more specific adapter can override a built-in one
+ * @param {Object} adapter - The adapter definition
+ */
+function registerSiteAdapter(adapter) {
+  if (!adapter || !adapter.name) {
+    console.error("Site adapter needs a name:", adapter);
+    return;
+  }
+  
+  siteAdapters.unshift(adapter);
+}
+
+/**
+ * Find the adapter for a document, by URL first and then by DOM fingerprint
+ * @param {Document} doc - The document to match
+ * @returns {Object|null} The matching adapter, or null for sites without one
+ */
+function getSiteAdapter(doc = document) {
+  if (siteAdapterCache.has(doc)) {
+    return siteAdapterCache.get(doc);
+  }
+  
+  const hostname = doc.location ? doc.location.hostname : '';
+  let adapter = siteAdapters.find(candidate =>
+    (candidate.hosts || []).some(pattern => pattern.test(hostname))) || null;
+  
+  if (!adapter) {
+    adapter = siteAdapters.find(candidate => {
+      try {
+        return candidate.detect ? candidate.detect(doc) : false;
+      } catch (error) {
+        console.error(`Error detecting ${candidate.name} page:`, error);
+        return false;
+      }
+    }) || null;
+  }
+  
+  // Single-page boards render their form after load - only remember a positive match
+  if (adapter) {
+    siteAdapterCache.set(doc, adapter);
+  }
+  return adapter;
+}
+
+/**
+ * Tidy a question label: drop required markers and collapse whitespace
+ * @param {string} text - The raw label text
+ * @returns {string} The cleaned label
+ */
+function cleanLabelText(text) {
+  return (text || '')
+    .replace(/\(required\)/gi, '')
+    .replace(/[*✱]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get a field's question text the way the adapter's site lays it out
+ * @param {Object|null} adapter - The page's adapter
+ * @param {HTMLElement} field - The field element
+ * @returns {string} The label, or '' to fall back to the generic lookup
+ */
+function getAdapterFieldLabel(adapter, field) {
+  if (!adapter) {
+    return '';
+  }
+  
+  if (adapter.getLabel) {
+    const label = cleanLabelText(adapter.getLabel(field));
+    if (label) {
+      return label;
+    }
+  }
+  
+  if (adapter.fieldContainer && adapter.labelSelector) {
+    const container = field.closest(adapter.fieldContainer);
+    const labelElement = container && container.querySelector(adapter.labelSelector);
+    if (labelElement) {
+      return cleanLabelText(labelElement.textContent);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Check whether the adapter marks a field as one of the site's questions
+ * @param {Object|null} adapter - The page's adapter
+ * @param {HTMLElement} field - The field element
+ * @returns {boolean} True if the field sits in one of the site's question wrappers
+ */
+function isAdapterField(adapter, field) {
+  return Boolean(adapter && adapter.fieldContainer && field.closest(adapter.fieldContainer));
+}
+
+/**
+ * Check whether the adapter says an input isn't a question
+ * @param {Object|null} adapter - The page's adapter
+ * @param {HTMLElement} field - The field element
+ * @returns {boolean} True if the field should be skipped
+ */
+function isAdapterIgnoredField(adapter, field) {
+  return Boolean(adapter && adapter.ignore && field.matches(adapter.ignore));
+}
+
+/**
+ * Find the adapter's repeating sections (work history, education) in a document or shadow root
+ * @param {Object|null} adapter - The page's adapter
+ * @param {Document|ShadowRoot} root - The root to search
+ * @returns {Array<Object>} Sections with kind, element, entry elements and the "Add another" button
+ */
+function getAdapterSections(adapter, root) {
+  if (!adapter || !adapter.repeatingSections) {
+    return [];
+  }
+  
+  return adapter.repeatingSections
+    .map(repeating => {
+      const element = root.querySelector(repeating.section);
+      if (!element) {
+        return null;
+      }
+      return {
+        kind: repeating.kind,
+        element,
+        entries: Array.from(element.querySelectorAll(repeating.entry)),
+        addButton: repeating.addButton ? element.querySelector(repeating.addButton) : null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a clicked element is the adapter's "next step" button
+ * @param {Object|null} adapter - The page's adapter
+ * @param {Element} element - The clicked element
+ * @returns {boolean} True if the element moves the application to its next step
+ */
+function isAdapterNextButton(adapter, element) {
+  return Boolean(adapter && adapter.nextButton && element.matches(adapter.nextButton));
+}
+
+// Greenhouse - boards.greenhouse.io and job-boards.greenhouse.io, often embedded as an iframe
+registerSiteAdapter({
+  name: 'greenhouse',
+  hosts: [/(^|\.)greenhouse\.io$/],
+  detect: doc => Boolean(doc.querySelector('#grnhse_app, form#application_form, form#application-form[action*="greenhouse"]')),
+  fieldContainer: '.field, .text-input-wrapper, .select__container, .checkbox__wrapper',
+  labelSelector: 'label, .label, legend',
+  repeatingSections: [
+    {
+      kind: 'education',
+      section: '#education_section, .education--container',
+      entry: '.education, .education--form',
+      addButton: '#add_education, .add-another-button, button.add-another'
+    },
+    {
+      kind: 'experience',
+      section: '#employment_section, .employment--container',
+      entry: '.employment, .employment--form',
+      addButton: '#add_employment, .add-another-button, button.add-another'
+    }
+  ]
+});
+
+// Lever - jobs.lever.co, one page per application
+registerSiteAdapter({
+  name: 'lever',
+  hosts: [/(^|\.)lever\.co$/],
+  detect: doc => Boolean(doc.querySelector('.application-question .application-label')),
+  fieldContainer: '.application-question, .application-additional, .custom-question',
+  labelSelector: '.application-label .text, .application-label, .text'
+});
+
+// Workday - *.myworkdayjobs.com and *.myworkdaysite.com, a five to eight step wizard
+registerSiteAdapter({
+  name: 'workday',
+  hosts: [/(^|\.)myworkdayjobs\.com$/, /(^|\.)myworkdaysite\.com$/, /(^|\.)workday\.com$/],
+  detect: doc => Boolean(doc.querySelector('[data-automation-id="applyFlowPage"], [data-automation-id="progressBar"]')),
+  fieldContainer: '[data-automation-id^="formField-"]',
+  getLabel: field => {
+    // Questions are labelled by a <label> or <legend> in the formField wrapper; the
+    // multiselect prompts put their question in the wrapper's aria-labelledby target instead
+    const container = field.closest('[data-automation-id^="formField-"]');
+    if (!container) {
+      return '';
+    }
+    const label = container.querySelector('label, legend');
+    if (label) {
+      return label.textContent;
+    }
+    const labelledBy = container.getAttribute('aria-labelledby');
+    return labelledBy ? field.getRootNode().getElementById(labelledBy)?.textContent || '' : '';
+  },
+  ignore: '[data-automation-id="searchBox"], [data-automation-id="globalSearchInput"]',
+  repeatingSections: [
+    {
+      kind: 'experience',
+      section: '[data-automation-id="workExperienceSection"]',
+      entry: '[data-automation-id^="workExperience-"]',
+      addButton: '[data-automation-id="Add Another"], [data-automation-id="Add"], [data-automation-id="add-button"]'
+    },
+    {
+      kind: 'education',
+      section: '[data-automation-id="educationSection"]',
+      entry: '[data-automation-id^="education-"]',
+      addButton: '[data-automation-id="Add Another"], [data-automation-id="Add"], [data-automation-id="add-button"]'
+    }
+  ],
+  nextButton: '[data-automation-id="bottom-navigation-next-button"], [data-automation-id="pageFooterNextButton"]'
+});
+
+// Ashby - jobs.ashbyhq.com, fields rendered outside any <form>
+registerSiteAdapter({
+  name: 'ashby',
+  hosts: [/(^|\.)ashbyhq\.com$/],
+  detect: doc => Boolean(doc.querySelector('.ashby-application-form-container')),
+  fieldContainer: '.ashby-application-form-field-entry',
+  labelSelector: '.ashby-application-form-question-title, label'
+});
+
+// SmartRecruiters - jobs.smartrecruiters.com, web components with open shadow roots
+registerSiteAdapter({
+  name: 'smartrecruiters',
+  hosts: [/(^|\.)smartrecruiters\.com$/],
+  detect: doc => Boolean(doc.querySelector('oc-oneclick-form, spl-form-element')),
+  getLabel: field => {
+    // Inputs inside a component's shadow root are labelled by the component's label attribute
+    const root = field.getRootNode();
+    const host = root && root.host;
+    return host ? host.getAttribute('label') || host.getAttribute('aria-label') || '' : '';
+  },
+  ignore: 'input[type="search"]',
+  repeatingSections: [
+    {
+      kind: 'experience',
+      section: '[data-test="experience-section"], oc-experience-section',
+      entry: '[data-test="experience-entry"], oc-experience-entry',
+      addButton: '[data-test="experience-add"], [data-test="add-experience"]'
+    },
+    {
+      kind: 'education',
+      section: '[data-test="education-section"], oc-education-section',
+      entry: '[data-test="education-entry"], oc-education-entry',
+      addButton: '[data-test="education-add"], [data-test="add-education"]'
+    }
+  ],
+  nextButton: '[data-test="footer-next"], button[data-test="next-button"]'
+});
+
+// iCIMS - *.icims.com, the application runs in a same-origin iframe as a multi-page flow
+registerSiteAdapter({
+  name: 'icims',
+  hosts: [/(^|\.)icims\.com$/],
+  detect: doc => Boolean(doc.querySelector('#icims_content_iframe, .iCIMS_MainWrapper')),
+  fieldContainer: '.iCIMS_TableRow, .iCIMS_FieldRow, .form-group',
+  labelSelector: 'label, .iCIMS_InfoMsg_Label',
+  repeatingSections: [
+    {
+      kind: 'experience',
+      section: '[id*="WorkExperience"], [id*="Experience_Section"]',
+      entry: '.iCIMS_Repeatable, .repeatableRow',
+      addButton: '[id$="_addRow"], .iCIMS_AddRow'
+    },
+    {
+      kind: 'education',
+      section: '[id*="Education"]',
+      entry: '.iCIMS_Repeatable, .repeatableRow',
+      addButton: '[id$="_addRow"], .iCIMS_AddRow'
+    }
+  ],
+  nextButton: '#iCIMS_ApplyNext, input[type="submit"][name="next"], .iCIMS_PrimaryButton'
+});
@@ -0,0 +1,224 @@
+/**
+ * token-budget.js
+ * Fits the prompt-based fill into the model's context window: looks up the context size, splits
+ * the fields into batches that fit alongside the resume and trims the resume to its most
+ * relevant sections when it doesn't fit whole
+ */
+
+import { countTokens } from './prompt-generator.js';
+
+// Context sizes of known models, checked in order (the first matching pattern wins)
+const MODEL_CONTEXT_SIZES = [
+  { pattern: /^gpt-4-32k/i, tokens: 32768 },
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o\d)/i, tokens: 128000 },
+  { pattern: /^gpt-4/i, tokens: 8192 },
+  { pattern: /^gpt-3\.5/i, tokens: 16385 },
+  { pattern: /claude/i, tokens: 200000 },
+  { pattern: /gemini-(1\.5|2)/i, tokens: 1000000 },
+  { pattern: /gemini/i, tokens: 32768 },
+  { pattern: /grok/i, tokens: 131072 }
+];
+
+// Context sizes to assume for models missing from the table
+const PROVIDER_CONTEXT_SIZES = {
+  OpenAI: 128000,
+  OpenAIAzure: 8192,
+  Anthropic: 200000,
+  Google: 32768,
+  XAI: 8192,
+  // Ollama runs models with a 4096 token context unless num_ctx is set, whatever the model supports
+  Ollama: 4096,
+  // LM Studio loads models with a 4096 token context by default
+  LMStudio: 4096,
+  ENV: 8192
+};
+
+// The reply is capped by the providers' max_tokens, so it limits how many fields fit in one call too
+const MAX_RESPONSE_TOKENS = 1000;
+const RESPONSE_TOKENS_PER_FIELD = 40;
+const RESPONSE_SUMMARY_TOKENS = 100;
+
+// countTokens is an estimate, so only this much of the context is planned for
+const CONTEXT_SAFETY_MARGIN = 0.85;
+
+// Most of the context the resume may take when the fields need batching
+const RESUME_SHARE = 0.6;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'you', 'your', 'are', 'have', 'with', 'what', 'this', 'that',
+  'please', 'from', 'any', 'our', 'how', 'did', 'hear', 'about', 'other', 'select', 'enter']);
+
+// Context sizes read from the model server this session, by provider and model
+const contextSizeCache = new Map();
+
+/**
+ * Get the context window of the model an AgentsAPI instance talks to
+ * Ollama is asked for the model's settings; other models are looked up in the built-in table
+ * @param {Object} api - The AgentsAPI instance
+ * @returns {Promise<number>} The context size in tokens
+ */
+export async function getContextSize(api) {
+  const { providerType, modelName, provider } = api;
+  const cacheKey = `${providerType}/${modelName}`;
+  if (contextSizeCache.has(cacheKey)) {
+    return contextSizeCache.get(cacheKey);
+  }
+  
+  let contextSize = getKnownContextSize(providerType, modelName);
+  if (typeof provider.getModelInfo === 'function') {
+    try {
+      contextSize = parseOllamaContextSize(await provider.getModelInfo(modelName), contextSize);
+    } catch (error) {
+      console.warn(`Could not read the context size of ${modelName}, assuming ${contextSize} tokens:`, error);
+    }
+  }
+  
+  contextSizeCache.set(cacheKey, contextSize);
+  return contextSize;
+}
+
+/**
+ * Look up a model's context size in the built-in table
+ * @param {string} providerType - The provider type
+ * @param {string} modelName - The model name
+ * @returns {number} The context size in tokens
+ */
+function getKnownContextSize(providerType, modelName) {
+  const model = String(modelName || '');
+  const known = MODEL_CONTEXT_SIZES.find(entry => entry.pattern.test(model));
+  if (known) {
+    return known.tokens;
+  }
+  
+  // Names like "llama3-8b-8192" or "mixtral-8x7b-32768" end in their context size
+  const suffix = model.match(/-(\d{4,7})$/);
+  if (suffix) {
+    return parseInt(suffix[1], 10);
+  }
+  
+  return PROVIDER_CONTEXT_SIZES[providerType] || 4096;
+}
+
+/**
+ * Work out the context Ollama runs a model with from its /api/show response
+ * @param {Object} info - The /api/show response
+ * @param {number} defaultSize - The context Ollama uses when the model doesn't set num_ctx
+ * @returns {number} The context size in tokens
+ */
+function parseOllamaContextSize(info, defaultSize) {
+  const numCtx = String((info && info.parameters) || '').match(/^\s*num_ctx\s+(\d+)/m);
+  const contextSize = numCtx ? parseInt(numCtx[1], 10) : defaultSize;
+  
+  // The model's own limit, e.g. "llama.context_length"
+  const modelInfo = (info && info.model_info) || {};
+  const lengthKey = Object.keys(modelInfo).find(key => key.endsWith('.context_length'));
+  const modelLimit = lengthKey ? Number(modelInfo[lengthKey]) : 0;
+  
+  return modelLimit > 0 ? Math.min(contextSize, modelLimit) : contextSize;
+}
+
+/**
+ * Split the fields into batches that each fit the context window with the resume
+ * Everything goes in one batch when it fits; otherwise the resume gets a share of the context,
+ * trimmed to the sections most relevant to each batch's fields if it's bigger than that
+ * @param {string} resume - The resume text for the prompt
+ * @param {Array<Object>} formFields - Prompt fields ({ id, label, type, options })
+ * @param {number} contextSize - The model's context size in tokens
+ * @param {Function} buildPrompt - Called with (resume, fields), returns the prompt for them
+ * @returns {Array<Object>} Batches of { resume, fields }
+ */
+export function planPromptBatches(resume, formFields, contextSize, buildPrompt) {
+  const available = Math.floor(contextSize * CONTEXT_SAFETY_MARGIN);
+  const maxFieldsPerBatch = Math.max(1, Math.floor((MAX_RESPONSE_TOKENS - RESPONSE_SUMMARY_TOKENS) / RESPONSE_TOKENS_PER_FIELD));
+  const responseTokens = fieldCount => Math.min(MAX_RESPONSE_TOKENS, RESPONSE_SUMMARY_TOKENS + fieldCount * RESPONSE_TOKENS_PER_FIELD);
+  
+  if (formFields.length <= maxFieldsPerBatch &&
+      countTokens(buildPrompt(resume, formFields)) + responseTokens(formFields.length) <= available) {
+    return [{ resume, fields: formFields }];
+  }
+  
+  // Tokens taken by the instructions, then what's left split between the resume and the fields
+  const fixedTokens = countTokens(buildPrompt('', []));
+  const resumeBudget = Math.min(countTokens(resume), Math.floor((available - fixedTokens) * RESUME_SHARE));
+  const fieldBudget = available - fixedTokens - resumeBudget;
+  
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+  formFields.forEach(field => {
+    const fieldTokens = countTokens(buildPrompt('', [field])) - fixedTokens;
+    if (batch.length > 0 &&
+        (batch.length >= maxFieldsPerBatch || batchTokens + fieldTokens + responseTokens(batch.length + 1) > fieldBudget)) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(field);
+    batchTokens += fieldTokens;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  
+  return batches.map(fields => ({
+    resume: countTokens(resume) <= resumeBudget ? resume : trimResume(resume, fields, resumeBudget),
+    fields
+  }));
+}
+
+/**
+ * Cut the resume down to the sections most relevant to a set of fields
+ * The first section (name and contact details) is always kept, and the kept sections stay in order
+ * @param {string} resume - The resume text
+ * @param {Array<Object>} fields - The fields the resume has to answer
+ * @param {number} budget - Most tokens the trimmed resume may take
+ * @returns {string} The trimmed resume
+ */
+export function trimResume(resume, fields, budget) {
+  const sections = splitResumeSections(resume);
+  if (sections.length === 0) {
+    return '';
+  }
+  
+  const words = new Set(fields
+    .flatMap(field => `${field.label || ''} ${field.id || ''}`.toLowerCase().split(/[^a-z0-9+#]+/))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+  const relevance = section => {
+    const text = section.toLowerCase();
+    return Array.from(words).filter(word => text.includes(word)).length;
+  };
+  
+  const ranked = sections
+    .map((text, index) => ({ text, index, score: index === 0 ? Infinity : relevance(text) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  
+  const kept = [];
+  let used = 0;
+  ranked.forEach(section => {
+    const tokens = countTokens(section.text);
+    if (used + tokens <= budget) {
+      kept.push(section);
+      used += tokens;
+    } else if (kept.length === 0 || (section.score > 0 && budget - used > 50)) {
+      // Part of a section beats none of it (countTokens counts about 4 characters per token)
+      kept.push({ ...section, text: section.text.substring(0, (budget - used) * 4) });
+      used = budget;
+    }
+  });
+  
+  return kept
+    .sort((a, b) => a.index - b.index)
+    .map(section => section.text)
+    .join('\n\n');
+}
+
+/**
+ * Split the resume into sections at blank lines and Markdown headings
+ * @param {string} resume - The resume text
+ * @returns {Array<string>} The sections
+ */
+function splitResumeSections(resume) {
+  return String(resume || '')
+    .split(/\n\s*\n|\n(?=#{1,6}\s)/)
+    .map(section => section.trim())
+    .filter(Boolean);
+}
@@ -3,13 +3,15 @@
  * Core functionality for the PDF viewer and application form handler
  */
 
-import * as pdfjsLib from './pdf.mjs';
 import AgentsAPI, { AIProviderFactory } from './agents-api.js';
 import { addCopyButton, showStatusMessage, getConfidenceClass, addOutputStyles, addApplicationDataStyles } from './viewer-styles.js';
-import { generatePrompt, calculateTokenUsage } from './prompt-generator.js';
-
-// Set the worker source to the worker file
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdf.worker.mjs';
+import { generatePrompt, calculateTokenUsage, getFingerprintIdentifier } from './prompt-generator.js';
+import { resolveChoiceValue } from './option-matcher.js';
+import { parseJSONLoose } from './json-repair.js';
+import { attachEvidence, describeEvidence } from './evidence.js';
+import { verifyFacts, describeVerification } from './hallucination-guard.js';
+import settingsManager from './settings-manager.js';
+import { parseResumeFile, isSupportedResumeFile } from './resume-importers.js';
 
 // Shared state - using a writable object to store agentsAPI
 const state = {
@@ -43,6 +45,7 @@ export function initNavigation() {
     resume: document.getElementById('nav-resume'),
     application: document.getElementById('nav-application'),
     output: document.getElementById('nav-output'),
+    applications: document.getElementById('nav-applications'),
     ai: document.getElementById('nav-ai'),
     settings: document.getElementById('nav-settings')
   };
@@ -51,6 +54,7 @@ export function initNavigation() {
     resume: document.getElementById('page-resume'),
     application: document.getElementById('page-application'),
     output: document.getElementById('page-output'),
+    applications: document.getElementById('page-applications'),
     ai: document.getElementById('page-ai'),
     settings: document.getElementById('page-settings')
   };
@@ -121,65 +125,78 @@ export function checkUrlParameters(navLinks, pages) {
 }
 
 /**
- * Initialize the PDF processing functionality
+ * Initialize resume file processing (PDF, Word, text and Markdown)
  * @param {HTMLElement} inputElement - The file input element
  * @param {HTMLElement} outputElement - The output element
+ * @param {Function} [onResumeLoaded] - Optional callback once the resume has been parsed and stored
  */
-export function initPdfProcessing(inputElement, outputElement) {
+export function initResumeProcessing(inputElement, outputElement, onResumeLoaded = null) {
   inputElement.addEventListener('change', async () => {
     const file = inputElement.files[0];
-    if (!file || file.type !== 'application/pdf') {
-      outputElement.textContent = 'Please select a PDF file.';
+    if (!file || !isSupportedResumeFile(file)) {
+      outputElement.textContent = 'Please select a PDF, Word (.docx), text or Markdown file.';
       return;
     }
   
     outputElement.textContent = 'Parsing…';
-    const buf = await file.arrayBuffer();
     
     try {
-      const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-      
-      let fullText = '';
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        fullText += content.items.map(item => item.str).join(' ') + '\n';
-      }
-  
-      parsedResume = toMarkdown(fullText);
+      parsedResume = await parseResumeFile(file);
       outputElement.textContent = parsedResume;
       
-      // Store the parsed resume in localStorage
-      localStorage.setItem('parsedResume', parsedResume);
+      // Store the parsed resume in settings
+      settingsManager.updateSetting('parsedResume', parsedResume);
+      
+      // Keep the original file so it can be attached to upload fields
+      await saveResumeUploadFile(file);
       
       // Add copy button
       addCopyButton(outputElement);
+      
+      if (onResumeLoaded) {
+        onResumeLoaded(parsedResume);
+      }
     } catch (error) {
-      outputElement.textContent = `Error parsing PDF: ${error.message}`;
+      outputElement.textContent = `Error parsing resume: ${error.message}`;
     }
   });
 }
 
 /**
- * Convert plain text to markdown format
- * @param {string} text - The text to convert
- * @returns {string} The markdown formatted text
+ * Store the original resume file for upload fields, telling the user if it couldn't be saved
+ * @param {File} file - The resume file
+ * @returns {Promise<boolean>} True if the file was stored
  */
-export function toMarkdown(text) {
-  return text
-    .split('\n')
-    .map(l => l.trim())
-    .filter(l => l)
-    .map(l => {
-      if (/^[-•*]\s*/.test(l)) {
-        return '- ' + l.replace(/^[-•*]\s*/, '');
-      }
-      if (l === l.toUpperCase() && l.length < 50) {
-        return '## ' + l;
-      }
-      return l;
-    })
-    .join('\n\n');
+export async function saveResumeUploadFile(file) {
+  const saved = await settingsManager.saveUploadFile('resume', await readFileForUpload(file));
+  if (!saved) {
+    showStatusMessage('The resume was loaded, but its file could not be stored for upload fields.', false);
+  }
+  return saved;
+}
+
+/**
+ * Read a file into a storable record with base64 content
+ * @param {File} file - The file to read
+ * @returns {Promise<Object>} Object with name, type, size, lastModified and base64 data
+ */
+export function readFileForUpload(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Strip the "data:<type>;base64," prefix
+      const dataUrl = reader.result;
+      resolve({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        lastModified: file.lastModified,
+        data: dataUrl.substring(dataUrl.indexOf(',') + 1)
+      });
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
 }
 
 /**
@@ -187,8 +204,9 @@ export function toMarkdown(text) {
  * @param {string|object} text - The output text or response object from the AI
  * @param {HTMLElement} summaryElement - The element to display the summary
  * @param {HTMLElement} fieldsElement - The element to display the fields
+ * @param {Object} [details] - Extra data stored with the output, like the resumeProfile ({ id, name }) it was generated from
  */
-function displayAIOutput(text, summaryElement, fieldsElement) {
+function displayAIOutput(text, summaryElement, fieldsElement, details = {}) {
   try {
     // Check if text is empty or undefined
     if (!text) {
@@ -206,7 +224,8 @@ function displayAIOutput(text, summaryElement, fieldsElement) {
     const timestamp = new Date().toISOString();
     const output = {
       data: outputText,
-      timestamp
+      timestamp,
+      resumeProfile: details.resumeProfile || null
     };
     localStorage.setItem('aiGeneratedOutput', JSON.stringify(output));
 
@@ -236,6 +255,114 @@ function displayAIOutput(text, summaryElement, fieldsElement) {
   }
 }
 
+/**
+ * Parse the JSON object (fields and summary) out of a model response
+ * @param {string|Object} text - The response text, possibly wrapped in a code block or prose
+ * @returns {Object} The parsed object
+ * @throws {SyntaxError} If no JSON can be recovered from the response
+ */
+export function parseAIOutput(text) {
+  const responseText = typeof text === 'string' ? text : JSON.stringify(text);
+  
+  // Models without constrained output often wrap the object in prose or return almost-JSON
+  return parseJSONLoose(responseText);
+}
+
+/**
+ * Get the fields a model has finished writing so far from a partial JSON response
+ * @param {string} text - The response received so far
+ * @returns {Array<Object>} The complete field objects ({ id, value, confidence }) in the fields array
+ */
+export function extractStreamedFields(text) {
+  const fieldsStart = text.indexOf('"fields"');
+  const arrayStart = fieldsStart === -1 ? -1 : text.indexOf('[', fieldsStart);
+  if (arrayStart === -1) {
+    return [];
+  }
+  
+  // Walk the array, tracking strings so braces inside values don't count
+  const fields = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        objectStart = i;
+      }
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          const field = JSON.parse(text.substring(objectStart, i + 1));
+          if (field && field.id) {
+            fields.push(field);
+          }
+        } catch (error) {
+          // Not a field object - keep going
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Show the fields answered so far while the output is still being generated
+ * @param {Array<Object>} fields - The fields answered so far ({ id, value, confidence })
+ * @param {HTMLElement} fieldsElement - The element to display the fields in
+ */
+export function displayStreamingFields(fields, fieldsElement) {
+  if (fields.length === 0) {
+    fieldsElement.textContent = 'Please wait...';
+    return;
+  }
+  
+  const table = document.createElement('table');
+  table.className = 'output-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Field ID</th>
+        <th>Value</th>
+        <th>Confidence</th>
+      </tr>
+    </thead>
+  `;
+  
+  const tableBody = document.createElement('tbody');
+  fields.forEach(field => {
+    const row = document.createElement('tr');
+    [field.id, field.value, field.confidence || 'Medium'].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text == null ? '' : String(text);
+      row.appendChild(cell);
+    });
+    row.lastChild.classList.add(getConfidenceClass(field.confidence));
+    tableBody.appendChild(row);
+  });
+  table.appendChild(tableBody);
+  
+  fieldsElement.innerHTML = '';
+  fieldsElement.appendChild(table);
+}
+
 /**
  * Display formatted output from parsed AI response
  * @param {string} text - The text to parse and display
@@ -243,28 +370,30 @@ function displayAIOutput(text, summaryElement, fieldsElement) {
  * @param {HTMLElement} fieldsElement - Element to display the fields
  */
 function displayFormattedOutput(text, summaryElement, fieldsElement) {
+  // Forget the previous output so a failed parse doesn't leave stale values behind
+  aiGeneratedOutput = null;
+  
   try {
     // Handle possible non-string inputs
     const responseText = typeof text === 'string' ? text : JSON.stringify(text);
-    
-    // Try to find and extract JSON from the response
-    let jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    let jsonString = jsonMatch ? jsonMatch[1] : responseText;
-    
-    // Check if it's a valid JSON object string (starts with { and ends with })
-    if (!jsonString.trim().startsWith('{') || !jsonString.trim().endsWith('}')) {
-      // Not a JSON object, try to find one in the text
-      const possibleJson = responseText.match(/{[\s\S]*"fields"[\s\S]*?}/);
-      if (possibleJson) {
-        jsonString = possibleJson[0];
-      }
-    }
-    
-    // Parse the JSON
-    const parsedData = JSON.parse(jsonString);
+    const parsedData = parseAIOutput(responseText);
     
     // If we have a valid parsed object with fields and summary
     if (parsedData && parsedData.fields && Array.isArray(parsedData.fields)) {
+      // Rate each value by the resume text behind it rather than the model's own confidence
+      const resumeText = settingsManager.getSetting('parsedResume', '');
+      const data = getFormData();
+      parsedData.fields = attachEvidence(parsedData.fields, resumeText, data ? data.autofillableFields || [] : []);
+      
+      // Flag (or blank) dates, numbers, contact details and names the user never provided
+      parsedData.fields = verifyFacts(parsedData.fields, {
+        resumeText,
+        resumeProfile: settingsManager.getResumeProfile(),
+        answers: settingsManager.getSetting('answerBank', []) || [],
+        formFields: data ? data.autofillableFields || [] : [],
+        blank: settingsManager.getSetting('hallucinationGuard', 'flag') === 'blank'
+      });
+      
       // Store the AI output for later use
       aiGeneratedOutput = parsedData;
       
@@ -289,6 +418,7 @@ function displayFormattedOutput(text, summaryElement, fieldsElement) {
           <th>Field ID</th>
           <th>Value</th>
           <th>Confidence</th>
+          <th>Page</th>
         </tr>
       `;
       table.appendChild(tableHead);
@@ -299,23 +429,30 @@ function displayFormattedOutput(text, summaryElement, fieldsElement) {
       // Add each field to the table
       parsedData.fields.forEach(field => {
         const row = document.createElement('tr');
+        row.dataset.fieldId = field.id;
         
         // Field ID cell
         const idCell = document.createElement('td');
         idCell.textContent = field.id;
         row.appendChild(idCell);
         
-        // Value cell
+        // Value cell - editable, with an offer to remember edited answers
         const valueCell = document.createElement('td');
-        valueCell.textContent = field.value;
+        valueCell.appendChild(createEditableValue(field, parsedData));
         row.appendChild(valueCell);
         
-        // Confidence cell
+        // Confidence cell, with the resume evidence on hover
         const confidenceCell = document.createElement('td');
-        confidenceCell.textContent = field.confidence || 'Medium';
-        confidenceCell.classList.add(getConfidenceClass(field.confidence));
+        confidenceCell.className = 'output-confidence';
+        showConfidence(confidenceCell, field);
         row.appendChild(confidenceCell);
         
+        // Fill status cell - updated after the values are written to the page
+        const statusCell = document.createElement('td');
+        statusCell.className = 'fill-status';
+        statusCell.textContent = '—';
+        row.appendChild(statusCell);
+        
         // Add row to table
         tableBody.appendChild(row);
       });
@@ -345,6 +482,408 @@ function displayFormattedOutput(text, summaryElement, fieldsElement) {
   }
 }
 
+/**
+ * Create the editable value of an output row
+ * Edits update the stored output, and a "Remember answer" button dispatches a
+ * rememberanswer event (detail: fieldId, value) for the viewer to save
+ * @param {Object} field - The output field ({ id, value, confidence, source })
+ * @param {Object} output - The parsed output the field belongs to
+ * @returns {HTMLElement} The value element
+ */
+function createEditableValue(field, output) {
+  const container = document.createElement('div');
+  container.className = 'output-value';
+  
+  const valueText = document.createElement('span');
+  valueText.className = 'output-value-text';
+  valueText.contentEditable = 'true';
+  valueText.spellcheck = false;
+  valueText.textContent = field.value;
+  valueText.title = describeEvidence(field);
+  container.appendChild(valueText);
+  
+  if (field.source === 'answerBank') {
+    const badge = document.createElement('span');
+    badge.className = 'answer-source';
+    badge.textContent = 'Saved answer';
+    badge.title = field.question ? `From the answer bank: "${field.question}"` : 'From the answer bank';
+    container.appendChild(badge);
+  } else if (field.source === 'session') {
+    const badge = document.createElement('span');
+    badge.className = 'answer-source';
+    badge.textContent = 'Earlier step';
+    badge.title = 'Answered on an earlier page of this application';
+    container.appendChild(badge);
+  } else if (field.unverifiedValue) {
+    const badge = document.createElement('span');
+    badge.className = 'answer-source unverified-value';
+    badge.textContent = field.unverifiedValue;
+    badge.title = describeVerification(field);
+    container.appendChild(badge);
+  }
+  
+  const rememberButton = document.createElement('button');
+  rememberButton.className = 'remember-answer-button';
+  rememberButton.textContent = 'Remember answer';
+  rememberButton.style.display = 'none';
+  rememberButton.addEventListener('click', () => {
+    container.dispatchEvent(new CustomEvent('rememberanswer', {
+      bubbles: true,
+      detail: { fieldId: field.id, value: field.value }
+    }));
+    rememberButton.style.display = 'none';
+  });
+  container.appendChild(rememberButton);
+  
+  valueText.addEventListener('blur', () => {
+    const value = valueText.textContent.trim();
+    if (value === String(field.value)) return;
+    
+    field.value = value;
+    field.edited = true;
+    
+    // The user's own value needs no verifying, and the evidence was for the old value
+    delete field.verification;
+    delete field.unverifiedValue;
+    const blockedBadge = container.querySelector('.unverified-value');
+    if (blockedBadge) {
+      blockedBadge.remove();
+    }
+    const data = getFormData();
+    Object.assign(field, attachEvidence([field], settingsManager.getSetting('parsedResume', ''),
+      data ? data.autofillableFields || [] : [])[0]);
+    valueText.title = describeEvidence(field);
+    const confidenceCell = container.closest('tr') && container.closest('tr').querySelector('.output-confidence');
+    if (confidenceCell) {
+      showConfidence(confidenceCell, field);
+    }
+    storeEditedOutput(output);
+    
+    rememberButton.style.display = value ? '' : 'none';
+  });
+  
+  valueText.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      valueText.blur();
+    }
+  });
+  
+  return container;
+}
+
+/**
+ * Show a field's confidence in its output row, with the evidence behind it as the tooltip
+ * @param {HTMLElement} cell - The confidence cell
+ * @param {Object} field - The output field
+ */
+function showConfidence(cell, field) {
+  const unverified = field.verification === 'unverified';
+  cell.textContent = unverified ? 'Unverified' : field.confidence || 'Medium';
+  cell.classList.remove('high-confidence', 'medium-confidence', 'low-confidence', 'unverified');
+  cell.classList.add(unverified ? 'unverified' : getConfidenceClass(field.confidence));
+  cell.title = unverified ? describeVerification(field) : describeEvidence(field);
+  cell.classList.toggle('has-evidence', Boolean(cell.title));
+}
+
+/**
+ * Save edits to the displayed output so they survive a reload and are what gets filled
+ * @param {Object} output - The parsed output with edited fields
+ */
+function storeEditedOutput(output) {
+  try {
+    const stored = JSON.parse(localStorage.getItem('aiGeneratedOutput') || '{}');
+    stored.data = JSON.stringify(output);
+    localStorage.setItem('aiGeneratedOutput', JSON.stringify(stored));
+  } catch (error) {
+    console.error('Error saving edited output:', error);
+  }
+}
+
+/**
+ * Get the current form data, falling back to the copy stored by the popup
+ * @returns {Object|null} The extracted form data
+ */
+export function getFormData() {
+  if (formData) {
+    return formData;
+  }
+  
+  const extractedData = localStorage.getItem('extractedHTML');
+  if (!extractedData) {
+    return null;
+  }
+  
+  try {
+    formData = JSON.parse(extractedData);
+    return formData;
+  } catch (error) {
+    console.error('Error parsing stored form data:', error);
+    return null;
+  }
+}
+
+/**
+ * Replace the current form data (module exports can't be assigned from outside)
+ * @param {Object|null} data - The extracted form data
+ */
+export function setFormData(data) {
+  formData = data;
+}
+
+/**
+ * Find the browser tab that holds the application form
+ * @returns {Promise<number>} The tab ID
+ */
+export async function getApplicationTabId() {
+  const pageUrl = localStorage.getItem('pageUrl');
+  const storedTabId = parseInt(localStorage.getItem('pageTabId'), 10);
+  
+  // Prefer the tab the form was extracted from, as long as it still shows the same page
+  if (!isNaN(storedTabId)) {
+    try {
+      const tab = await chrome.tabs.get(storedTabId);
+      if (tab && (!pageUrl || tab.url === pageUrl)) {
+        return tab.id;
+      }
+    } catch (error) {
+      console.warn('Stored application tab is no longer available:', error);
+    }
+  }
+  
+  // Otherwise look for any open tab with the same URL
+  if (pageUrl) {
+    const tabs = await chrome.tabs.query({});
+    const matchingTab = tabs.find(tab => tab.url === pageUrl);
+    if (matchingTab) {
+      return matchingTab.id;
+    }
+  }
+  
+  throw new Error('The application page is no longer open. Please reopen it and extract the form again.');
+}
+
+/**
+ * Send a message to the content script running in the application tab
+ * @param {Object} message - The message to send
+ * @param {number} [frameId] - The frame to send it to (0 is the top-level page)
+ * @returns {Promise<Object>} The content script's response
+ */
+export async function sendToApplicationTab(message, frameId = 0) {
+  const tabId = await getApplicationTabId();
+  
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      if (!response || !response.success) {
+        reject(new Error((response && response.error) || 'No response from the application page'));
+        return;
+      }
+      
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Send a message to the background script
+ * @param {Object} message - The message to send
+ * @returns {Promise<Object>} The background script's response
+ */
+export function sendToBackground(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      if (!response || !response.success) {
+        reject(new Error((response && response.error) || 'No response from the background script'));
+        return;
+      }
+      
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Build the answers to keep for later steps of a multi-step application
+ * @param {Object} output - Parsed AI output with a fields array
+ * @param {Array<string>} fieldIds - Ids of the fields whose values made it onto the page
+ * @returns {Array} Array of { label, value, confidence } objects
+ */
+export function buildSessionAnswers(output, fieldIds) {
+  const data = getFormData();
+  const knownFields = data ? (data.autofillableFields || []) : [];
+  const ids = new Set(fieldIds);
+  
+  return (output.fields || [])
+    .filter(field => ids.has(field.id) && field.value && field.value !== 'No information available' &&
+      field.verification !== 'unverified')
+    .map(field => {
+      const source = knownFields.find(f => f.id === field.id) ||
+                     knownFields.find(f => f.name && f.name === field.id) ||
+                     {};
+      return {
+        label: source.label || '',
+        value: String(field.value),
+        confidence: field.confidence || 'Medium'
+      };
+    })
+    .filter(answer => answer.label);
+}
+
+/**
+ * Send a fill or review request to each frame holding some of its fields and combine the responses
+ * @param {Object} message - Message with a fields array whose entries may carry a frameId
+ * @returns {Promise<Object>} Combined response with results, shown and missing
+ */
+export async function sendFieldsToApplicationFrames(message) {
+  const fieldsByFrame = new Map();
+  message.fields.forEach(field => {
+    const frameId = field.frameId || 0;
+    if (!fieldsByFrame.has(frameId)) {
+      fieldsByFrame.set(frameId, []);
+    }
+    fieldsByFrame.get(frameId).push(field);
+  });
+  
+  const responses = await Promise.all(Array.from(fieldsByFrame.entries()).map(([frameId, fields]) =>
+    sendToApplicationTab({ ...message, fields }, frameId)
+  ));
+  
+  return {
+    success: true,
+    results: responses.flatMap(response => response.results || []),
+    shown: responses.reduce((total, response) => total + (response.shown || 0), 0),
+    missing: responses.flatMap(response => response.missing || [])
+  };
+}
+
+/**
+ * Build the list of values to write into the page from the AI output
+ * @param {Object} output - The parsed AI output with a fields array
+ * @returns {Array} Array of { id, name, path, scopePath, frameId, fingerprint, value } objects
+ */
+export function buildFillRequest(output) {
+  const data = getFormData();
+  const knownFields = data ? (data.autofillableFields || []) : [];
+  
+  return (output.fields || [])
+    .filter(field => field.value && field.value !== 'No information available')
+    .map(field => {
+      // The AI output may reference a field by its id, its name or its fingerprint identifier
+      const source = knownFields.find(f => f.id === field.id) ||
+                     knownFields.find(f => f.name && f.name === field.id) ||
+                     knownFields.find(f => getFingerprintIdentifier(f) === field.id) ||
+                     {};
+      
+      // Choice fields need the option value rather than the model's wording
+      const choice = resolveChoiceValue(source, String(field.value));
+      
+      return {
+        id: field.id,
+        elementId: source.elementId || '',
+        name: source.name || '',
+        path: source.path || '',
+        // Where the field lives: shadow roots / same-origin iframes within its frame, and the frame
+        scopePath: source.scopePath || [],
+        frameId: source.frameId || 0,
+        // Label, heading and position, for re-finding the field if the page changed since extraction
+        fingerprint: source.fingerprint || null,
+        value: String(choice.value)
+      };
+    });
+}
+
+/**
+ * Build the fields to review on the application page, with labels and confidence for display
+ * @param {Object} output - Parsed AI output with a fields array
+ * @returns {Array} Array of { id, name, path, value, displayValue, label, confidence, confidenceClass } objects
+ */
+export function buildReviewRequest(output) {
+  const data = getFormData();
+  const knownFields = data ? (data.autofillableFields || []) : [];
+  
+  return buildFillRequest(output).map(fillField => {
+    const outputField = output.fields.find(field => field.id === fillField.id) || {};
+    const source = knownFields.find(f => f.id === fillField.id) ||
+                   knownFields.find(f => f.name && f.name === fillField.id) ||
+                   {};
+    
+    return {
+      ...fillField,
+      displayValue: String(outputField.value),
+      label: source.label || fillField.id,
+      confidence: outputField.confidence || 'Medium',
+      confidenceClass: getConfidenceClass(outputField.confidence)
+    };
+  });
+}
+
+/**
+ * Show a decision made in the on-page review in the output table
+ * Edited values replace the output value and offer to be remembered like edits made here
+ * @param {Object} decision - Object with id, decision ('accepted', 'edited' or 'rejected'), value and fill result
+ * @param {HTMLElement} fieldsElement - Element containing the output table
+ */
+export function displayReviewDecision(decision, fieldsElement) {
+  const row = Array.from(fieldsElement.querySelectorAll('tr[data-field-id]'))
+    .find(r => r.dataset.fieldId === decision.id);
+  
+  if (decision.decision === 'edited' && aiGeneratedOutput) {
+    const field = aiGeneratedOutput.fields.find(f => f.id === decision.id);
+    if (field) {
+      field.value = decision.value;
+      field.edited = true;
+      storeEditedOutput(aiGeneratedOutput);
+    }
+    
+    if (row) {
+      row.querySelector('.output-value-text').textContent = decision.value;
+      row.querySelector('.remember-answer-button').style.display = decision.value ? '' : 'none';
+    }
+  }
+  
+  if (!row) return;
+  
+  const statusCell = row.querySelector('.fill-status');
+  if (decision.decision === 'rejected') {
+    statusCell.textContent = 'Rejected';
+    statusCell.classList.remove('fill-success', 'fill-failed');
+    return;
+  }
+  
+  const result = decision.result || { success: false, error: 'No fill result' };
+  statusCell.textContent = result.success ? (decision.decision === 'edited' ? 'Filled (edited)' : 'Filled') : `Failed: ${result.error}`;
+  statusCell.classList.toggle('fill-success', result.success);
+  statusCell.classList.toggle('fill-failed', !result.success);
+}
+
+/**
+ * Show the per-field fill results in the output table
+ * @param {Array} results - Array of { id, success, error } objects from the content script
+ * @param {HTMLElement} fieldsElement - Element containing the output table
+ */
+export function displayFillResults(results, fieldsElement) {
+  results.forEach(result => {
+    const row = Array.from(fieldsElement.querySelectorAll('tr[data-field-id]'))
+      .find(r => r.dataset.fieldId === result.id);
+    if (!row) return;
+    
+    const statusCell = row.querySelector('.fill-status');
+    statusCell.textContent = result.success ? 'Filled' : `Failed: ${result.error}`;
+    statusCell.classList.toggle('fill-success', result.success);
+    statusCell.classList.toggle('fill-failed', !result.success);
+  });
+}
+
 /**
  * Clear the AI generated output
  * @param {HTMLElement} summaryElement - Element to display the summary
@@ -420,6 +959,7 @@ export function displayFormData(data, containerElement) {
       <h3>Page Information</h3>
       ${pageTitle ? `<div><strong>Title:</strong> ${pageTitle}</div>` : ''}
       ${pageUrl ? `<div><strong>URL:</strong> <a href="${pageUrl}" target="_blank">${pageUrl}</a></div>` : ''}
+      ${data.siteAdapter ? `<div><strong>Site:</strong> ${data.siteAdapter}</div>` : ''}
     `;
     containerElement.appendChild(pageInfoContainer);
   }
@@ -517,6 +1057,26 @@ export function displayFormData(data, containerElement) {
     containerElement.appendChild(autofillContainer);
   }
   
+  // Show the upload fields the stored resume/cover letter can be attached to
+  if (data.fileFields && data.fileFields.length > 0) {
+    const uploadContainer = document.createElement('div');
+    uploadContainer.className = 'autofill-container';
+    
+    const uploadHeader = document.createElement('h3');
+    uploadHeader.textContent = 'File Upload Fields';
+    uploadContainer.appendChild(uploadHeader);
+    
+    const uploadList = document.createElement('ul');
+    data.fileFields.forEach(field => {
+      const item = document.createElement('li');
+      const roleText = field.role === 'coverLetter' ? 'Cover letter' : field.role === 'resume' ? 'Resume' : 'Other';
+      item.textContent = `${field.label || field.name || field.id} (${roleText})`;
+      uploadList.appendChild(item);
+    });
+    uploadContainer.appendChild(uploadList);
+    containerElement.appendChild(uploadContainer);
+  }
+  
   // Add detailed form sections
   if (data.forms && data.forms.length > 0) {
     const formsSection = document.createElement('div');
@@ -44,9 +44,9 @@ export function addCopyButton(outputElement) {
  * Show a status message in the settings page
  * @param {string} message - The message to display
  * @param {boolean} isSuccess - Whether the message is a success or error
- * @param {HTMLElement} messageElement - The element to display the message in
+ * @param {HTMLElement} [messageElement] - The element to display the message in (defaults to a floating banner)
  */
-export function showStatusMessage(message, isSuccess = true, messageElement) {
+export function showStatusMessage(message, isSuccess = true, messageElement = getFloatingStatusElement()) {
   messageElement.textContent = message;
   messageElement.style.display = 'block';
   
@@ -64,6 +64,28 @@ export function showStatusMessage(message, isSuccess = true, messageElement) {
   }, 3000);
 }
 
+/**
+ * Get (or create) the floating status banner used when no message element is given
+ * @returns {HTMLElement} The status banner element
+ */
+function getFloatingStatusElement() {
+  let statusElement = document.getElementById('floating-status-message');
+  
+  if (!statusElement) {
+    statusElement = document.createElement('div');
+    statusElement.id = 'floating-status-message';
+    statusElement.className = 'status-message';
+    statusElement.style.position = 'fixed';
+    statusElement.style.bottom = '20px';
+    statusElement.style.right = '20px';
+    statusElement.style.maxWidth = '400px';
+    statusElement.style.zIndex = '1000';
+    document.body.appendChild(statusElement);
+  }
+  
+  return statusElement;
+}
+
 /**
  * Apply confidence-based styling to output fields
  * @param {string} confidence - High, Medium, or Low confidence level
@@ -178,6 +200,59 @@ export function addOutputStyles() {
     .low-confidence {
       background-color: rgba(244, 67, 54, 0.1);
     }
+    
+    .unverified {
+      background-color: rgba(156, 39, 176, 0.15);
+      font-weight: bold;
+    }
+    
+    .unverified-value {
+      text-decoration: line-through;
+      background-color: rgba(156, 39, 176, 0.15);
+      color: inherit;
+    }
+    
+    .has-evidence {
+      cursor: help;
+      text-decoration: underline dotted;
+    }
+    
+    .fill-success {
+      color: #2e7d32;
+    }
+    
+    .fill-failed {
+      color: #c62828;
+    }
+    
+    .output-value-text {
+      display: inline-block;
+      min-width: 40px;
+      padding: 2px 4px;
+      border-radius: 3px;
+      outline: none;
+    }
+    
+    .output-value-text:hover,
+    .output-value-text:focus {
+      background-color: rgba(0, 0, 0, 0.05);
+      box-shadow: inset 0 0 0 1px var(--border-color);
+    }
+    
+    .answer-source {
+      margin-left: 8px;
+      padding: 1px 6px;
+      font-size: 0.75em;
+      border-radius: 8px;
+      background-color: rgba(33, 150, 243, 0.15);
+      color: var(--primary-color);
+    }
+    
+    .remember-answer-button {
+      margin-left: 8px;
+      padding: 2px 8px;
+      font-size: 0.8em;
+    }
   `;
   document.head.appendChild(style);
 }
@@ -275,4 +350,58 @@ export function addApplicationDataStyles() {
   `;
   
   document.head.appendChild(style);
-}
\ No newline at end of file
+}
+
+/**
+ * Add styling for the applications log
+ */
+export function addApplicationHistoryStyles() {
+  if (document.getElementById('application-history-styles')) return;
+  
+  const style = document.createElement('style');
+  style.id = 'application-history-styles';
+  style.textContent = `
+    .applications-table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    
+    .applications-table th,
+    .applications-table td {
+      text-align: left;
+      padding: 8px;
+      border-bottom: 1px solid var(--border-color);
+      vertical-align: top;
+    }
+    
+    .applications-table input,
+    .applications-table select {
+      width: 100%;
+      box-sizing: border-box;
+    }
+    
+    .application-details td {
+      background-color: var(--secondary-background);
+    }
+    
+    .application-details ul {
+      margin: 0;
+      padding-left: 20px;
+    }
+    
+    .application-actions {
+      white-space: nowrap;
+    }
+    
+    .application-actions .settings-button {
+      margin-top: 0;
+      padding: 4px 10px;
+    }
+    
+    .applications-count {
+      margin-bottom: 10px;
+      font-style: italic;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -4,10 +4,16 @@
  */
 
 import * as ViewerCore from './viewer-core.js';
-import { showStatusMessage, addCopyButton } from './viewer-styles.js';
-import { generatePrompt } from './prompt-generator.js';
+import { showStatusMessage, addCopyButton, addApplicationHistoryStyles } from './viewer-styles.js';
+import { getPromptInputs, buildPrompt, buildOutputSchema } from './prompt-generator.js';
+import { getContextSize, planPromptBatches } from './token-budget.js';
 import AgentsAPI, { AIProviderFactory } from './agents-api.js';
 import settingsManager from './settings-manager.js';
+import { buildResumeProfile, hashResumeText } from './resume-profile.js';
+import { parseResumeFile, isSupportedResumeFile, RESUME_FILE_ACCEPT } from './resume-importers.js';
+import * as ApplicationHistory from './application-history.js';
+import * as AnswerBank from './answer-bank.js';
+import * as RepeatingSections from './repeating-sections.js';
 
 // DOM Elements
 const input = document.getElementById('fileInput');
@@ -20,14 +26,44 @@ const apiStatusMessage = document.getElementById('api-status-message');
 
 // Control buttons
 const generateOutputButton = document.getElementById('generate-output');
+const stopGenerationButton = document.getElementById('stop-generation');
+const applyFillButton = document.getElementById('apply-fill');
+const reviewFillButton = document.getElementById('review-fill');
+const attachFilesButton = document.getElementById('attach-files');
+const coverLetterInput = document.getElementById('coverLetterInput');
+const clearCoverLetterButton = document.getElementById('clear-cover-letter');
+const resumeProfileEditor = document.getElementById('resume-profile-editor');
+const saveResumeProfileButton = document.getElementById('save-resume-profile');
+const rebuildResumeProfileButton = document.getElementById('rebuild-resume-profile');
+const newResumeProfileButton = document.getElementById('new-resume-profile');
+const renameResumeProfileButton = document.getElementById('rename-resume-profile');
+const deleteResumeProfileButton = document.getElementById('delete-resume-profile');
+const resumeProfilePickers = document.querySelectorAll('.resume-profile-picker');
+const outputResumeProfileUsed = document.getElementById('output-resume-profile-used');
+const applicationsList = document.getElementById('applications-list');
+const applicationsSearch = document.getElementById('applications-search');
+const applicationsStatusFilter = document.getElementById('applications-status-filter');
+const applicationsProfileFilter = document.getElementById('applications-profile-filter');
+const refreshApplicationsButton = document.getElementById('refresh-applications');
+const exportApplicationsButton = document.getElementById('export-applications');
+const clearApplicationsButton = document.getElementById('clear-applications');
+const answerBankList = document.getElementById('answer-bank-list');
+const addAnswerButton = document.getElementById('add-answer');
+const saveAnswerBankButton = document.getElementById('save-answer-bank');
 const copyOutputButton = document.getElementById('copy-output');
 const clearOutputButton = document.getElementById('clear-output');
 const refreshDataButton = document.getElementById('refresh-data');
 const copyDataButton = document.getElementById('copy-data');
 const clearDataButton = document.getElementById('clear-data');
+const applicationSession = document.getElementById('application-session');
+const applicationSessionStatus = document.getElementById('application-session-status');
+const endSessionButton = document.getElementById('end-session');
 const chatInput = document.getElementById('chat-input');
 const sendButton = document.getElementById('send-button');
+const stopMessageButton = document.getElementById('stop-message');
 const saveApiSettingsButton = document.getElementById('save-api-settings');
+const fallbackProviderList = document.getElementById('fallback-provider-list');
+const addFallbackProviderButton = document.getElementById('add-fallback-provider');
 const themeToggle = document.getElementById('theme-toggle');
 const apiProviderSelect = document.getElementById('api-provider');
 const ollamaModelSelector = document.getElementById('ollama-model-selector');
@@ -37,13 +73,24 @@ const refreshOllamaModelsButton = document.getElementById('refresh-ollama-models
 let ollamaModels = [];
 let ollamaInstance = null;
 
+// Controllers of the model requests in progress, aborted by the Stop buttons
+let activeGeneration = null;
+let activeChat = null;
+
 // Initialize the viewer
 async function initViewer() {
   // Initialize Navigation
   ViewerCore.initNavigation();
   
-  // Initialize PDF processing
-  ViewerCore.initPdfProcessing(input, out);
+  // Initialize resume file processing
+  ViewerCore.initResumeProcessing(input, out, handleResumeLoaded);
+  
+  // Show which files will be attached to upload fields
+  updateUploadFilesStatus();
+  
+  // Show the resume profiles and the selected profile's resume
+  renderResumeProfilePickers();
+  showActiveResumeProfile();
   
   // Initialize settings
   const { themeToggle } = ViewerCore.loadThemeSettings();
@@ -52,6 +99,7 @@ async function initViewer() {
   loadAgenticWorkflowSetting();
   
   // Initialize API client
+  renderFallbackProviders();
   const apiInitialized = await initializeAIProvider();
   if (apiInitialized) {
     addMessage('API client initialized successfully. Ready to chat!');
@@ -62,11 +110,20 @@ async function initViewer() {
   // Check for existing output
   loadExistingOutput();
   
+  // Load the applications log
+  initApplicationHistory();
+  
+  // Show the saved answers to recurring questions
+  renderAnswerBank();
+  
   // Initialize application data display if no extracted data
   if (!settingsManager.getSetting('extractedHTML')) {
     ViewerCore.updateApplicationDataDisplay(applicationData);
   }
   
+  // Show the multi-step application the form belongs to, if any
+  renderApplicationSession();
+  
   // Setup event listeners
   setupEventListeners();
   
@@ -85,6 +142,11 @@ function loadAgenticWorkflowSetting() {
   if (agenticToggle) {
     agenticToggle.checked = agenticEnabled;
   }
+  
+  const guardSelect = document.getElementById('hallucination-guard-mode');
+  if (guardSelect) {
+    guardSelect.value = settingsManager.getSetting('hallucinationGuard', 'flag');
+  }
 }
 
 // Initialize AI provider from settings
@@ -109,6 +171,7 @@ async function initializeAIProvider() {
   document.getElementById('api-key').value = apiKey;
   document.getElementById('api-base-url').value = baseURL;
   document.getElementById('model-name').value = model;
+  document.getElementById('request-timeout').value = getRequestTimeout(providerType);
   
   // Set temperature if it exists
   const temperatureSlider = document.getElementById('temperature-setting');
@@ -134,6 +197,7 @@ async function initializeAIProvider() {
   // Initialize API client based on provider type
   if (apiKey || providerType === 'Ollama' || providerType === 'LMStudio' || providerType === 'ENV') {
     const api = new AgentsAPI(apiKey, baseURL, model, providerType);
+    configureAgentsAPI(api, providerType);
     ViewerCore.setAgentsAPI(api);
     return true;
   } else {
@@ -141,6 +205,105 @@ async function initializeAIProvider() {
   }
 }
 
+/**
+ * Get the request timeout for a provider: the one saved in settings, or the provider's default
+ * @param {string} providerType - The provider
+ * @returns {number} The timeout in seconds (0 for no limit)
+ */
+function getRequestTimeout(providerType) {
+  const timeouts = settingsManager.getSetting('requestTimeouts', {}) || {};
+  return timeouts[providerType] ?? AIProviderFactory.getProviderDefaults(providerType).timeout;
+}
+
+/**
+ * Apply the saved request timeout and fallback chain to a new API client
+ * @param {AgentsAPI} api - The API client
+ * @param {string} providerType - The client's primary provider
+ */
+function configureAgentsAPI(api, providerType) {
+  api.setRequestTimeout(getRequestTimeout(providerType));
+  api.setFallbackProviders((settingsManager.getSetting('fallbackProviders', []) || []).map(config => ({
+    ...config,
+    timeout: getRequestTimeout(config.providerType)
+  })));
+  api.onFallback = (failedType, nextType, error) => {
+    showStatusMessage(`${failedType} failed (${error.message}), trying ${nextType}...`, false);
+  };
+}
+
+/**
+ * Show the saved fallback providers as editable rows
+ */
+function renderFallbackProviders() {
+  if (!fallbackProviderList) return;
+  
+  fallbackProviderList.innerHTML = '';
+  (settingsManager.getSetting('fallbackProviders', []) || [])
+    .forEach(config => fallbackProviderList.appendChild(createFallbackProviderRow(config)));
+}
+
+/**
+ * Create an editable fallback provider row
+ * @param {Object} config - The fallback ({ providerType, apiKey, baseURL, model })
+ * @returns {HTMLElement} The row element
+ */
+function createFallbackProviderRow(config) {
+  const row = document.createElement('div');
+  row.className = 'fallback-provider-entry';
+  
+  // Same choices as the main provider, except the .env one which can only be the main provider
+  const providerSelect = document.createElement('select');
+  providerSelect.className = 'settings-input fallback-provider-type';
+  Array.from(apiProviderSelect.options)
+    .filter(option => option.value !== 'ENV')
+    .forEach(option => providerSelect.appendChild(new Option(option.textContent, option.value)));
+  providerSelect.value = config.providerType || 'OpenAI';
+  row.appendChild(providerSelect);
+  
+  [
+    { className: 'fallback-provider-url', placeholder: 'API Base URL', value: config.baseURL },
+    { className: 'fallback-provider-model', placeholder: 'Model Name', value: config.model },
+    { className: 'fallback-provider-key', placeholder: 'API Key', value: config.apiKey, type: 'password' }
+  ].forEach(field => {
+    const fieldInput = document.createElement('input');
+    fieldInput.type = field.type || 'text';
+    fieldInput.className = `settings-input ${field.className}`;
+    fieldInput.placeholder = field.placeholder;
+    fieldInput.value = field.value || '';
+    row.appendChild(fieldInput);
+  });
+  
+  const removeButton = document.createElement('button');
+  removeButton.className = 'settings-button';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+  row.appendChild(removeButton);
+  
+  return row;
+}
+
+/**
+ * Add an empty fallback provider row (saved with the API settings)
+ */
+function handleAddFallbackProvider() {
+  fallbackProviderList.appendChild(createFallbackProviderRow({ providerType: 'OpenAI' }));
+}
+
+/**
+ * Read the fallback chain from its rows
+ * @returns {Array<Object>} The fallbacks in order ({ providerType, apiKey, baseURL, model })
+ */
+function readFallbackProviders() {
+  if (!fallbackProviderList) return [];
+  
+  return Array.from(fallbackProviderList.querySelectorAll('.fallback-provider-entry')).map(row => ({
+    providerType: row.querySelector('.fallback-provider-type').value,
+    apiKey: row.querySelector('.fallback-provider-key').value.trim(),
+    baseURL: row.querySelector('.fallback-provider-url').value.trim(),
+    model: row.querySelector('.fallback-provider-model').value.trim()
+  }));
+}
+
 /**
  * Show or hide Ollama-specific UI elements based on provider selection
  * @param {boolean} show - Whether to show Ollama-specific elements
@@ -378,7 +541,7 @@ async function handleSelectDirectory() {
       // Firefox-friendly approach using regular file input
       const fileInput = document.createElement('input');
       fileInput.type = 'file';
-      fileInput.accept = '.pdf';
+      fileInput.accept = RESUME_FILE_ACCEPT;
       
       // Create a promise to handle the file selection
       const filePromise = new Promise((resolve) => {
@@ -410,34 +573,17 @@ async function handleSelectDirectory() {
       // Process the file directly
       const out = document.getElementById('output');
       out.textContent = 'Parsing…';
-      const buf = await file.arrayBuffer();
       
       try {
-        const pdfjsLib = await import('./pdf.mjs');
-        
-        const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-        
-        let fullText = '';
-        for (let i = 1; i <= pdf.numPages; i++) {
-          const page = await pdf.getPage(i);
-          const content = await page.getTextContent();
-          fullText += content.items.map(item => item.str).join(' ') + '\n';
-        }
-      
-        const parsedResume = ViewerCore.toMarkdown(fullText);
+        const parsedResume = await parseResumeFile(file);
         out.textContent = parsedResume;
         
         // Store the parsed resume in settings
         settingsManager.updateSetting('parsedResume', parsedResume);
         
-        // Store the file for Firefox users
-        settingsManager.updateSetting('firefoxResumeFile', {
-          name: file.name,
-          type: file.type,
-          size: file.size,
-          lastModified: file.lastModified,
-          content: await file.text()
-        });
+        // Store the original file so it can be attached to upload fields
+        const fileSaved = await ViewerCore.saveResumeUploadFile(file);
+        handleResumeLoaded(parsedResume);
         
         // Add copy button
         addCopyButton(out);
@@ -446,10 +592,12 @@ async function handleSelectDirectory() {
         updateDirectoryDisplay();
         
         // Show success message
-        showStatusMessage('Resume loaded successfully!', true);
+        if (fileSaved) {
+          showStatusMessage('Resume loaded successfully!', true);
+        }
       } catch (error) {
-        out.textContent = `Error parsing PDF: ${error.message}`;
-        showStatusMessage('Error parsing PDF: ' + error.message, false);
+        out.textContent = `Error parsing resume: ${error.message}`;
+        showStatusMessage('Error parsing resume: ' + error.message, false);
       }
     } else if (window.showDirectoryPicker) {
       // Chrome/Edge approach using File System Access API
@@ -475,7 +623,7 @@ async function handleSelectDirectory() {
       // Use the Firefox approach
       const fileInput = document.createElement('input');
       fileInput.type = 'file';
-      fileInput.accept = '.pdf';
+      fileInput.accept = RESUME_FILE_ACCEPT;
       fileInput.click();
       
       // We don't await the result here, as that would require duplicating the Firefox code
@@ -487,6 +635,57 @@ async function handleSelectDirectory() {
   }
 }
 
+/**
+ * Find the resume in a directory: the last used file, then resume.pdf/.docx/.md/.txt,
+ * then any supported file (asking the user to choose if there are several)
+ * @param {FileSystemDirectoryHandle} directoryHandle - The resume directory
+ * @returns {Promise<FileSystemFileHandle>} The resume file handle
+ */
+async function findResumeFileHandle(directoryHandle) {
+  const candidates = [settingsManager.getLastResumeFile(), 'resume.pdf', 'resume.docx', 'resume.md', 'resume.txt']
+    .filter(name => name && isSupportedResumeFile({ name }));
+  
+  for (const name of candidates) {
+    try {
+      return await directoryHandle.getFileHandle(name, { create: false });
+    } catch (error) {
+      // Not in this directory - try the next name
+    }
+  }
+  
+  // Try to get all supported resume files in the directory
+  const resumeFiles = [];
+  for await (const entry of directoryHandle.values()) {
+    if (entry.kind === 'file' && isSupportedResumeFile({ name: entry.name })) {
+      resumeFiles.push(entry);
+    }
+  }
+  
+  if (resumeFiles.length === 0) {
+    throw new Error('No resume files (PDF, Word, text or Markdown) found in the directory.');
+  }
+  
+  // If only one resume file, use that
+  if (resumeFiles.length === 1) {
+    return resumeFiles[0];
+  }
+  
+  // Let the user select which file to use
+  const fileIndex = prompt(
+    `Multiple resume files found. Enter the number of the file to use:\n${
+      resumeFiles.map((file, index) => `${index + 1}. ${file.name}`).join('\n')
+    }`,
+    '1'
+  );
+  
+  const selectedIndex = parseInt(fileIndex) - 1;
+  if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= resumeFiles.length) {
+    throw new Error('Invalid selection.');
+  }
+  
+  return resumeFiles[selectedIndex];
+}
+
 // Handle loading resume from the selected directory
 async function handleLoadResume() {
   try {
@@ -498,44 +697,8 @@ async function handleLoadResume() {
       return;
     }
     
-    // Show file picker within the directory
-    const fileHandle = await directoryHandle.getFileHandle('resume.pdf', { create: false })
-      .catch(async () => {
-        // If resume.pdf doesn't exist, show a file picker
-        alert('resume.pdf not found in directory. Please select a PDF file.');
-        
-        // Try to get all PDF files in the directory
-        const pdfFiles = [];
-        for await (const entry of directoryHandle.values()) {
-          if (entry.kind === 'file' && entry.name.toLowerCase().endsWith('.pdf')) {
-            pdfFiles.push(entry);
-          }
-        }
-        
-        if (pdfFiles.length === 0) {
-          throw new Error('No PDF files found in the directory.');
-        }
-        
-        // If only one PDF file, use that
-        if (pdfFiles.length === 1) {
-          return pdfFiles[0];
-        }
-        
-        // Let the user select which PDF to use
-        const fileIndex = prompt(
-          `Multiple PDF files found. Enter the number of the file to use:\n${
-            pdfFiles.map((file, index) => `${index + 1}. ${file.name}`).join('\n')
-          }`,
-          '1'
-        );
-        
-        const selectedIndex = parseInt(fileIndex) - 1;
-        if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= pdfFiles.length) {
-          throw new Error('Invalid selection.');
-        }
-        
-        return pdfFiles[selectedIndex];
-      });
+    // Find the resume file within the directory
+    const fileHandle = await findResumeFileHandle(directoryHandle);
     
     // Get the file
     const file = await fileHandle.getFile();
@@ -543,37 +706,31 @@ async function handleLoadResume() {
     // Save the file path
     settingsManager.saveResumeFile(file.name);
     
-    // Process the PDF file
+    // Process the resume file
     const out = document.getElementById('output');
     out.textContent = 'Parsing…';
-    const buf = await file.arrayBuffer();
     
     try {
-      const pdfjsLib = await import('./pdf.mjs');
-      
-      const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-      
-      let fullText = '';
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        fullText += content.items.map(item => item.str).join(' ') + '\n';
-      }
-    
-      const parsedResume = ViewerCore.toMarkdown(fullText);
+      const parsedResume = await parseResumeFile(file);
       out.textContent = parsedResume;
       
       // Store the parsed resume in settings
       settingsManager.updateSetting('parsedResume', parsedResume);
       
+      // Store the original file so it can be attached to upload fields
+      const fileSaved = await ViewerCore.saveResumeUploadFile(file);
+      handleResumeLoaded(parsedResume);
+      
       // Add copy button
       addCopyButton(out);
       
       // Show success message
-      showStatusMessage('Resume loaded successfully!', true);
+      if (fileSaved) {
+        showStatusMessage('Resume loaded successfully!', true);
+      }
     } catch (error) {
-      out.textContent = `Error parsing PDF: ${error.message}`;
-      showStatusMessage('Error parsing PDF: ' + error.message, false);
+      out.textContent = `Error parsing resume: ${error.message}`;
+      showStatusMessage('Error parsing resume: ' + error.message, false);
     }
   } catch (error) {
     console.error('Error loading resume:', error);
@@ -594,18 +751,372 @@ async function tryLoadLastResume() {
   }
 }
 
+/**
+ * Fill every resume profile picker with the saved profiles
+ */
+function renderResumeProfilePickers() {
+  const profiles = settingsManager.getResumeProfiles();
+  const activeProfile = settingsManager.getActiveResumeProfile();
+  
+  resumeProfilePickers.forEach(picker => {
+    picker.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      picker.appendChild(option);
+    });
+    picker.value = activeProfile ? activeProfile.id : '';
+  });
+  
+  if (deleteResumeProfileButton) {
+    deleteResumeProfileButton.disabled = profiles.length <= 1;
+  }
+}
+
+/**
+ * Show the selected profile's parsed resume, structured profile and files
+ */
+function showActiveResumeProfile() {
+  const parsedResume = settingsManager.getSetting('parsedResume', '');
+  out.textContent = parsedResume || 'Parsed resume content will appear here…';
+  input.value = '';
+  
+  updateUploadFilesStatus();
+  refreshResumeProfile(parsedResume);
+}
+
+/**
+ * Show which resume profile the current output was generated with
+ * @param {Object|null} resumeProfile - Object with the profile's id and name
+ */
+function showOutputResumeProfile(resumeProfile) {
+  if (!outputResumeProfileUsed) return;
+  outputResumeProfileUsed.textContent = resumeProfile
+    ? `Generated with resume profile: ${resumeProfile.name}`
+    : '';
+}
+
+/**
+ * Handle choosing a resume profile in any of the pickers
+ * @param {Event} event - The change event
+ */
+function handleResumeProfileChange(event) {
+  if (!settingsManager.setActiveResumeProfile(event.target.value)) {
+    showStatusMessage('Could not switch resume profile.', false);
+    return;
+  }
+  
+  renderResumeProfilePickers();
+  showActiveResumeProfile();
+  showStatusMessage(`Using resume profile "${settingsManager.getActiveResumeProfile().name}".`, true);
+}
+
+/**
+ * Handle creating a new resume profile
+ */
+function handleNewResumeProfile() {
+  const name = prompt('Name for the new resume profile (e.g. "Backend", "Data", "Management"):');
+  if (!name || !name.trim()) return;
+  
+  settingsManager.createResumeProfile(name.trim());
+  renderResumeProfilePickers();
+  showActiveResumeProfile();
+  showStatusMessage(`Created resume profile "${name.trim()}". Upload a resume for it.`, true);
+}
+
+/**
+ * Handle renaming the selected resume profile
+ */
+function handleRenameResumeProfile() {
+  const activeProfile = settingsManager.getActiveResumeProfile();
+  if (!activeProfile) return;
+  
+  const name = prompt('New name for this resume profile:', activeProfile.name);
+  if (!name || !name.trim()) return;
+  
+  settingsManager.renameResumeProfile(activeProfile.id, name.trim());
+  renderResumeProfilePickers();
+  showStatusMessage('Resume profile renamed.', true);
+}
+
+/**
+ * Handle deleting the selected resume profile
+ */
+function handleDeleteResumeProfile() {
+  const activeProfile = settingsManager.getActiveResumeProfile();
+  if (!activeProfile) return;
+  
+  if (!confirm(`Delete the resume profile "${activeProfile.name}"? Its resume and files will be removed.`)) {
+    return;
+  }
+  
+  settingsManager.deleteResumeProfile(activeProfile.id);
+  renderResumeProfilePickers();
+  showActiveResumeProfile();
+  showStatusMessage('Resume profile deleted.', true);
+}
+
+/**
+ * Update everything that depends on the resume after a new one is parsed
+ * @param {string} parsedResume - The parsed resume in Markdown
+ */
+function handleResumeLoaded(parsedResume) {
+  updateUploadFilesStatus();
+  refreshResumeProfile(parsedResume);
+}
+
+/**
+ * Build the structured profile when the resume changes and show it in the editor.
+ * A profile built from the same resume is kept so manual edits aren't lost.
+ * @param {string} parsedResume - The parsed resume in Markdown
+ */
+function refreshResumeProfile(parsedResume) {
+  let profile = settingsManager.getResumeProfile();
+  
+  if (parsedResume && (!profile || !profile.meta || profile.meta.sourceHash !== hashResumeText(parsedResume))) {
+    profile = buildResumeProfile(parsedResume);
+    settingsManager.saveResumeProfile(profile);
+  }
+  
+  if (resumeProfileEditor) {
+    resumeProfileEditor.value = profile ? JSON.stringify(profile, null, 2) : '';
+  }
+}
+
+/**
+ * Save the edited resume profile
+ */
+function handleSaveResumeProfile() {
+  try {
+    const profile = JSON.parse(resumeProfileEditor.value);
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('The profile must be a JSON object.');
+    }
+    
+    // Tie the edits to the current resume so they survive until a different resume is loaded
+    profile.meta = {
+      ...profile.meta,
+      sourceHash: hashResumeText(settingsManager.getSetting('parsedResume', '')),
+      editedAt: new Date().toISOString()
+    };
+    
+    settingsManager.saveResumeProfile(profile);
+    resumeProfileEditor.value = JSON.stringify(profile, null, 2);
+    showStatusMessage('Resume profile saved.', true);
+  } catch (error) {
+    console.error('Error saving resume profile:', error);
+    showStatusMessage('Invalid profile JSON: ' + error.message, false);
+  }
+}
+
+/**
+ * Discard edits and rebuild the profile from the parsed resume
+ */
+function handleRebuildResumeProfile() {
+  const parsedResume = settingsManager.getSetting('parsedResume', '');
+  if (!parsedResume) {
+    showStatusMessage('No resume loaded. Upload a resume first.', false);
+    return;
+  }
+  
+  if (!confirm('Rebuild the profile from your resume? Any edits you made will be lost.')) {
+    return;
+  }
+  
+  settingsManager.saveResumeProfile(null);
+  refreshResumeProfile(parsedResume);
+  showStatusMessage('Resume profile rebuilt.', true);
+}
+
+/**
+ * Show the answer bank entries as editable rows
+ */
+function renderAnswerBank() {
+  if (!answerBankList) return;
+  
+  answerBankList.innerHTML = '';
+  AnswerBank.getAnswerBank().forEach(entry => answerBankList.appendChild(createAnswerRow(entry)));
+}
+
+/**
+ * Create an editable answer bank row
+ * @param {Object} entry - The entry ({ id, question, answer })
+ * @returns {HTMLElement} The row element
+ */
+function createAnswerRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'answer-bank-entry';
+  row.dataset.answerId = entry.id;
+  
+  const questionInput = document.createElement('input');
+  questionInput.type = 'text';
+  questionInput.className = 'settings-input answer-question';
+  questionInput.placeholder = 'Question';
+  questionInput.value = entry.question || '';
+  row.appendChild(questionInput);
+  
+  const answerInput = document.createElement('textarea');
+  answerInput.className = 'settings-input answer-text';
+  answerInput.placeholder = 'Your answer';
+  answerInput.value = entry.answer || '';
+  row.appendChild(answerInput);
+  
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'settings-button';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', () => handleDeleteAnswer(entry.id));
+  row.appendChild(deleteButton);
+  
+  return row;
+}
+
+/**
+ * Add an empty question to the answer bank list
+ */
+function handleAddAnswer() {
+  const row = createAnswerRow({ id: AnswerBank.createAnswerId(), question: '', answer: '' });
+  answerBankList.appendChild(row);
+  row.querySelector('.answer-question').focus();
+}
+
+/**
+ * Save the answer bank rows, dropping rows without a question
+ */
+function handleSaveAnswerBank() {
+  const existing = AnswerBank.getAnswerBank();
+  const entries = Array.from(answerBankList.querySelectorAll('.answer-bank-entry'))
+    .map(row => {
+      const previous = existing.find(entry => entry.id === row.dataset.answerId) || {};
+      return {
+        ...previous,
+        id: row.dataset.answerId,
+        question: row.querySelector('.answer-question').value.trim(),
+        answer: row.querySelector('.answer-text').value.trim()
+      };
+    })
+    .filter(entry => entry.question);
+  
+  if (AnswerBank.saveAnswerBank(entries)) {
+    renderAnswerBank();
+    showStatusMessage('Answers saved.', true);
+  } else {
+    showStatusMessage('Error saving answers.', false);
+  }
+}
+
+/**
+ * Delete an answer bank entry after confirming
+ * @param {string} id - The entry id
+ */
+function handleDeleteAnswer(id) {
+  const entry = AnswerBank.getAnswerBank().find(candidate => candidate.id === id);
+  if (entry && entry.answer && !confirm(`Delete the saved answer to "${entry.question}"?`)) return;
+  
+  AnswerBank.saveAnswerBank(AnswerBank.getAnswerBank().filter(candidate => candidate.id !== id));
+  const row = answerBankList.querySelector(`[data-answer-id="${id}"]`);
+  if (row) row.remove();
+}
+
+/**
+ * Save an edited output value to the answer bank under its field's label
+ * @param {CustomEvent} event - rememberanswer event with fieldId and value
+ */
+function handleRememberAnswer(event) {
+  const { fieldId, value } = event.detail;
+  const formData = ViewerCore.getFormData();
+  const fields = formData ? formData.autofillableFields || [] : [];
+  const field = fields.find(candidate => candidate.name === fieldId || candidate.id === fieldId);
+  const question = field && field.label ? field.label : fieldId;
+  
+  try {
+    AnswerBank.rememberAnswer(question, value);
+    renderAnswerBank();
+    showStatusMessage(`Answer saved for "${question}".`, true);
+  } catch (error) {
+    console.error('Error saving answer:', error);
+    showStatusMessage('Error saving answer: ' + error.message, false);
+  }
+}
+
+/**
+ * Show which resume and cover letter files will be attached to upload fields
+ */
+async function updateUploadFilesStatus() {
+  const statusElement = document.getElementById('upload-files-status');
+  if (!statusElement) return;
+  
+  const describe = fileRecord => fileRecord
+    ? `${fileRecord.name} (${Math.round(fileRecord.size / 1024)} KB)`
+    : '(None)';
+  
+  const files = [
+    ['Resume file', await settingsManager.getUploadFile('resume')],
+    ['Cover letter', await settingsManager.getUploadFile('coverLetter')]
+  ];
+  statusElement.innerHTML = '';
+  files.forEach(([label, fileRecord]) => {
+    const line = document.createElement('div');
+    line.innerHTML = `<strong>${label}:</strong> `;
+    line.appendChild(document.createTextNode(describe(fileRecord)));
+    statusElement.appendChild(line);
+  });
+}
+
+/**
+ * Handle selecting a cover letter file
+ */
+async function handleCoverLetterChange() {
+  const file = coverLetterInput.files[0];
+  if (!file) return;
+  
+  try {
+    const saved = await settingsManager.saveUploadFile('coverLetter', await ViewerCore.readFileForUpload(file));
+    updateUploadFilesStatus();
+    if (!saved) {
+      showStatusMessage('Error saving cover letter: the file could not be stored.', false);
+      return;
+    }
+    showStatusMessage('Cover letter saved.', true);
+  } catch (error) {
+    console.error('Error reading cover letter:', error);
+    showStatusMessage('Error reading cover letter: ' + error.message, false);
+  }
+}
+
+/**
+ * Handle removing the stored cover letter
+ */
+async function handleClearCoverLetter() {
+  const removed = await settingsManager.saveUploadFile('coverLetter', null);
+  coverLetterInput.value = '';
+  updateUploadFilesStatus();
+  if (!removed) {
+    showStatusMessage('Error removing cover letter.', false);
+    return;
+  }
+  showStatusMessage('Cover letter removed.', true);
+}
+
 // Handle Agentic Workflow toggle
 function handleAgenticWorkflowToggle() {
   const agenticToggle = document.getElementById('agentic-workflow-toggle');
   settingsManager.updateSetting('agenticWorkflow', agenticToggle.checked);
 }
 
+// Handle the choice of what to do with unverified values
+function handleHallucinationGuardChange() {
+  const guardSelect = document.getElementById('hallucination-guard-mode');
+  settingsManager.updateSetting('hallucinationGuard', guardSelect.value);
+}
+
 function handleSaveApiSettings() {
   const apiKey = document.getElementById('api-key').value.trim();
   const apiBaseUrl = document.getElementById('api-base-url').value.trim();
   const modelName = document.getElementById('model-name').value.trim();
   const providerType = document.getElementById('api-provider').value;
   const temperature = document.getElementById('temperature-setting').value;
+  const timeoutInput = document.getElementById('request-timeout').value.trim();
 
   // For Ollama, LMStudio, and ENV providers, API key is optional
   if (!apiKey && providerType !== 'Ollama' && providerType !== 'LMStudio' && providerType !== 'ENV') {
@@ -613,19 +1124,30 @@ function handleSaveApiSettings() {
     return;
   }
   
+  // An empty timeout goes back to the provider's default
+  const requestTimeouts = { ...(settingsManager.getSetting('requestTimeouts', {}) || {}) };
+  if (timeoutInput === '' || isNaN(Number(timeoutInput)) || Number(timeoutInput) < 0) {
+    delete requestTimeouts[providerType];
+  } else {
+    requestTimeouts[providerType] = Number(timeoutInput);
+  }
+  
   // Save to settings manager
   settingsManager.updateSettings({
     apiProvider: providerType,
     apiKey: apiKey,
     apiBaseUrl: apiBaseUrl || AIProviderFactory.getProviderDefaults(providerType).baseURL,
     modelName: modelName || AIProviderFactory.getProviderDefaults(providerType).defaultModel,
-    modelTemperature: temperature
+    modelTemperature: temperature,
+    requestTimeouts,
+    fallbackProviders: readFallbackProviders()
   });
   
   // Special handling for ENV provider - use the ENVProvider directly
   if (providerType === 'ENV') {
     // Create a new API instance with the ENV provider
     const api = new AgentsAPI('', '', '', 'ENV'); // The values don't matter for ENV provider
+    configureAgentsAPI(api, providerType);
     ViewerCore.setAgentsAPI(api);
     
     // Show a special message for ENV provider
@@ -641,6 +1163,7 @@ function handleSaveApiSettings() {
     modelName || AIProviderFactory.getProviderDefaults(providerType).defaultModel, 
     providerType
   );
+  configureAgentsAPI(api, providerType);
   ViewerCore.setAgentsAPI(api);
   
   // Show success message
@@ -656,7 +1179,11 @@ function loadExistingOutput() {
   
   if (output) {
     try {
-      ViewerCore.displayAIOutput(JSON.parse(output).data, outputSummary, outputFields);
+      const storedOutput = JSON.parse(output);
+      ViewerCore.displayAIOutput(storedOutput.data, outputSummary, outputFields, {
+        resumeProfile: storedOutput.resumeProfile
+      });
+      showOutputResumeProfile(storedOutput.resumeProfile);
     } catch (error) {
       console.error('Error loading existing output:', error);
     }
@@ -672,6 +1199,10 @@ function setupEventListeners() {
     saveApiSettingsButton.addEventListener('click', handleSaveApiSettings);
   }
   
+  if (addFallbackProviderButton) {
+    addFallbackProviderButton.addEventListener('click', handleAddFallbackProvider);
+  }
+  
   if (apiProviderSelect) {
     apiProviderSelect.addEventListener('change', handleProviderChange);
   }
@@ -699,51 +1230,160 @@ function setupEventListeners() {
     themeToggle.addEventListener('change', handleThemeToggle);
   }
   
+  // Answer bank event listeners
+  if (addAnswerButton) {
+    addAnswerButton.addEventListener('click', handleAddAnswer);
+  }
+  
+  if (saveAnswerBankButton) {
+    saveAnswerBankButton.addEventListener('click', handleSaveAnswerBank);
+  }
+  
+  // Edited output values offer to save themselves to the answer bank
+  outputFields.addEventListener('rememberanswer', handleRememberAnswer);
+  
+  if (reviewFillButton) {
+    reviewFillButton.addEventListener('click', handleReviewFill);
+  }
+  
+  // Decisions made in the review overlay on the application page, and new steps of multi-step applications
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.action === 'reviewDecision') {
+      ViewerCore.displayReviewDecision(message, outputFields);
+      
+      if (message.decision !== 'rejected' && message.result && message.result.success && ViewerCore.aiGeneratedOutput) {
+        recordSessionAnswers([message.id]);
+      }
+    } else if (message.action === 'sessionStepDetected') {
+      handleSessionStep(message);
+    }
+  });
+  
+  if (endSessionButton) {
+    endSessionButton.addEventListener('click', handleEndSession);
+  }
+  
   // Agentic workflow toggle event listener
   const agenticToggle = document.getElementById('agentic-workflow-toggle');
   if (agenticToggle) {
     agenticToggle.addEventListener('change', handleAgenticWorkflowToggle);
   }
   
+  const guardSelect = document.getElementById('hallucination-guard-mode');
+  if (guardSelect) {
+    guardSelect.addEventListener('change', handleHallucinationGuardChange);
+  }
+  
   // Output generation event listeners
   if (generateOutputButton) {
     generateOutputButton.addEventListener('click', handleGenerateOutput);
   }
   
-  if (copyOutputButton) {
-    copyOutputButton.addEventListener('click', handleCopyOutput);
+  if (stopGenerationButton) {
+    stopGenerationButton.addEventListener('click', handleStopGeneration);
   }
   
-  if (clearOutputButton) {
-    clearOutputButton.addEventListener('click', handleClearOutput);
+  if (applyFillButton) {
+    applyFillButton.addEventListener('click', handleApplyFill);
   }
   
-  // Application data event listeners
-  if (refreshDataButton) {
-    refreshDataButton.addEventListener('click', handleRefreshData);
+  if (attachFilesButton) {
+    attachFilesButton.addEventListener('click', handleAttachFiles);
   }
   
-  if (copyDataButton) {
-    copyDataButton.addEventListener('click', handleCopyData);
+  // Cover letter event listeners
+  if (coverLetterInput) {
+    coverLetterInput.addEventListener('change', handleCoverLetterChange);
   }
   
-  if (clearDataButton) {
-    clearDataButton.addEventListener('click', handleClearData);
+  if (clearCoverLetterButton) {
+    clearCoverLetterButton.addEventListener('click', handleClearCoverLetter);
   }
   
-  // Chat event listeners
-  if (sendButton) {
-    sendButton.addEventListener('click', handleSendMessage);
+  if (saveResumeProfileButton) {
+    saveResumeProfileButton.addEventListener('click', handleSaveResumeProfile);
   }
   
-  if (chatInput) {
-    chatInput.addEventListener('keyup', function(event) {
-      if (event.key === 'Enter') {
-        handleSendMessage();
-      }
-    });
+  if (rebuildResumeProfileButton) {
+    rebuildResumeProfileButton.addEventListener('click', handleRebuildResumeProfile);
   }
-}
+  
+  resumeProfilePickers.forEach(picker => {
+    picker.addEventListener('change', handleResumeProfileChange);
+  });
+  
+  if (applicationsSearch) {
+    applicationsSearch.addEventListener('input', renderApplicationHistory);
+  }
+  
+  [applicationsStatusFilter, applicationsProfileFilter].forEach(filter => {
+    if (filter) {
+      filter.addEventListener('change', renderApplicationHistory);
+    }
+  });
+  
+  if (refreshApplicationsButton) {
+    refreshApplicationsButton.addEventListener('click', renderApplicationHistory);
+  }
+  
+  if (exportApplicationsButton) {
+    exportApplicationsButton.addEventListener('click', handleExportApplications);
+  }
+  
+  if (clearApplicationsButton) {
+    clearApplicationsButton.addEventListener('click', handleClearApplications);
+  }
+  
+  if (newResumeProfileButton) {
+    newResumeProfileButton.addEventListener('click', handleNewResumeProfile);
+  }
+  
+  if (renameResumeProfileButton) {
+    renameResumeProfileButton.addEventListener('click', handleRenameResumeProfile);
+  }
+  
+  if (deleteResumeProfileButton) {
+    deleteResumeProfileButton.addEventListener('click', handleDeleteResumeProfile);
+  }
+  
+  if (copyOutputButton) {
+    copyOutputButton.addEventListener('click', handleCopyOutput);
+  }
+  
+  if (clearOutputButton) {
+    clearOutputButton.addEventListener('click', handleClearOutput);
+  }
+  
+  // Application data event listeners
+  if (refreshDataButton) {
+    refreshDataButton.addEventListener('click', handleRefreshData);
+  }
+  
+  if (copyDataButton) {
+    copyDataButton.addEventListener('click', handleCopyData);
+  }
+  
+  if (clearDataButton) {
+    clearDataButton.addEventListener('click', handleClearData);
+  }
+  
+  // Chat event listeners
+  if (sendButton) {
+    sendButton.addEventListener('click', handleSendMessage);
+  }
+  
+  if (stopMessageButton) {
+    stopMessageButton.addEventListener('click', handleStopMessage);
+  }
+  
+  if (chatInput) {
+    chatInput.addEventListener('keyup', function(event) {
+      if (event.key === 'Enter') {
+        handleSendMessage();
+      }
+    });
+  }
+}
 
 /**
  * Handle provider change in dropdown
@@ -754,6 +1394,7 @@ function handleProviderChange() {
   
   // Update UI based on provider selection
   document.getElementById('api-base-url').value = defaults.baseURL;
+  document.getElementById('request-timeout').value = getRequestTimeout(providerType);
   
   // Only change model if current model is empty
   const currentModel = document.getElementById('model-name').value;
@@ -843,6 +1484,9 @@ async function handleSendMessage() {
   thinkingMessage.textContent = 'Thinking...';
   chatbox.appendChild(thinkingMessage);
   
+  const chat = new AbortController();
+  let reply = '';
+  
   try {
     // Get the API
     const api = ViewerCore.getAgentsAPI();
@@ -852,14 +1496,35 @@ async function handleSendMessage() {
       return;
     }
     
-    // Send message to AI
-    const response = await api.sendMessage(userMessage);
+    // Let the Stop button cancel the request (and only this one - output generation shares the API)
+    activeChat = chat;
+    if (stopMessageButton) {
+      stopMessageButton.disabled = false;
+    }
+    
+    // Send message to AI, showing the reply as it streams in
+    const response = await api.sendMessageStream(userMessage, delta => {
+      reply += delta;
+      thinkingMessage.textContent = reply;
+      chatbox.scrollTop = chatbox.scrollHeight;
+    }, { signal: chat.signal });
     
     // Replace thinking message with response
     thinkingMessage.textContent = response;
   } catch (error) {
-    console.error('Error sending message:', error);
-    thinkingMessage.textContent = `Error: ${error.message}`;
+    if (chat.signal.aborted) {
+      thinkingMessage.textContent = reply ? `${reply} [stopped]` : 'Stopped.';
+    } else {
+      console.error('Error sending message:', error);
+      thinkingMessage.textContent = `Error: ${error.message}`;
+    }
+  } finally {
+    if (activeChat === chat) {
+      activeChat = null;
+      if (stopMessageButton) {
+        stopMessageButton.disabled = true;
+      }
+    }
   }
   
   // Scroll to bottom
@@ -870,6 +1535,8 @@ async function handleSendMessage() {
  * Handle generate output button click
  */
 async function handleGenerateOutput() {
+  const generation = new AbortController();
+  
   try {
     // Check if we have form data
     if (!ViewerCore.formData) {
@@ -881,42 +1548,794 @@ async function handleGenerateOutput() {
     outputSummary.textContent = 'Generating output...';
     outputFields.textContent = 'Please wait...';
     
-    // Get the AI API
-    const api = ViewerCore.getAgentsAPI();
-    
-    if (!api) {
-      showStatusMessage('API not initialized. Please check your settings.', false);
-      return;
+    // Let the Stop button cancel the model requests
+    if (activeGeneration) {
+      activeGeneration.abort();
+    }
+    activeGeneration = generation;
+    if (stopGenerationButton) {
+      stopGenerationButton.disabled = false;
     }
     
-    // Check if agentic workflow is enabled
-    const useAgentic = settingsManager.getSetting('agenticWorkflow');
+    // Work history and education entries are filled straight from the resume profile on "Fill Page"
+    const sectionFieldIds = RepeatingSections.getRepeatingFieldIds(ViewerCore.formData, settingsManager.getResumeProfile());
+    const formFields = (ViewerCore.formData.autofillableFields || [])
+      .filter(field => !sectionFieldIds.includes(field.name || field.id));
     
-    // Get resume content if available
-    const resumeContent = settingsManager.getSetting('parsedResume') || '';
+    // Reuse answers from earlier steps of the application, then answer recurring questions
+    // from the answer bank; only the rest go to the model
+    const sessionAnswered = await getSessionAnswers(formFields);
+    const sessionIds = new Set(sessionAnswered.map(field => field.id));
+    const bank = AnswerBank.prefillFromAnswerBank(
+      formFields.filter(field => !sessionIds.has(field.name || field.id))
+    );
+    const answered = [...sessionAnswered, ...bank.answered];
+    const remaining = bank.remaining;
+    
+    // Show fields as they're answered, starting with the saved answers
+    const showProgress = fields => {
+      const shown = [...answered, ...fields];
+      outputSummary.textContent = `Generating output... (${shown.length} of ${formFields.length} fields answered)`;
+      ViewerCore.displayStreamingFields(shown, outputFields);
+    };
     
     let aiResponse;
-    if (useAgentic) {
-      // Use the form filling tools from form-filling-tools.js
-      // This requires importing the module dynamically
-      const FormFillingTools = await import('./form-filling-tools.js');
-      aiResponse = await FormFillingTools.fillFormWithTools(
-        api,
-        resumeContent,
-        ViewerCore.formData.autofillableFields
-      );
+    if (remaining.length === 0 && answered.length > 0) {
+      aiResponse = JSON.stringify({ fields: answered, summary: 'All fields were answered from saved answers.' });
     } else {
-      // Use the traditional prompt-based approach
-      const prompt = generatePrompt(resumeContent, ViewerCore.formData.autofillableFields);
-      aiResponse = await api.sendMessage(prompt);
+      // Get the AI API
+      const api = ViewerCore.getAgentsAPI();
+      
+      if (!api) {
+        showStatusMessage('API not initialized. Please check your settings.', false);
+        return;
+      }
+      
+      // Check if agentic workflow is enabled
+      const useAgentic = settingsManager.getSetting('agenticWorkflow');
+      
+      // Get resume content if available
+      const resumeContent = settingsManager.getSetting('parsedResume') || '';
+      
+      if (useAgentic) {
+        // Use the form filling tools from form-filling-tools.js
+        // This requires importing the module dynamically
+        const FormFillingTools = await import('./form-filling-tools.js');
+        aiResponse = await FormFillingTools.fillFormWithTools(
+          api,
+          resumeContent,
+          remaining,
+          { resumeProfile: settingsManager.getResumeProfile(), onFieldFilled: showProgress, signal: generation.signal }
+        );
+      } else {
+        // Use the traditional prompt-based approach
+        const providerType = settingsManager.getSetting('apiProvider', 'Ollama');
+        const isLocalModel = providerType === 'Ollama' || providerType === 'LMStudio';
+        const { resume, formFields: promptFields, error } = getPromptInputs([...answered.map(field => field.id), ...sectionFieldIds]);
+        if (error) {
+          outputSummary.textContent = error;
+          outputFields.textContent = '';
+          return;
+        }
+        
+        // Split the fields over several calls if they don't fit the model's context with the resume
+        const contextSize = await getContextSize(api);
+        const batches = planPromptBatches(resume, promptFields, contextSize,
+          (batchResume, fields) => buildPrompt(batchResume, fields, isLocalModel));
+        if (batches.length > 1) {
+          console.log(`Asking about ${promptFields.length} fields in ${batches.length} calls to fit the ${contextSize} token context`);
+        }
+        
+        const responses = [];
+        const batchedFields = [];
+        for (const batch of batches) {
+          const response = await requestPromptOutput(
+            api,
+            buildPrompt(batch.resume, batch.fields, isLocalModel),
+            buildOutputSchema(batch.fields),
+            generation.signal,
+            fields => showProgress([...batchedFields, ...fields])
+          );
+          responses.push(response);
+          batchedFields.push(...ViewerCore.extractStreamedFields(response));
+        }
+        aiResponse = responses.length === 1 ? responses[0] : mergeBatchResponses(responses);
+      }
+      
+      aiResponse = mergeAnsweredFields(aiResponse, answered);
     }
     
-    // Display the AI output
-    ViewerCore.displayAIOutput(aiResponse, outputSummary, outputFields);
+    // Display the AI output, recording which resume profile it came from
+    const activeProfile = settingsManager.getActiveResumeProfile();
+    const resumeProfile = activeProfile ? { id: activeProfile.id, name: activeProfile.name } : null;
+    ViewerCore.displayAIOutput(aiResponse, outputSummary, outputFields, { resumeProfile });
+    showOutputResumeProfile(resumeProfile);
+    
+    // Log the application with the values that were generated for it
+    if (ViewerCore.aiGeneratedOutput) {
+      await recordCurrentApplication(ViewerCore.aiGeneratedOutput, resumeProfile);
+    }
   } catch (error) {
+    if (generation.signal.aborted) {
+      outputSummary.textContent = 'Output generation stopped.';
+      outputFields.textContent = '';
+      return;
+    }
     console.error('Error generating output:', error);
     outputSummary.textContent = 'Error generating output: ' + error.message;
     outputFields.textContent = '';
+  } finally {
+    if (activeGeneration === generation) {
+      activeGeneration = null;
+      if (stopGenerationButton) {
+        stopGenerationButton.disabled = true;
+      }
+    }
+  }
+}
+
+/**
+ * Send a form-filling prompt, streaming the fields as they're answered
+ * Each prompt is a one-shot request - the chat's history isn't sent with it or changed by it
+ * The reply is constrained to the answer's JSON schema where the provider supports it
+ * @param {Object} api - The AgentsAPI instance
+ * @param {string} prompt - The prompt
+ * @param {Object|null} schema - JSON schema of the answer
+ * @param {AbortSignal} signal - The generation's abort signal
+ * @param {Function} onFields - Called with the fields answered so far
+ * @returns {Promise<string>} The model's response
+ */
+async function requestPromptOutput(api, prompt, schema, signal, onFields) {
+  let streamed = '';
+  const onDelta = delta => {
+    streamed += delta;
+    onFields(ViewerCore.extractStreamedFields(streamed));
+  };
+  
+  try {
+    return await api.sendMessageStream(prompt, onDelta, { schema, signal, oneShot: true });
+  } catch (error) {
+    // Models without structured output reject the request - ask again for a plain reply
+    if (!schema || streamed || signal.aborted || !/HTTP 4\d\d/.test(error.message)) {
+      throw error;
+    }
+    console.warn('Structured output was rejected, retrying without a schema:', error);
+    return await api.sendMessageStream(prompt, onDelta, { signal, oneShot: true });
+  }
+}
+
+/**
+ * Combine the responses to the batches of a prompt split to fit the context window
+ * @param {Array<string>} responses - The model's response to each batch
+ * @returns {string} The combined output as JSON text
+ */
+function mergeBatchResponses(responses) {
+  const fields = [];
+  const summaries = [];
+  
+  responses.forEach((response, index) => {
+    try {
+      const output = ViewerCore.parseAIOutput(response);
+      fields.push(...(Array.isArray(output.fields) ? output.fields : []));
+      if (output.summary) {
+        summaries.push(output.summary);
+      }
+    } catch (error) {
+      console.error(`Error parsing the response to batch ${index + 1}:`, error);
+      summaries.push(`The response to part ${index + 1} of ${responses.length} could not be read.`);
+    }
+  });
+  
+  return JSON.stringify({ fields, summary: summaries.join(' ') });
+}
+
+/**
+ * Handle Stop button click on the Output page - cancels the model requests of the output being generated
+ */
+function handleStopGeneration() {
+  if (activeGeneration) {
+    activeGeneration.abort();
+  }
+}
+
+/**
+ * Handle Stop button click on the AI page - cancels the chat reply being generated
+ */
+function handleStopMessage() {
+  if (activeChat) {
+    activeChat.abort();
+  }
+}
+
+/**
+ * Add answer bank values to a model response
+ * @param {string|Object} aiResponse - The model response
+ * @param {Array<Object>} answered - Output fields answered from the answer bank
+ * @returns {string|Object} The combined response as JSON text, or the original response if it can't be parsed
+ */
+function mergeAnsweredFields(aiResponse, answered) {
+  if (answered.length === 0) {
+    return aiResponse;
+  }
+  
+  try {
+    const responseText = typeof aiResponse === 'object' ? (aiResponse.content || JSON.stringify(aiResponse)) : String(aiResponse);
+    const output = ViewerCore.parseAIOutput(responseText);
+    if (!Array.isArray(output.fields)) {
+      return aiResponse;
+    }
+    
+    // Stored answers win over anything the model said about the same field
+    const answeredIds = new Set(answered.map(field => field.id));
+    output.fields = [...answered, ...output.fields.filter(field => !answeredIds.has(field.id))];
+    return JSON.stringify(output);
+  } catch (error) {
+    console.error('Error merging answer bank values:', error);
+    return aiResponse;
+  }
+}
+
+/**
+ * Get the answers given on earlier steps of the application for the current fields
+ * @param {Array<Object>} fields - Autofillable fields of the current step
+ * @returns {Promise<Array<Object>>} Output fields answered from the session
+ */
+async function getSessionAnswers(fields) {
+  const tabId = parseInt(localStorage.getItem('pageTabId'), 10);
+  if (isNaN(tabId) || fields.length === 0) {
+    return [];
+  }
+  
+  try {
+    const response = await ViewerCore.sendToBackground({ action: 'getSessionAnswers', tabId, fields });
+    return response.answered;
+  } catch (error) {
+    console.error('Error reading application session:', error);
+    return [];
+  }
+}
+
+/**
+ * Keep the values that made it onto the page for later steps of the application
+ * @param {Array<string>} fieldIds - Ids of the output fields that were filled
+ */
+async function recordSessionAnswers(fieldIds) {
+  const tabId = parseInt(localStorage.getItem('pageTabId'), 10);
+  const answers = ViewerCore.buildSessionAnswers(ViewerCore.aiGeneratedOutput, fieldIds);
+  if (isNaN(tabId) || answers.length === 0) {
+    return;
+  }
+  
+  try {
+    await ViewerCore.sendToBackground({ action: 'recordSessionAnswers', tabId, answers });
+  } catch (error) {
+    console.error('Error saving answers to the application session:', error);
+  }
+}
+
+/**
+ * Show the multi-step application the current form belongs to on the Application page
+ */
+async function renderApplicationSession() {
+  if (!applicationSession) return;
+  
+  const tabId = parseInt(localStorage.getItem('pageTabId'), 10);
+  let session = null;
+  if (!isNaN(tabId)) {
+    try {
+      session = (await ViewerCore.sendToBackground({ action: 'getSession', tabId })).session;
+    } catch (error) {
+      console.error('Error reading application session:', error);
+    }
+  }
+  
+  if (!session || session.steps.length < 2) {
+    applicationSession.style.display = 'none';
+    return;
+  }
+  
+  const answerCount = Object.keys(session.answers).length;
+  applicationSessionStatus.textContent =
+    `Multi-step application on ${session.host}: step ${session.steps.length}, ${answerCount} answers carried over.`;
+  applicationSession.style.display = '';
+}
+
+/**
+ * Handle a new step of a multi-step application - the form data, and the output generated for
+ * the previous step, now belong to a different page
+ * @param {Object} message - Message with tabId, url, title, step, formData and the fields answered on earlier steps
+ */
+function handleSessionStep(message) {
+  if (String(message.tabId) !== localStorage.getItem('pageTabId')) {
+    return;
+  }
+  
+  localStorage.setItem('extractedHTML', JSON.stringify(message.formData));
+  localStorage.setItem('pageUrl', message.url);
+  localStorage.setItem('pageTitle', message.title);
+  ViewerCore.setFormData(message.formData);
+  ViewerCore.displayFormData(message.formData, applicationData);
+  
+  ViewerCore.clearAIOutput(outputSummary, outputFields);
+  showOutputResumeProfile(null);
+  renderApplicationSession();
+  
+  // Show the answers carried over from earlier steps as output, to be reviewed before they're filled
+  const answered = message.answered || [];
+  if (answered.length > 0) {
+    ViewerCore.displayAIOutput(JSON.stringify({
+      fields: answered,
+      summary: `${answered.length} fields were answered on earlier steps of the application.`
+    }), outputSummary, outputFields);
+  }
+  
+  const answeredNote = answered.length > 0 ? ` ${answered.length} fields have answers from earlier steps - review them before filling.` : '';
+  showStatusMessage(`Moved to step ${message.step} of the application.${answeredNote} Generate output for the rest.`, true);
+}
+
+/**
+ * Handle end session button click - later pages of the application start from scratch
+ */
+async function handleEndSession() {
+  const tabId = parseInt(localStorage.getItem('pageTabId'), 10);
+  
+  try {
+    await ViewerCore.sendToBackground({ action: 'endSession', tabId });
+    applicationSession.style.display = 'none';
+    showStatusMessage('Application session ended.', true);
+  } catch (error) {
+    console.error('Error ending application session:', error);
+    showStatusMessage('Error ending session: ' + error.message, false);
+  }
+}
+
+/**
+ * Add the current application page and its generated values to the applications log
+ * @param {Object} output - Parsed AI output with a fields array
+ * @param {Object|null} resumeProfile - The resume profile used ({ id, name })
+ */
+async function recordCurrentApplication(output, resumeProfile) {
+  const pageUrl = localStorage.getItem('pageUrl');
+  if (!pageUrl) return;
+  
+  try {
+    // Store labels with the values so the log is readable without the original form
+    const formData = ViewerCore.getFormData();
+    const sourceFields = formData ? formData.autofillableFields || [] : [];
+    const fields = output.fields.map(field => {
+      const source = sourceFields.find(f => f.id === field.id || f.name === field.id);
+      return {
+        id: field.id,
+        label: source && source.label ? source.label : field.id,
+        value: field.value,
+        confidence: field.confidence || 'Medium'
+      };
+    });
+    
+    await ApplicationHistory.recordApplication({
+      pageUrl,
+      pageTitle: localStorage.getItem('pageTitle') || '',
+      fields,
+      resumeProfile
+    });
+    await renderApplicationHistory();
+  } catch (error) {
+    console.error('Error recording application:', error);
+  }
+}
+
+/**
+ * Set up the applications page filters and show the log
+ */
+function initApplicationHistory() {
+  addApplicationHistoryStyles();
+  
+  if (applicationsStatusFilter) {
+    ApplicationHistory.APPLICATION_STATUSES.forEach(status => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = capitalize(status);
+      applicationsStatusFilter.appendChild(option);
+    });
+  }
+  
+  renderApplicationHistory();
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} text - The text
+ * @returns {string} The capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Get the current applications page filter values
+ * @returns {Object} Filters for ApplicationHistory.filterApplications
+ */
+function getApplicationFilters() {
+  return {
+    query: applicationsSearch ? applicationsSearch.value : '',
+    status: applicationsStatusFilter ? applicationsStatusFilter.value : '',
+    resumeProfileId: applicationsProfileFilter ? applicationsProfileFilter.value : ''
+  };
+}
+
+/**
+ * Show the applications log, applying the page's filters
+ */
+async function renderApplicationHistory() {
+  if (!applicationsList) return;
+  
+  let records;
+  try {
+    records = await ApplicationHistory.getApplications();
+  } catch (error) {
+    console.error('Error loading applications:', error);
+    applicationsList.textContent = 'Error loading applications: ' + error.message;
+    return;
+  }
+  
+  updateApplicationProfileFilter(records);
+  
+  if (records.length === 0) {
+    applicationsList.textContent = 'No applications recorded yet. Generate output on an application page to add one.';
+    return;
+  }
+  
+  const filtered = ApplicationHistory.filterApplications(records, getApplicationFilters());
+  applicationsList.innerHTML = '';
+  
+  const count = document.createElement('div');
+  count.className = 'applications-count';
+  count.textContent = `Showing ${filtered.length} of ${records.length} applications`;
+  applicationsList.appendChild(count);
+  
+  const table = document.createElement('table');
+  table.className = 'applications-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Date</th>
+        <th>Company</th>
+        <th>Role</th>
+        <th>Status</th>
+        <th>Resume Profile</th>
+        <th></th>
+      </tr>
+    </thead>
+  `;
+  
+  const tableBody = document.createElement('tbody');
+  filtered.forEach(record => {
+    const row = document.createElement('tr');
+    
+    const dateCell = document.createElement('td');
+    dateCell.textContent = new Date(record.createdAt).toLocaleDateString();
+    row.appendChild(dateCell);
+    
+    // Company and role are guessed from the page, so let the user correct them
+    ['company', 'role'].forEach(key => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.className = 'settings-input';
+      input.value = record[key] || '';
+      input.addEventListener('change', () => handleUpdateApplication(record.id, { [key]: input.value.trim() }));
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+    
+    const statusCell = document.createElement('td');
+    const statusSelect = document.createElement('select');
+    statusSelect.className = 'settings-input';
+    ApplicationHistory.APPLICATION_STATUSES.forEach(status => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = capitalize(status);
+      statusSelect.appendChild(option);
+    });
+    statusSelect.value = record.status;
+    statusSelect.addEventListener('change', () => handleUpdateApplication(record.id, { status: statusSelect.value }));
+    statusCell.appendChild(statusSelect);
+    row.appendChild(statusCell);
+    
+    const profileCell = document.createElement('td');
+    profileCell.textContent = record.resumeProfile ? record.resumeProfile.name : '—';
+    row.appendChild(profileCell);
+    
+    // Details row with the page link and filled values, toggled from the actions cell
+    const detailsRow = document.createElement('tr');
+    detailsRow.className = 'application-details';
+    detailsRow.style.display = 'none';
+    const detailsCell = document.createElement('td');
+    detailsCell.colSpan = 6;
+    
+    const link = document.createElement('a');
+    link.href = record.pageUrl;
+    link.target = '_blank';
+    link.textContent = record.pageTitle || record.pageUrl;
+    detailsCell.appendChild(link);
+    
+    const valuesList = document.createElement('ul');
+    (record.fields || []).forEach(field => {
+      const item = document.createElement('li');
+      item.innerHTML = `<strong></strong> `;
+      item.querySelector('strong').textContent = `${field.label}:`;
+      item.appendChild(document.createTextNode(field.value));
+      valuesList.appendChild(item);
+    });
+    detailsCell.appendChild(valuesList);
+    detailsRow.appendChild(detailsCell);
+    
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'application-actions';
+    const detailsButton = document.createElement('button');
+    detailsButton.className = 'settings-button';
+    detailsButton.textContent = 'Details';
+    detailsButton.addEventListener('click', () => {
+      detailsRow.style.display = detailsRow.style.display === 'none' ? '' : 'none';
+    });
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'settings-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.style.marginLeft = '5px';
+    deleteButton.addEventListener('click', () => handleDeleteApplication(record));
+    actionsCell.appendChild(detailsButton);
+    actionsCell.appendChild(deleteButton);
+    row.appendChild(actionsCell);
+    
+    tableBody.appendChild(row);
+    tableBody.appendChild(detailsRow);
+  });
+  
+  table.appendChild(tableBody);
+  applicationsList.appendChild(table);
+}
+
+/**
+ * List the resume profiles that appear in the log in the profile filter
+ * @param {Array<Object>} records - All application records
+ */
+function updateApplicationProfileFilter(records) {
+  if (!applicationsProfileFilter) return;
+  
+  const selected = applicationsProfileFilter.value;
+  const profiles = new Map();
+  records.forEach(record => {
+    if (record.resumeProfile) {
+      profiles.set(record.resumeProfile.id, record.resumeProfile.name);
+    }
+  });
+  
+  applicationsProfileFilter.innerHTML = '<option value="">All resume profiles</option>';
+  profiles.forEach((name, id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    applicationsProfileFilter.appendChild(option);
+  });
+  applicationsProfileFilter.value = profiles.has(selected) ? selected : '';
+}
+
+/**
+ * Save a change to an application record
+ * @param {string} id - The record id
+ * @param {Object} changes - The fields to change
+ */
+async function handleUpdateApplication(id, changes) {
+  try {
+    await ApplicationHistory.updateApplication(id, changes);
+    showStatusMessage('Application updated.', true);
+  } catch (error) {
+    console.error('Error updating application:', error);
+    showStatusMessage('Error updating application: ' + error.message, false);
+  }
+}
+
+/**
+ * Delete an application record after confirming
+ * @param {Object} record - The record to delete
+ */
+async function handleDeleteApplication(record) {
+  const name = [record.role, record.company].filter(Boolean).join(' at ') || record.pageUrl;
+  if (!confirm(`Delete the application "${name}" from the log?`)) return;
+  
+  try {
+    await ApplicationHistory.deleteApplication(record.id);
+    await renderApplicationHistory();
+    showStatusMessage('Application deleted.', true);
+  } catch (error) {
+    console.error('Error deleting application:', error);
+    showStatusMessage('Error deleting application: ' + error.message, false);
+  }
+}
+
+/**
+ * Export the filtered applications log as a CSV file
+ */
+async function handleExportApplications() {
+  try {
+    const records = ApplicationHistory.filterApplications(
+      await ApplicationHistory.getApplications(),
+      getApplicationFilters()
+    );
+    if (records.length === 0) {
+      showStatusMessage('No applications to export.', false);
+      return;
+    }
+    
+    const blob = new Blob([ApplicationHistory.applicationsToCsv(records)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `applications-${new Date().toISOString().substring(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+    
+    showStatusMessage(`Exported ${records.length} applications.`, true);
+  } catch (error) {
+    console.error('Error exporting applications:', error);
+    showStatusMessage('Error exporting applications: ' + error.message, false);
+  }
+}
+
+/**
+ * Delete every application record after confirming
+ */
+async function handleClearApplications() {
+  if (!confirm('Delete all recorded applications? This cannot be undone.')) return;
+  
+  try {
+    await ApplicationHistory.clearApplications();
+    await renderApplicationHistory();
+    showStatusMessage('Applications log cleared.', true);
+  } catch (error) {
+    console.error('Error clearing applications:', error);
+    showStatusMessage('Error clearing applications: ' + error.message, false);
+  }
+}
+
+/**
+ * Handle fill page button click - writes the AI output into the application tab
+ */
+async function handleApplyFill() {
+  try {
+    const aiOutput = ViewerCore.aiGeneratedOutput;
+    
+    if (!aiOutput) {
+      showStatusMessage('No output to fill. Click "Generate Output" first.', false);
+      return;
+    }
+    
+    const fields = ViewerCore.buildFillRequest(aiOutput);
+    if (fields.length === 0) {
+      showStatusMessage('No field values to fill.', false);
+      return;
+    }
+    
+    applyFillButton.disabled = true;
+    const response = await ViewerCore.sendFieldsToApplicationFrames({ action: 'applyFill', fields });
+    
+    // Show per-field results in the output table
+    ViewerCore.displayFillResults(response.results, outputFields);
+    
+    const filledIds = response.results.filter(result => result.success).map(result => result.id);
+    recordSessionAnswers(filledIds);
+    
+    const sectionNote = await fillRepeatingSections();
+    
+    const filledCount = filledIds.length;
+    showStatusMessage(`Filled ${filledCount}/${response.results.length} fields on the page.${sectionNote}`, filledCount > 0);
+  } catch (error) {
+    console.error('Error filling page:', error);
+    showStatusMessage('Error filling page: ' + error.message, false);
+  } finally {
+    applyFillButton.disabled = false;
+  }
+}
+
+/**
+ * Fill the work history and education sections with one entry per job and school in the resume profile
+ * @returns {Promise<string>} A note for the status message, or '' if there were no sections to fill
+ */
+async function fillRepeatingSections() {
+  const sectionFills = RepeatingSections.buildRepeatingSectionFills(ViewerCore.getFormData(), settingsManager.getResumeProfile());
+  const notes = [];
+  
+  // One section at a time - adding entries changes the page under the next section
+  for (const sectionFill of sectionFills) {
+    const name = sectionFill.section.kind === 'education' ? 'education' : 'work history';
+    try {
+      const response = await ViewerCore.sendToApplicationTab(
+        { action: 'fillRepeatingGroup', section: sectionFill.section, entries: sectionFill.entries },
+        sectionFill.section.frameId
+      );
+      
+      const filledEntries = Math.min(response.entries, sectionFill.entries.length);
+      notes.push(`${filledEntries}/${sectionFill.entries.length} ${name} entries filled`);
+    } catch (error) {
+      console.error(`Error filling ${sectionFill.section.kind} section:`, error);
+      notes.push(`${name} not filled (${error.message})`);
+    }
+  }
+  
+  return notes.length > 0 ? ` ${capitalize(notes.join(', '))}.` : '';
+}
+
+/**
+ * Handle review button click - shows the proposed values next to the fields on the application page
+ * so each one can be accepted, edited or rejected before it is written
+ */
+async function handleReviewFill() {
+  try {
+    const aiOutput = ViewerCore.aiGeneratedOutput;
+    
+    if (!aiOutput) {
+      showStatusMessage('No output to review. Click "Generate Output" first.', false);
+      return;
+    }
+    
+    const fields = ViewerCore.buildReviewRequest(aiOutput);
+    if (fields.length === 0) {
+      showStatusMessage('No field values to review.', false);
+      return;
+    }
+    
+    reviewFillButton.disabled = true;
+    const response = await ViewerCore.sendFieldsToApplicationFrames({ action: 'reviewFill', fields });
+    
+    if (response.shown === 0) {
+      showStatusMessage('None of the fields were found on the page. Try extracting the form again.', false);
+      return;
+    }
+    
+    // Switch to the application so the values can be reviewed in place
+    const tabId = await ViewerCore.getApplicationTabId();
+    await chrome.tabs.update(tabId, { active: true });
+    
+    const missingNote = response.missing.length > 0 ? ` (${response.missing.length} not found on the page)` : '';
+    showStatusMessage(`Review ${response.shown} values on the application page${missingNote}.`, true);
+  } catch (error) {
+    console.error('Error starting review:', error);
+    showStatusMessage('Error starting review: ' + error.message, false);
+  } finally {
+    reviewFillButton.disabled = false;
+  }
+}
+
+/**
+ * Handle attach files button click - uploads the stored resume and cover letter into the application tab
+ */
+async function handleAttachFiles() {
+  try {
+    const files = (await Promise.all(['resume', 'coverLetter'].map(async role => {
+      const fileRecord = await settingsManager.getUploadFile(role);
+      return fileRecord ? { role, ...fileRecord } : null;
+    }))).filter(Boolean);
+    
+    if (files.length === 0) {
+      showStatusMessage('No resume file stored. Load your resume on the Resume page first.', false);
+      return;
+    }
+    
+    // Upload fields can sit in an embedded iframe - send the files to the frame that has them
+    const formData = ViewerCore.getFormData();
+    const fileField = formData && (formData.fileFields || [])[0];
+    
+    attachFilesButton.disabled = true;
+    const response = await ViewerCore.sendToApplicationTab({ action: 'attachFiles', files }, fileField ? fileField.frameId || 0 : 0);
+    
+    const summary = response.results
+      .map(result => `${result.role === 'coverLetter' ? 'Cover letter' : 'Resume'}: ${result.success ? 'attached' : result.error}`)
+      .join('; ');
+    showStatusMessage(summary, response.results.some(result => result.success));
+  } catch (error) {
+    console.error('Error attaching files:', error);
+    showStatusMessage('Error attaching files: ' + error.message, false);
+  } finally {
+    attachFilesButton.disabled = false;
   }
 }
 
@@ -956,6 +2375,7 @@ function handleCopyOutput() {
  */
 function handleClearOutput() {
   ViewerCore.clearAIOutput(outputSummary, outputFields);
+  showOutputResumeProfile(null);
   showStatusMessage('Output cleared.', true);
 }
 